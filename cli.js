@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+// @ts-check
+'use strict';
+// model.js の面付けの計算をコマンドラインから使うための入口
+// 使い方: node cli.js --pages 36 --start-end-color 4 --cover including --format json
+
+const { parseArgs } = require('node:util');
+// model.js と messages.js はブラウザでは script として読み込むため、モジュールとしての型を持たない。require した値には型を書いておく
+// @ts-ignore
+const model = /** @type {ModelExportsForCli} */ (require('./model.js'));
+// @ts-ignore
+const messages = /** @type {MessagesExportsForCli} */ (require('./messages.js'));
+const {
+  validateInputs,
+  buildPrintModel,
+  getPageLabel,
+  isBlankSlot,
+  isPressLayout,
+  createPressPlates,
+  summarizePress,
+  isGridScheme,
+  createGridImposition,
+  createZineImposition
+} = model;
+const { LOCALES, DEFAULT_LOCALE, isLocale, isMessageKey, translate } = messages;
+
+/**
+ * CLI の表示に使う言語
+ * @type {Locale}
+ */
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * 環境変数 (LC_ALL・LC_MESSAGES・LANG の順) から表示の言語を選ぶ。対応していない言語なら既定の言語にする
+ * @returns {Locale}
+ */
+const getEnvLocale = () => {
+  const { LC_ALL, LC_MESSAGES, LANG } = process.env;
+  const envLocale = (LC_ALL || LC_MESSAGES || LANG || '').split(/[_.@-]/)[0];
+  return isLocale(envLocale) ? envLocale : DEFAULT_LOCALE;
+};
+
+/**
+ * 文言のキーを、CLI の表示に使う言語の文言にする
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {string}
+ */
+const formatMessage = (messageKey, params) => translate(currentLocale, messageKey, params);
+
+/**
+ * 印刷用紙のどの面をカラーで刷るかの表示
+ * @param {{front: boolean; back: boolean;}} colorSides
+ * @returns {string}
+ */
+const formatColorSides = ({ front, back }) => {
+  if (front && back) return formatMessage('table.colorBoth');
+  if (front) return formatMessage('table.colorFront');
+  if (back) return formatMessage('table.colorBack');
+  return '-';
+};
+
+/**
+ * 端末に表示したときの文字列の幅 (全角文字は半角 2 文字分として数える)
+ * @param {string} text
+ * @returns {number}
+ */
+const getDisplayWidth = (text) => [...text].reduce((width, char) => width + ((char.codePointAt(0) ?? 0) > 0xff ? 2 : 1), 0);
+
+/**
+ * 印刷用紙の一覧を、1 行に 1 枚の表にする関数
+ * @param {ReturnType<typeof buildPrintModel>} printModel
+ * @returns {string}
+ */
+const formatSheetTable = ({
+  dataListToRender = [],
+  blankPages = 0,
+  signatures = null,
+  pageLabels = [],
+  pageMap = [],
+  spineWidthMm = null,
+  leafInserts = []
+}) => {
+  /** @param {number | string} value */
+  const formatPage = (value) => {
+    if (isBlankSlot(value, pageMap)) return formatMessage('page.blank');
+    return isMessageKey(value) ? formatMessage(value) : getPageLabel(value, pageLabels);
+  };
+  /** @param {{left: number | string; right: number | string;}} side */
+  const formatSide = ({ left, right }) => `${formatPage(left)} | ${formatPage(right)}`;
+
+  const hasCreepShifts = dataListToRender.some(({ creepShiftMm }) => creepShiftMm != null);
+  /** @type {MessageKey[]} */
+  const headerKeys = [
+    'table.sheetHeader',
+    'side.front',
+    'side.back',
+    'table.colorHeader',
+    ...(hasCreepShifts ? /** @type {MessageKey[]} */ (['table.creep']) : [])
+  ];
+  const header = headerKeys.map((messageKey) => formatMessage(messageKey));
+  const hasMixedPapers = new Set(dataListToRender.map(({ paperLabel }) => paperLabel)).size > 1;
+  const rows = dataListToRender.map(({ indexToDisplay, content, colorSides, creepShiftMm, index, paperLabel }, i) => ({
+    index,
+    paperLabel: hasMixedPapers && paperLabel !== dataListToRender[i - 1]?.paperLabel ? paperLabel : null,
+    cells: [
+      `${indexToDisplay}`,
+      formatSide(content.front),
+      formatSide(content.back),
+      formatColorSides(colorSides),
+      ...(creepShiftMm == null ? [] : [`${creepShiftMm.toFixed(2)}mm`])
+    ],
+    leafInsertCells: leafInserts
+      .filter(({ sheetIndex }) => sheetIndex === index)
+      .map(({ indexToDisplay, labels, colorSides }) => [
+        formatMessage('table.leafInsert', { leaf: indexToDisplay }),
+        labels.front,
+        labels.back,
+        formatColorSides(colorSides)
+      ])
+  }));
+
+  const widths = header.map((title, i) =>
+    Math.max(
+      getDisplayWidth(title),
+      ...rows.flatMap(({ cells, leafInsertCells }) => [cells, ...leafInsertCells].map((row) => getDisplayWidth(row[i] ?? '')))
+    )
+  );
+  /** @param {string[]} cells */
+  const formatRow = (cells) =>
+    cells.map((cell, i) => cell + ' '.repeat(widths[i] - getDisplayWidth(cell))).join('  ').trimEnd();
+
+  const lines = [formatRow(header)];
+  rows.forEach(({ index, paperLabel, cells, leafInsertCells }) => {
+    if (paperLabel) lines.push(`== ${formatMessage(paperLabel)} ==`);
+    const signature = signatures?.find(({ firstSheetIndex }) => firstSheetIndex === index);
+    if (signature) {
+      const { indexToDisplay, sheets, firstPage, lastPage } = signature;
+      lines.push(`-- ${formatMessage('table.signature', { signature: indexToDisplay, sheets, firstPage, lastPage })} --`);
+    }
+    lines.push(formatRow(cells));
+    leafInsertCells.forEach((leafCells) => lines.push(formatRow(leafCells)));
+  });
+  if (blankPages > 0) lines.push('', formatMessage('table.blankPages', { blanks: blankPages }));
+  if (spineWidthMm != null) lines.push('', formatMessage('cli.spineWidth', { spine: spineWidthMm }));
+
+  return lines.join('\n');
+};
+
+/**
+ * 格子状に並ぶページの枠を、面ごとに見出しを付けて書いた文字列にする関数
+ * @param {{title: string; slotRows: GridSlot[][];}[]} sides
+ * @param {number} blankPages
+ * @param {string[]} contentPageLabels
+ * @returns {string}
+ */
+const formatGridSides = (sides, blankPages, contentPageLabels) => {
+  /** @param {GridSlot} slot */
+  const formatSlot = ({ value, rotation }) =>
+    `${contentPageLabels[value - 1] ?? formatMessage('page.blank')}${rotation === 180 ? '*' : ''}`;
+  const width = Math.max(
+    ...sides.flatMap(({ slotRows }) => slotRows.flat().map((slot) => getDisplayWidth(formatSlot(slot))))
+  );
+  /** @param {GridSlot[][]} slotRows */
+  const formatGrid = (slotRows) =>
+    slotRows.map((slots) =>
+      slots
+        .map((slot) => formatSlot(slot))
+        .map((cell) => ' '.repeat(width - getDisplayWidth(cell)) + cell)
+        .join('  ')
+    );
+
+  const lines = sides.flatMap(({ title, slotRows }) => [`-- ${title} --`, ...formatGrid(slotRows)]);
+  if (blankPages > 0) lines.push('', formatMessage('cli.gridBlankPages', { blanks: blankPages }));
+
+  return lines.join('\n');
+};
+
+/**
+ * 8 面・16 面の面付けを、用紙の面ごとにページの並びを格子状に書いた文字列にする関数
+ * @param {{sheets: GridSheetData[]; blankPages: number;}} gridImposition
+ * @param {string[]} contentPageLabels
+ * @returns {string}
+ */
+const formatGridImposition = ({ sheets, blankPages }, contentPageLabels) =>
+  formatGridSides(
+    sheets.flatMap(({ indexToDisplay, content }) => [
+      {
+        title: formatMessage('grid.sheetSide', { sheet: indexToDisplay, side: { messageKey: 'side.front' } }),
+        slotRows: content.front
+      },
+      {
+        title: formatMessage('grid.sheetSide', { sheet: indexToDisplay, side: { messageKey: 'side.back' } }),
+        slotRows: content.back
+      }
+    ]),
+    blankPages,
+    contentPageLabels
+  );
+
+/**
+ * zine の面付けを、用紙ごとにページの並びを格子状に書いた文字列にする関数
+ * @param {{sheets: ZineSheetData[]; blankPages: number;}} zineImposition
+ * @param {string[]} contentPageLabels
+ * @returns {string}
+ */
+const formatZineImposition = ({ sheets, blankPages }, contentPageLabels) =>
+  formatGridSides(
+    sheets.map(({ indexToDisplay, content }) => ({
+      title: formatMessage('zine.sheet', { sheet: indexToDisplay }),
+      slotRows: content
+    })),
+    blankPages,
+    contentPageLabels
+  );
+
+/**
+ * コマンドライン引数を読み、面付けの結果を標準出力に書き出す
+ * 不正な引数や入力値のときは、メッセージを標準エラー出力に書き出して終了コード 1 で終える
+ *
+ * 表示の言語は --lang で選び、指定がなければ環境変数から選ぶ
+ * @param {string[]} args
+ */
+const main = (args) => {
+  currentLocale = getEnvLocale();
+
+  /** @type {ReturnType<typeof parseArgs>['values']} */
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        pages: { type: 'string' },
+        'start-end-color': { type: 'string', default: '0' },
+        'center-color': { type: 'string', default: '0' },
+        'color-ranges': { type: 'string', default: '' },
+        cover: { type: 'string', default: 'excluding' },
+        binding: { type: 'string', default: 'left' },
+        'sheets-per-signature': { type: 'string', default: '0' },
+        'paper-thickness': { type: 'string', default: '0' },
+        'page-number-start': { type: 'string', default: '1' },
+        'roman-pages': { type: 'string', default: '0' },
+        'page-names': { type: 'string', default: '' },
+        'blank-placement': { type: 'string', default: 'end' },
+        'leaf-inserts': { type: 'string', default: '' },
+        'press-layout': { type: 'string', default: 'sheetwise' },
+        grid: { type: 'string' },
+        zine: { type: 'boolean', default: false },
+        format: { type: 'string', default: 'table' },
+        lang: { type: 'string' },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+  } catch (err) {
+    console.error(err instanceof Error ? err.message : err);
+    console.error(formatMessage('cli.usage'));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.lang != null) {
+    if (!isLocale(values.lang)) {
+      console.error(formatMessage('cli.langInvalid', { locales: Object.keys(LOCALES).join(' / ') }));
+      process.exitCode = 1;
+      return;
+    }
+    currentLocale = values.lang;
+  }
+
+  if (values.help) {
+    console.log(formatMessage('cli.usage'));
+    return;
+  }
+  if (values.format !== 'table' && values.format !== 'json') {
+    console.error(formatMessage('cli.formatInvalid'));
+    process.exitCode = 1;
+    return;
+  }
+  const pressLayout = values['press-layout'];
+  if (!isPressLayout(pressLayout)) {
+    console.error(formatMessage('cli.pressLayoutInvalid'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const gridScheme = values.grid;
+  if (gridScheme != null && !isGridScheme(gridScheme)) {
+    console.error(formatMessage('cli.gridInvalid'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = validateInputs({
+    inputtedPages: parseInt(`${values.pages}`, 10),
+    startEndColorPages: parseInt(`${values['start-end-color']}`, 10),
+    centerColorPages: parseInt(`${values['center-color']}`, 10),
+    colorPageRanges: values['color-ranges'],
+    coverOption: values.cover,
+    bindingDirection: values.binding,
+    sheetsPerSignature: parseInt(`${values['sheets-per-signature']}`, 10),
+    paperThicknessMm: parseFloat(`${values['paper-thickness']}`),
+    pageNumberStart: parseInt(`${values['page-number-start']}`, 10),
+    romanPages: parseInt(`${values['roman-pages']}`, 10),
+    pageNames: values['page-names'],
+    blankPlacement: values['blank-placement'],
+    leafInserts: values['leaf-inserts']
+  });
+  if (result.error) {
+    console.error(formatMessage(result.error.messageKey));
+    process.exitCode = 1;
+    return;
+  }
+
+  const { error: _validationError, ...inputs } = result;
+  const printModel = buildPrintModel(inputs);
+  if (printModel.error) {
+    // 不正な項目がいくつもあるときは、すべて書き出す
+    (printModel.error.fieldErrors ?? [printModel.error]).forEach(({ messageKey, params }) =>
+      console.error(formatMessage(messageKey, params))
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const pressConfigs = { dataList: printModel.dataListToRender, pageMap: printModel.pageMap, pressLayout };
+  const pressSummary = summarizePress(pressConfigs);
+  const gridImposition =
+    gridScheme == null
+      ? null
+      : createGridImposition({ inputtedPages: inputs.inputtedPages, gridScheme, bindingDirection: inputs.bindingDirection });
+  if (gridImposition?.error) {
+    console.error(formatMessage(gridImposition.error.messageKey, gridImposition.error.params));
+    process.exitCode = 1;
+    return;
+  }
+  const zineImposition = values.zine
+    ? createZineImposition({ inputtedPages: inputs.inputtedPages, bindingDirection: inputs.bindingDirection })
+    : null;
+  if (zineImposition?.error) {
+    console.error(formatMessage(zineImposition.error.messageKey, zineImposition.error.params));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.format === 'json') {
+    const { dataListToRender, blankPages, signatures, impressionSummary, pageLabels, pageMap, spineWidthMm, leafInserts } =
+      printModel;
+    console.log(
+      JSON.stringify(
+        {
+          inputs,
+          blankPages,
+          signatures,
+          impressionSummary,
+          pageLabels,
+          pageMap,
+          spineWidthMm,
+          leafInserts,
+          pressLayout,
+          pressSummary,
+          pressPlates: createPressPlates(pressConfigs),
+          ...(gridImposition == null ? {} : { gridScheme, gridImposition }),
+          ...(zineImposition == null ? {} : { zineImposition }),
+          sheets: dataListToRender
+        },
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  console.log(formatSheetTable(printModel));
+  const { plates, pressSheetsPerCopy, passesPerCopy } = pressSummary;
+  console.log(`\n${formatMessage('press.summary', { plates, sheets: pressSheetsPerCopy, passes: passesPerCopy })}`);
+  if (gridImposition != null) console.log(`\n${formatGridImposition(gridImposition, printModel.contentPageLabels)}`);
+  if (zineImposition != null) console.log(`\n${formatZineImposition(zineImposition, printModel.contentPageLabels)}`);
+};
+
+main(process.argv.slice(2));
@@ -0,0 +1,816 @@
+// JavaScript Document
+// @ts-check
+'use strict';
+// 画面・エラー・台紙に表示する文言のカタログ。ブラウザでは model.js より先に読み込み、Node.js からは require できる
+// 文言の中の {name} は、translate に渡した params の同じ名前の値に置き換える
+// ============================================================
+// ----- constants -----
+/**
+ * 切り替えられる言語と、言語の選択肢に表示する名前
+ */
+const LOCALES = {
+  ja: '日本語',
+  en: 'English'
+};
+const DEFAULT_LOCALE = 'ja';
+
+const JA_MESSAGES = {
+  'app.title': 'ページ組み補助ツール',
+  'locale.label': '表示する言語: ',
+
+  // --- ページ・用紙の面 ---
+  'page.frontCover': '表紙',
+  'page.backCover': '裏表紙',
+  'page.insideFrontCover': '表2',
+  'page.insideBackCover': '表3',
+  'page.blank': '白',
+  'page.blankSheet': '白紙',
+  'page.blankInPreview': '(白)',
+  'side.front': 'オモテ',
+  'side.back': 'ウラ',
+  'slot.left': '左',
+  'slot.right': '右',
+  'paper.body': '本文用紙',
+  'paper.cover': '表紙用紙',
+  'paper.wrapCover': '表紙用紙 (くるみ)',
+  'paperKind.woodfree': '上質紙',
+  'paperKind.coated': 'コート紙',
+  'paperThicknessPreset': '{paper} {weight}kg ({thickness}mm)',
+  'paperSizePreset': '{finished} ({sheet} 用紙)',
+  'gridScheme.quarto': '8面 (2回折り)',
+  'gridScheme.octavo': '16面 (3回折り)',
+
+  // --- 入力フォーム ---
+  'input.coverLegend': '表紙の設定',
+  'input.coverExcluding': '含まない',
+  'input.coverIncluding': '含む',
+  'input.coverIncludingInside': '含む (表2・表3 も印刷)',
+  'input.coverSeparateStock': '別の用紙に印刷',
+  'input.coverWrap': 'くるみ表紙 (背あり)',
+  'input.bindingLegend': '綴じ方向',
+  'input.bindingLeft': '左綴じ',
+  'input.bindingRight': '右綴じ',
+  'input.blankPlacementLegend': '空白ページの位置',
+  'input.blankEnd': '最後',
+  'input.blankStart': '最初 (表紙の直後)',
+  'input.blankAfterFirstPage': '1ページ目の直後',
+  'input.blankBeforeLastPage': '最後のページの直前',
+  'input.blankSplit': '前後に分ける',
+  'input.pages': 'ページ数: ',
+  'input.startEndColor': '巻頭巻末カラー: ',
+  'input.centerColor': 'センターカラー: ',
+  'input.colorRanges': 'カラーページ (範囲指定): ',
+  'input.colorRangesPlaceholder': '例: 1-4, 21-24, 41',
+  'input.sheetsPerSignature': '1折あたりの用紙枚数 (0 で中綴じ): ',
+  'input.paperThickness': '用紙の厚さ (mm, 0 でクリープ補正なし): ',
+  'input.paperThicknessPresetPrompt': 'プリセットから選ぶ',
+  'input.pageNumberStart': 'ノンブルの開始番号: ',
+  'input.romanPages': 'ローマ数字にする前付けのページ数: ',
+  'input.pageNames': 'ノンブルのないページ: ',
+  'input.pageNamesPlaceholder': '例: 1:扉, 36:奥付',
+  'input.leafInserts': '1葉で差し込むページ (葉のオモテ): ',
+  'input.leafInsertsPlaceholder': '例: 13, 27',
+  'input.submit': '確定',
+
+  // --- プリセットと共有リンク ---
+  'preset.legend': 'プリセットと共有リンク',
+  'preset.name': '名前: ',
+  'preset.namePlaceholder': '例: 月刊 zine 36p 4c',
+  'preset.save': '確定した入力値を保存',
+  'preset.rename': '選んだプリセットをこの名前に変更',
+  'preset.list': '保存したプリセット: ',
+  'preset.load': '読み込む',
+  'preset.delete': '削除',
+  'preset.export': 'JSON に書き出す',
+  'preset.import': 'JSON から読み込む: ',
+  'preset.copyLink': '共有リンクをコピー',
+  'preset.empty': '保存したプリセットはありません',
+  'preset.nameRequired': 'プリセットの名前を入力してください。',
+  'preset.saved': '「{name}」を保存しました。',
+  'preset.linkCopied': '共有リンクをコピーしました。',
+  'preset.selectRequired': 'プリセットを選んでください。',
+  'preset.loaded': '「{name}」を読み込みました。',
+  'preset.newNameRequired': '新しい名前を入力してください。',
+  'preset.nameTaken': '「{name}」という名前のプリセットがすでにあります。',
+  'preset.renamed': '「{from}」の名前を「{to}」に変更しました。',
+  'preset.deleted': '「{name}」を削除しました。',
+  'preset.imported': '{count}件のプリセットを読み込みました。',
+
+  // --- PDF ---
+  'pdf.noFile': 'PDF が選択されていません',
+  'pdf.dropLabel': 'ここに PDF をドロップ、またはファイルを選択: ',
+  'pdf.submit': '面付け PDF を作成',
+  'pdf.creating': 'PDF を作成しています…',
+  'pdf.fileRequired': '面付けする PDF を選択してください。',
+  'pdf.info': '{pages}ページ / {width} × {height} mm ({orientation})',
+  'pdf.portrait': '縦',
+  'pdf.landscape': '横',
+  'pdf.mismatchedPages': '1ページ目とサイズが異なるページがあります: {pages}ページ目',
+  'pdf.mismatchedPagesMore': '1ページ目とサイズが異なるページがあります: {pages}ページ目 ほか',
+
+  // --- 費用の見積もり ---
+  'cost.legend': '費用の見積もり',
+  'cost.copies': '部数: ',
+  'cost.colorSidePrice': 'カラー面の単価: ',
+  'cost.monoSidePrice': 'モノクロ面の単価: ',
+  'cost.blankSidePrice': '白面の単価: ',
+  'cost.paperPrice': '用紙 1 枚の単価: ',
+  'cost.impressions': 'カラー {color}面 / モノクロ {mono}面 / 白面 {blank}面 / 用紙 {sheets}枚',
+  'cost.perCopy': '1部あたり: {impressions}',
+  'cost.allCopies': '全{copies}部: {impressions}',
+  'cost.estimate': '見積もり: 1部あたり {perCopy} / 全体 {total}',
+
+  // --- 用紙サイズ ---
+  'paperSize.legend': '用紙サイズ',
+  'paperSize.preset': 'プリセット: ',
+  'paperSize.custom': 'カスタム',
+  'paperSize.finishedWidth': '仕上がりの幅 (mm): ',
+  'paperSize.finishedHeight': '仕上がりの高さ (mm): ',
+  'paperSize.sheetWidth': '印刷用紙の幅 (mm): ',
+  'paperSize.sheetHeight': '印刷用紙の高さ (mm): ',
+  'paperSize.landscape': '横向き',
+  'paperSize.portrait': '縦向き',
+  'paperSize.spread': '見開き ({width} × {height} mm)',
+  'paperSize.sheet': '用紙 ({orientation} {width} × {height} mm)',
+  'paperSize.fits': '{spread}は{sheet}の片面に収まります。',
+  'paperSize.doesNotFit': '{spread}は{sheet}の片面に収まりません。',
+  'paperSize.scale': '倍率: {scale}% / 断裁の余白: 左右 各 {marginX} mm、上下 各 {marginY} mm',
+  'paperSize.wrapCover': 'くるみ表紙: {width} × {height} mm (背幅 {spine} mm)',
+  'paperSize.wrapCoverNeedsThickness': 'くるみ表紙の背幅を計算するには、用紙の厚さを入力してください。',
+  'coverLayout.spine': '背',
+  'coverLayout.panel': '{label} {width} mm',
+
+  // --- SVG 書き出し ---
+  'svg.legend': 'SVG 書き出し (実寸の台紙)',
+  'svg.submit': 'SVG の台紙を作成',
+  'svg.sheetSide': '用紙 {sheet} {side}',
+  'svg.finishedSize': '仕上がり {width} × {height} mm',
+  'svg.sheetSize': '用紙 {width} × {height} mm',
+  'svg.scale': '倍率 {scale}%',
+  'svg.creep': 'クリープ補正 {shift} mm',
+
+  // --- 印刷ダイアログ用のページ順 ---
+  'sequence.legend': '印刷ダイアログ用のページ順 (2 ページ割り付け)',
+  'sequence.duplex': '両面印刷',
+  'sequence.fronts': 'オモテ面のみ',
+  'sequence.backs': 'ウラ面のみ',
+  'sequence.reverse': '逆順',
+  'sequence.shortEdge': '短辺で裏返す',
+  'sequence.longEdge': '長辺で裏返す',
+  'sequence.leaves': '1 葉の紙',
+  'sequence.preparedFile':
+    'ページ番号は、表の「白」の位置に空白ページを差し込み、1 葉で差し込む紙のページを本の中の位置に置いた原稿のページ番号です。1 葉の紙は 1 ページ割り付けで刷ってください。',
+  'sequence.rotateBacks': 'ウラ面は左右のページを入れ替えています。印刷ダイアログでウラ面の各ページを 180° 回転させてください。',
+  'common.copy': 'コピー',
+  'common.copied': 'コピーしました',
+  'common.inputsRequired': '先にページ数などを入力して確定してください。',
+
+  // --- 版の組み方 ---
+  'press.legend': '版の組み方 (印刷所向け)',
+  'press.sheetwise': '表裏別版',
+  'press.workAndTurn': '打ち返し (左右に返す)',
+  'press.workAndTumble': 'くわえ返し (天地に返す)',
+  'press.noteSheetwise': 'オモテとウラを別々の版で刷ります。',
+  'press.noteWorkAndTurn':
+    '刷り終えた用紙を左右に返し (くわえはそのまま)、同じ版でもう一度刷ってください。左右の中央で断裁すると、同じ用紙が 2 枚できます。片面にしか刷らない用紙は、返さずにその面だけの版で刷ります。',
+  'press.noteWorkAndTumble':
+    '刷り終えた用紙を天地に返し (くわえを反対の辺に替えて)、同じ版でもう一度刷ってください。上下の中央で断裁すると、同じ用紙が 2 枚できます。片面にしか刷らない用紙は、返さずにその面だけの版で刷ります。',
+  'press.summary': '版: {plates}版 / 1部あたり 刷り本 {sheets}枚・通し {passes}回',
+  'press.plate': '版 {plate} (用紙 {sheet})',
+
+  // --- 大判の面付けと zine ---
+  'grid.legend': '大判の面付け (オフセット印刷向け)',
+  'grid.none': '使わない',
+  'grid.scheme': '1枚の用紙に付けるページ数: ',
+  'grid.foldLeft': '左半分を右へ折り重ねる',
+  'grid.foldRight': '右半分を左へ折り重ねる',
+  'grid.foldTop': '上半分を下へ折り重ねる',
+  'grid.foldBottom': '下半分を上へ折り重ねる',
+  'grid.spineNote': '{fold} (この折り目が背になる)',
+  'grid.headNote': '{fold} (ページの天どうしが合わさる)',
+  'grid.sheetSide': '用紙 {sheet} {side}',
+  'grid.sheets': '用紙 {sheets}枚に面付けします。',
+  'grid.sheetsWithBlanks': '用紙 {sheets}枚に面付けします。空白ページ {blanks}ページは最後の用紙の末尾に入ります。',
+  'zine.legend': '8 ページの折り zine',
+  'zine.mode': '1 枚の用紙の片面に 8 ページを付け、切り込みを入れて折る',
+  'zine.step1': '刷った面を外側にして上下半分に折り (折り目 1)、開く',
+  'zine.step2': '左右半分に折り (折り目 2)、さらに両端を中央の折り目に合わせて折って (折り目 3)、開く',
+  'zine.step3': '左右半分に折った状態で、折り目の側から中央の横線 (切り込み線) を半分まで切る',
+  'zine.step4': '上下半分に折り直し、両端を中央へ押して切り込みを十字に開き、表紙が外側になるようにたたむ',
+  'zine.stepStack': '用紙 1 から順に、たたんだものを重ねて綴じる',
+  'zine.sheet': '用紙 {sheet} (片面)',
+  'zine.sheets': '用紙 {sheets}枚の片面に刷ります。上の行は天地を逆に刷ります。',
+  'zine.sheetsWithBlanks':
+    '用紙 {sheets}枚の片面に刷ります。上の行は天地を逆に刷ります。空白ページ {blanks}ページは最後の用紙の末尾に入ります。',
+
+  // --- 印刷ガイド ---
+  'wizard.legend': '印刷ガイド (手差し)',
+  'wizard.back': '戻る',
+  'wizard.next': '次へ',
+  'wizard.reset': '最初から',
+  'wizard.progress': '手順 {step} / {steps}',
+  'wizard.done': 'すべての面を印刷しました。',
+  'wizard.flipShortEdge': '用紙の束を短辺で裏返して、給紙トレイに戻してください。',
+  'wizard.flipLongEdge': '用紙の束を長辺で裏返して、給紙トレイに戻してください。',
+  'wizard.leaf': '差し込み {leaf}: オモテ {front} / ウラ {back} を 1 枚に刷り、用紙 {sheet} の隣に貼り込んでください。',
+  'wizard.side': '用紙 {sheet} の{side}: {left} | {right} ({kind})',
+  'wizard.kindColor': 'カラー',
+  'wizard.kindMono': 'モノクロ',
+  'wizard.kindBlank': '白面・印刷しない',
+  'wizard.resumed': '前回中断したところから再開しました。',
+  'wizard.savedProgress': '中断した印刷ガイドがあります。同じ設定で確定すると続きから再開します。',
+
+  // --- 製本プレビュー ---
+  'preview.legend': '製本プレビュー',
+  'preview.back': '前の見開き',
+  'preview.next': '次の見開き',
+  'preview.source': '用紙 {sheet} {side}の{slot}',
+  'preview.progress': '見開き {spread} / {spreads}',
+  'preview.progressOutOfOrder': '見開き {spread} / {spreads} (順番が正しくありません)',
+  'preview.allInOrder': 'すべての見開きがページ順に読めます。',
+  'preview.outOfOrder': 'ページ順に読めない見開き: {spreads}',
+
+  // --- 印刷用紙の表 ---
+  'table.colorBoth': 'カラー',
+  'table.colorFront': 'オモテカラー',
+  'table.colorBack': 'ウラカラー',
+  'table.signature': '第{signature}折 ({sheets}枚 / {firstPage}〜{lastPage}ページ)',
+  'table.leafInsert': '差{leaf}',
+  'table.creep': 'ノド側へ',
+  'table.blankPages': '空白ページを{blanks}ページ用意してください。表の「白」の位置に入ります。',
+  'table.signatures': '{signatures}折の構成です。',
+  'table.irregularSignature': '第{signature}折は{sheets}枚で、他の折と枚数が異なります。',
+  'table.caption': '印刷用紙ごとのページの並び',
+  'table.keyboardHint':
+    '矢印キーで用紙とページを移動できます。Home と End で行の端へ、Ctrl と一緒に押すと表の最初と最後へ移ります。',
+  'table.sheetHeader': '用紙',
+  'table.sideSlot': '{side}の{slot}',
+  'table.colorHeader': 'カラー',
+  'table.colorSide': 'カラー印刷する面',
+  'table.rendered': '印刷用紙 {sheets}枚の面付けを表示しました。',
+  'table.renderedWithBlanks': '印刷用紙 {sheets}枚の面付けを表示しました。空白ページが{blanks}ページ必要です。',
+
+  // --- コマンドライン ---
+  'cli.usage': `使い方: node cli.js --pages <ページ数> [オプション]
+
+  --pages <n>                 総ページ数 (必須)
+  --start-end-color <n>       巻頭巻末カラーのページ数 (既定: 0)
+  --center-color <n>          センターカラーのページ数 (既定: 0)
+  --color-ranges <式>         個別にカラー印刷するページ範囲 (例: "1-4, 21-24, 41")
+  --cover <excluding|including|includingInside|separateStock|wrap>
+                              表紙を含まない / 含む / 表2・表3 も含む / 別の用紙 / くるみ表紙
+                              (既定: excluding)
+  --binding <left|right>      左綴じ / 右綴じ (既定: left)
+  --sheets-per-signature <n>  1折あたりの用紙枚数。0 で中綴じ (既定: 0)
+  --paper-thickness <mm>      クリープの計算に使う用紙の厚さ。0 で計算しない (既定: 0)
+  --page-number-start <n>     前付けの後の最初のページのノンブル (既定: 1)
+  --roman-pages <n>           ローマ数字のノンブルにする前付けのページ数 (既定: 0)
+  --page-names <式>           ノンブルのないページ (例: "1:扉, 36:奥付")
+  --blank-placement <end|start|afterFirstPage|beforeLastPage|split>
+                              端数を埋める空白ページの位置 (既定: end)
+  --leaf-inserts <式>         1 葉で差し込むページ (葉のオモテの奇数ページ。例: "13, 27")
+  --press-layout <sheetwise|workAndTurn|workAndTumble>
+                              版の組み方: 表裏別版 / 打ち返し / くわえ返し (既定: sheetwise)
+  --grid <quarto|octavo>      大判の用紙に 8 面 / 16 面を付けた並びも出力する
+                              (* は天地を逆に刷るページ)
+  --zine                      1 枚の用紙の片面に 8 ページを付けて折る zine の並びも出力する
+  --format <table|json>       出力の形式 (既定: table)
+  --lang <ja|en>              表示の言語 (既定: 環境変数 LC_ALL・LC_MESSAGES・LANG から選び、なければ ja)
+  --help                      この説明を表示する`,
+  'cli.formatInvalid': '--format には table か json を指定してください。',
+  'cli.pressLayoutInvalid': '--press-layout には sheetwise・workAndTurn・workAndTumble のいずれかを指定してください。',
+  'cli.gridInvalid': '--grid には quarto か octavo を指定してください。',
+  'cli.langInvalid': '--lang には {locales} のいずれかを指定してください。',
+  'cli.spineWidth': 'くるみ表紙の背幅: {spine}mm',
+  'cli.gridBlankPages': '空白ページ {blanks}ページは最後の用紙の末尾に入ります。',
+
+  // --- 入力値の検証 ---
+  'validation.required': '入力してください。',
+  'validation.pagesRequired': 'ページ数を入力してください。',
+  'validation.inputtedPages': '総ページ数は 1 以上の整数を半角で入力してください。',
+  'validation.colorPages': 'カラーページ数は 0 以上の整数を半角で入力してください。',
+  'validation.colorPageRanges': 'カラーページの範囲は文字列で入力してください。',
+  'validation.sheetsPerSignature': '1折あたりの用紙枚数は 0 以上の整数を半角で入力してください。',
+  'validation.paperThickness': '用紙の厚さは 0 以上の数値を半角で入力してください。',
+  'validation.pageLabel': 'ノンブルの開始番号は 1 以上、ローマ数字のページ数は 0 以上の整数を半角で入力してください。',
+  'validation.pageNames': 'ノンブルのないページは文字列で入力してください。',
+  'validation.blankPlacement': '空白ページの位置のいずれかにチェックを入れてください。',
+  'validation.leafInserts': '1葉で差し込むページは文字列で入力してください。',
+  'validation.coverOption': '表紙の設定のチェックボックスのいずれかにチェックを入れてください。',
+  'validation.bindingDirection': '綴じ方向のいずれかにチェックを入れてください。',
+  'validation.copies': '部数は 1 以上の整数を半角で入力してください。',
+  'validation.prices': '単価は 0 以上の数値を半角で入力してください。',
+  'validation.paperSize': '用紙の寸法は 0 より大きい数値を半角で入力してください。',
+
+  // --- 面付けの計算のエラー ---
+  'error.tooManyPages': 'ページ数が多すぎます',
+  'error.pageRangeUnparsable': "'{item}' はページ範囲として解釈できません。",
+  'error.pageRangeInvalid': "'{item}' はページ範囲として不正です。",
+  'error.pageRangeExceedsTotal': "'{item}' は総ページ数 ({maxPage}) を超えています。",
+  'error.leafInsertUnparsable': "'{item}' はページ番号として解釈できません。",
+  'error.leafInsertNotOdd': "'{item}' は奇数のページ (葉のオモテ) で指定してください。",
+  'error.leafInsertExceedsTotal': "'{item}' から 2 ページの葉は総ページ数 ({maxPage}) を超えています。",
+  'error.leafInsertDuplicated': '{page}ページ目からの葉が重複しています。',
+  'error.leafInsertSplitsLeaf': '{page}ページ目からの葉が、面付けした本の 1 枚の葉のオモテとウラの間に入ってしまいます。空白ページの位置を変えてください。',
+  'error.leafInsertSheetNotFound': '{page}ページ目からの葉を貼り込む用紙が見つかりません。',
+  'error.noPagesLeftForSheets': '用紙に面付けするページが残るように、差し込む葉を減らしてください。',
+  'error.pageNameUnparsable': "'{item}' は「ページ番号:名前」として解釈できません。",
+  'error.pageNameOutOfRange': "'{item}' のページ番号は 1〜{maxPage} で指定してください。",
+  'error.pageNameDuplicated': '{page}ページ目の名前が重複しています。',
+  'error.invalidValue': "'{value}'は無効な入力です。",
+  'error.colorPagesExceedTotal': 'カラーページ数が総ページ数を超えています。',
+  'error.romanPagesExceedTotal': 'ローマ数字のページ数が総ページ数を超えています。',
+  'error.paperThicknessRange': '用紙の厚さは 0〜{max} mm の範囲で入力してください。',
+  'error.impositionInvariant': '面付けの検証に失敗しました: {detail}',
+  'invariant.nonNumericPage': '用紙 {sheet} の本文の面に、ページ番号でない値があります。',
+  'invariant.pageSum': '用紙 {sheet} の面のページ {left} と {right} の和が {sum} になりません。',
+  'invariant.pageCount': 'ページ {page} が {count} 回現れます。',
+  'invariant.pageOutOfRange': '1〜{pages} の範囲外のページがあります。',
+  'invariant.spreadOutOfOrder': '折って綴じたとき、見開き {spread} がページ順に読めません。',
+  'invariant.printSequenceLength': '「{pass}」のページ順に {count} ページあります (正しくは {expected} ページ)。',
+  'invariant.printSequencePair': '「{pass}」のページ順で、ページ {first} と {second} が同じ用紙の面に載りません。',
+  'invariant.printSequenceLeafLength': '「{pass}」の 1 葉の紙のページ順に {count} ページあります (正しくは {expected} ページ)。',
+  'invariant.printSequenceLeafPair': '「{pass}」の 1 葉の紙のページ順で、ページ {front} と {back} が同じ葉のオモテとウラになりません。',
+  'invariant.printSequencePageCount': '「{pass}」のページ順に、ページ {page} が {count} 回現れます。',
+  'invariant.printSequenceMissingPage': '「{pass}」のページ順に、印刷用の原稿のページ {page} がありません。',
+  'invariant.coverSheetPosition': '用紙 {sheet} の表紙が、先頭の 1 枚になっていません。',
+  'invariant.coverSide': '用紙 {sheet} の表紙の{side}で、表1〜表4 の位置が綴じ方向と合いません。',
+  'invariant.mirroredCoverAccepted': '{binding}で表紙の左右を入れ替えた面付けを、検証が見逃しました。',
+  'invariant.pressSideCount': '版の組み方 {pressLayout} で、用紙 {sheet} の{side}が {count} 個の版に付いています (正しくは {expected} 個)。',
+  'error.presetNotJson': 'プリセットのファイルを JSON として読めません。',
+  'error.presetFormat': 'プリセットのファイルの形式が違います。',
+  'error.presetItem': 'プリセットのファイルに、名前か入力値の読めない項目があります。',
+
+  // --- PDF の読み込みのエラー ---
+  'error.pdfNoPages': 'PDF にページがありません。',
+  'error.pdfReadFailed': 'PDF を読み込めませんでした。{detail}',
+  'error.pdfPageCountMismatch': 'PDF のページ数 ({pdfPages}) が入力したページ数 ({inputtedPages}) と一致しません。',
+  'pdfParse.unterminatedString': '文字列が閉じられていません。',
+  'pdfParse.unexpectedEnd': 'PDF が途中で終わっています。',
+  'pdfParse.invalidDictKey': '辞書のキーが不正です。',
+  'pdfParse.unexpectedChar': "予期しない文字 '{char}' があります。",
+  'pdfParse.unexpectedKeyword': "予期しないキーワード '{token}' があります。",
+  'pdfParse.objectNotFound': 'オフセット {offset} にオブジェクトがありません。',
+  'pdfParse.unterminatedStream': 'ストリームが閉じられていません。',
+  'pdfParse.unsupportedPredictor': '未対応の予測子 ({predictor}) です。',
+  'pdfParse.unsupportedFilter': '未対応の圧縮形式 ({filter}) です。',
+  'pdfParse.unknownFilter': '不明',
+  'pdfParse.invalidXrefTable': 'xref テーブルが不正です。',
+  'pdfParse.invalidTrailer': 'trailer が不正です。',
+  'pdfParse.invalidXrefStream': 'xref ストリームが不正です。',
+  'pdfParse.startxrefNotFound': 'startxref が見つかりません。',
+  'pdfParse.xrefNotFound': 'xref が見つかりません。',
+  'pdfParse.rootNotFound': 'Root が見つかりません。',
+  'pdfParse.notPdf': 'PDF ファイルではありません。',
+  'pdfParse.pageTreeNotFound': 'ページ構造が見つかりません。',
+  'pdfParse.encrypted': '暗号化された PDF には対応していません。'
+};
+
+/**
+ * 文言のキー
+ * @typedef {keyof typeof JA_MESSAGES} MessageKey
+ */
+
+/**
+ * @type {{[key in MessageKey]: string}}
+ */
+const EN_MESSAGES = {
+  'app.title': 'Page Imposition Helper',
+  'locale.label': 'Language: ',
+
+  // --- pages and sheet sides ---
+  'page.frontCover': 'Front cover',
+  'page.backCover': 'Back cover',
+  'page.insideFrontCover': 'Inside front',
+  'page.insideBackCover': 'Inside back',
+  'page.blank': 'Blank',
+  'page.blankSheet': 'Blank',
+  'page.blankInPreview': '(blank)',
+  'side.front': 'Front',
+  'side.back': 'Back',
+  'slot.left': 'left',
+  'slot.right': 'right',
+  'paper.body': 'Body paper',
+  'paper.cover': 'Cover stock',
+  'paper.wrapCover': 'Cover stock (wrap)',
+  'paperKind.woodfree': 'Woodfree',
+  'paperKind.coated': 'Coated',
+  'paperThicknessPreset': '{paper} {weight}kg ({thickness}mm)',
+  'paperSizePreset': '{finished} on {sheet}',
+  'gridScheme.quarto': '8 pages (2 folds)',
+  'gridScheme.octavo': '16 pages (3 folds)',
+
+  // --- input form ---
+  'input.coverLegend': 'Cover',
+  'input.coverExcluding': 'Not included',
+  'input.coverIncluding': 'Included',
+  'input.coverIncludingInside': 'Included (print inside covers too)',
+  'input.coverSeparateStock': 'Printed on separate stock',
+  'input.coverWrap': 'Wrap cover (with spine)',
+  'input.bindingLegend': 'Binding',
+  'input.bindingLeft': 'Left binding',
+  'input.bindingRight': 'Right binding',
+  'input.blankPlacementLegend': 'Blank pages',
+  'input.blankEnd': 'At the end',
+  'input.blankStart': 'At the start (after the cover)',
+  'input.blankAfterFirstPage': 'After page 1',
+  'input.blankBeforeLastPage': 'Before the last page',
+  'input.blankSplit': 'Split between start and end',
+  'input.pages': 'Pages: ',
+  'input.startEndColor': 'Color at start and end: ',
+  'input.centerColor': 'Color in the center: ',
+  'input.colorRanges': 'Color pages (ranges): ',
+  'input.colorRangesPlaceholder': 'e.g. 1-4, 21-24, 41',
+  'input.sheetsPerSignature': 'Sheets per signature (0 for saddle stitch): ',
+  'input.paperThickness': 'Paper thickness (mm, 0 for no creep compensation): ',
+  'input.paperThicknessPresetPrompt': 'Choose a preset',
+  'input.pageNumberStart': 'First page number: ',
+  'input.romanPages': 'Front matter pages in roman numerals: ',
+  'input.pageNames': 'Pages without numbers: ',
+  'input.pageNamesPlaceholder': 'e.g. 1:Title, 36:Colophon',
+  'input.leafInserts': 'Single-leaf inserts (front page of the leaf): ',
+  'input.leafInsertsPlaceholder': 'e.g. 13, 27',
+  'input.submit': 'Apply',
+
+  // --- presets and share link ---
+  'preset.legend': 'Presets and share link',
+  'preset.name': 'Name: ',
+  'preset.namePlaceholder': 'e.g. Monthly zine 36p 4c',
+  'preset.save': 'Save applied inputs',
+  'preset.rename': 'Rename selected preset to this name',
+  'preset.list': 'Saved presets: ',
+  'preset.load': 'Load',
+  'preset.delete': 'Delete',
+  'preset.export': 'Export as JSON',
+  'preset.import': 'Import from JSON: ',
+  'preset.copyLink': 'Copy share link',
+  'preset.empty': 'No saved presets',
+  'preset.nameRequired': 'Enter a name for the preset.',
+  'preset.saved': 'Saved "{name}".',
+  'preset.linkCopied': 'Copied the share link.',
+  'preset.selectRequired': 'Choose a preset.',
+  'preset.loaded': 'Loaded "{name}".',
+  'preset.newNameRequired': 'Enter a new name.',
+  'preset.nameTaken': 'A preset named "{name}" already exists.',
+  'preset.renamed': 'Renamed "{from}" to "{to}".',
+  'preset.deleted': 'Deleted "{name}".',
+  'preset.imported': 'Imported {count} presets.',
+
+  // --- PDF ---
+  'pdf.noFile': 'No PDF selected',
+  'pdf.dropLabel': 'Drop a PDF here or choose a file: ',
+  'pdf.submit': 'Create imposed PDF',
+  'pdf.creating': 'Creating the PDF…',
+  'pdf.fileRequired': 'Choose the PDF to impose.',
+  'pdf.info': '{pages} pages / {width} × {height} mm ({orientation})',
+  'pdf.portrait': 'portrait',
+  'pdf.landscape': 'landscape',
+  'pdf.mismatchedPages': 'These pages differ in size from page 1: {pages}',
+  'pdf.mismatchedPagesMore': 'These pages differ in size from page 1: {pages} and more',
+
+  // --- cost estimate ---
+  'cost.legend': 'Cost estimate',
+  'cost.copies': 'Copies: ',
+  'cost.colorSidePrice': 'Price per color side: ',
+  'cost.monoSidePrice': 'Price per mono side: ',
+  'cost.blankSidePrice': 'Price per blank side: ',
+  'cost.paperPrice': 'Price per sheet: ',
+  'cost.impressions': '{color} color sides / {mono} mono sides / {blank} blank sides / {sheets} sheets',
+  'cost.perCopy': 'Per copy: {impressions}',
+  'cost.allCopies': 'All {copies} copies: {impressions}',
+  'cost.estimate': 'Estimate: {perCopy} per copy / {total} in total',
+
+  // --- paper size ---
+  'paperSize.legend': 'Paper size',
+  'paperSize.preset': 'Preset: ',
+  'paperSize.custom': 'Custom',
+  'paperSize.finishedWidth': 'Finished width (mm): ',
+  'paperSize.finishedHeight': 'Finished height (mm): ',
+  'paperSize.sheetWidth': 'Press sheet width (mm): ',
+  'paperSize.sheetHeight': 'Press sheet height (mm): ',
+  'paperSize.landscape': 'landscape',
+  'paperSize.portrait': 'portrait',
+  'paperSize.spread': 'The spread ({width} × {height} mm)',
+  'paperSize.sheet': 'the sheet ({orientation} {width} × {height} mm)',
+  'paperSize.fits': '{spread} fits on one side of {sheet}.',
+  'paperSize.doesNotFit': '{spread} does not fit on one side of {sheet}.',
+  'paperSize.scale': 'Scale: {scale}% / Trim margins: {marginX} mm left and right, {marginY} mm top and bottom',
+  'paperSize.wrapCover': 'Wrap cover: {width} × {height} mm (spine {spine} mm)',
+  'paperSize.wrapCoverNeedsThickness': 'Enter the paper thickness to calculate the spine width of the wrap cover.',
+  'coverLayout.spine': 'Spine',
+  'coverLayout.panel': '{label} {width} mm',
+
+  // --- SVG export ---
+  'svg.legend': 'SVG export (real-size templates)',
+  'svg.submit': 'Create SVG templates',
+  'svg.sheetSide': 'Sheet {sheet} {side}',
+  'svg.finishedSize': 'Finished {width} × {height} mm',
+  'svg.sheetSize': 'Sheet {width} × {height} mm',
+  'svg.scale': 'Scale {scale}%',
+  'svg.creep': 'Creep compensation {shift} mm',
+
+  // --- page order for the print dialog ---
+  'sequence.legend': 'Page order for the print dialog (2 pages per side)',
+  'sequence.duplex': 'Duplex',
+  'sequence.fronts': 'Fronts only',
+  'sequence.backs': 'Backs only',
+  'sequence.reverse': 'Reverse',
+  'sequence.shortEdge': 'Flip on short edge',
+  'sequence.longEdge': 'Flip on long edge',
+  'sequence.leaves': 'Single leaves',
+  'sequence.preparedFile':
+    'Page numbers are those of your file with the blank pages inserted where the table shows "Blank" and the single-leaf pages at their place in the book. Print single leaves 1 page per side.',
+  'sequence.rotateBacks':
+    'The left and right pages of the backs are swapped. Rotate each back page by 180° in the print dialog.',
+  'common.copy': 'Copy',
+  'common.copied': 'Copied',
+  'common.inputsRequired': 'Enter the page count and other inputs and apply them first.',
+
+  // --- press layout ---
+  'press.legend': 'Press layout (for print shops)',
+  'press.sheetwise': 'Sheetwise',
+  'press.workAndTurn': 'Work and turn (flip left to right)',
+  'press.workAndTumble': 'Work and tumble (flip head to foot)',
+  'press.noteSheetwise': 'The front and back are printed from separate plates.',
+  'press.noteWorkAndTurn':
+    'Turn the printed sheets left to right (same gripper edge) and print again from the same plate. Cutting down the vertical center gives two identical sheets. Sheets printed on one side only are printed once from a plate of that side, without turning.',
+  'press.noteWorkAndTumble':
+    'Tumble the printed sheets head to foot (gripper moves to the opposite edge) and print again from the same plate. Cutting across the horizontal center gives two identical sheets. Sheets printed on one side only are printed once from a plate of that side, without tumbling.',
+  'press.summary': 'Plates: {plates} / Per copy: {sheets} press sheets, {passes} passes',
+  'press.plate': 'Plate {plate} (sheet {sheet})',
+
+  // --- large-sheet imposition and zine ---
+  'grid.legend': 'Large-sheet imposition (for offset printing)',
+  'grid.none': 'Not used',
+  'grid.scheme': 'Pages per sheet: ',
+  'grid.foldLeft': 'Fold the left half over to the right',
+  'grid.foldRight': 'Fold the right half over to the left',
+  'grid.foldTop': 'Fold the top half down',
+  'grid.foldBottom': 'Fold the bottom half up',
+  'grid.spineNote': '{fold} (this fold becomes the spine)',
+  'grid.headNote': '{fold} (the page heads meet)',
+  'grid.sheetSide': 'Sheet {sheet} {side}',
+  'grid.sheets': 'Imposed on {sheets} sheets.',
+  'grid.sheetsWithBlanks': 'Imposed on {sheets} sheets. {blanks} blank pages go at the end of the last sheet.',
+  'zine.legend': '8-page folded zine',
+  'zine.mode': 'Put 8 pages on one side of a single sheet, cut it and fold it',
+  'zine.step1': 'With the printed side out, fold the sheet in half top to bottom (fold 1) and open it',
+  'zine.step2': 'Fold it in half left to right (fold 2), fold both ends to the center (fold 3), and open it',
+  'zine.step3': 'Folded left to right, cut from the fold along the center line (cut line) to the halfway point',
+  'zine.step4': 'Fold it top to bottom again, push the ends to the center so the cut opens into a cross, and fold it with the cover outside',
+  'zine.stepStack': 'Stack the folded sheets starting from sheet 1 and bind them',
+  'zine.sheet': 'Sheet {sheet} (one side)',
+  'zine.sheets': 'Printed on one side of {sheets} sheets. The top row is printed upside down.',
+  'zine.sheetsWithBlanks':
+    'Printed on one side of {sheets} sheets. The top row is printed upside down. {blanks} blank pages go at the end of the last sheet.',
+
+  // --- print wizard ---
+  'wizard.legend': 'Print guide (manual feed)',
+  'wizard.back': 'Back',
+  'wizard.next': 'Next',
+  'wizard.reset': 'Start over',
+  'wizard.progress': 'Step {step} / {steps}',
+  'wizard.done': 'All sides have been printed.',
+  'wizard.flipShortEdge': 'Flip the stack on the short edge and put it back in the paper tray.',
+  'wizard.flipLongEdge': 'Flip the stack on the long edge and put it back in the paper tray.',
+  'wizard.leaf': 'Insert {leaf}: print front {front} / back {back} on one sheet and tip it in next to sheet {sheet}.',
+  'wizard.side': 'Sheet {sheet} {side}: {left} | {right} ({kind})',
+  'wizard.kindColor': 'color',
+  'wizard.kindMono': 'mono',
+  'wizard.kindBlank': 'blank, do not print',
+  'wizard.resumed': 'Resumed from where you stopped last time.',
+  'wizard.savedProgress': 'A print guide was interrupted. Apply the same settings to continue where you stopped.',
+
+  // --- fold preview ---
+  'preview.legend': 'Binding preview',
+  'preview.back': 'Previous spread',
+  'preview.next': 'Next spread',
+  'preview.source': 'Sheet {sheet} {side}, {slot}',
+  'preview.progress': 'Spread {spread} / {spreads}',
+  'preview.progressOutOfOrder': 'Spread {spread} / {spreads} (out of order)',
+  'preview.allInOrder': 'All spreads read in page order.',
+  'preview.outOfOrder': 'Spreads that do not read in page order: {spreads}',
+
+  // --- sheet table ---
+  'table.colorBoth': 'Color',
+  'table.colorFront': 'Color front',
+  'table.colorBack': 'Color back',
+  'table.signature': 'Signature {signature} ({sheets} sheets / pages {firstPage}–{lastPage})',
+  'table.leafInsert': 'Ins. {leaf}',
+  'table.creep': 'Toward spine',
+  'table.blankPages': 'Prepare {blanks} blank pages. They go where the table shows "Blank".',
+  'table.signatures': '{signatures} signatures.',
+  'table.irregularSignature': 'Signature {signature} has {sheets} sheets, unlike the other signatures.',
+  'table.caption': 'Page order on each sheet',
+  'table.keyboardHint':
+    'Use the arrow keys to move between sheets and pages. Home and End go to the ends of a row; with Ctrl, to the start and end of the table.',
+  'table.sheetHeader': 'Sheet',
+  'table.sideSlot': '{side}, {slot}',
+  'table.colorHeader': 'Color',
+  'table.colorSide': 'Printed in color',
+  'table.rendered': 'Showing the imposition on {sheets} sheets.',
+  'table.renderedWithBlanks': 'Showing the imposition on {sheets} sheets. {blanks} blank pages are needed.',
+
+  // --- command line ---
+  'cli.usage': `Usage: node cli.js --pages <pages> [options]
+
+  --pages <n>                 Total page count (required)
+  --start-end-color <n>       Color pages at the front and back (default: 0)
+  --center-color <n>          Color pages at the center (default: 0)
+  --color-ranges <list>       Page ranges printed in color (e.g. "1-4, 21-24, 41")
+  --cover <excluding|including|includingInside|separateStock|wrap>
+                              Cover not included / included / inside covers printed too /
+                              separate stock / wrap cover (default: excluding)
+  --binding <left|right>      Left binding / right binding (default: left)
+  --sheets-per-signature <n>  Sheets per signature. 0 for saddle stitch (default: 0)
+  --paper-thickness <mm>      Paper thickness for creep compensation. 0 to skip it (default: 0)
+  --page-number-start <n>     Folio of the first page after the front matter (default: 1)
+  --roman-pages <n>           Front matter pages with roman numeral folios (default: 0)
+  --page-names <list>         Pages without a folio (e.g. "1:Title, 36:Colophon")
+  --blank-placement <end|start|afterFirstPage|beforeLastPage|split>
+                              Where the filler blank pages go (default: end)
+  --leaf-inserts <list>       Pages inserted as single leaves (odd recto pages, e.g. "13, 27")
+  --press-layout <sheetwise|workAndTurn|workAndTumble>
+                              Press layout: sheetwise / work and turn / work and tumble
+                              (default: sheetwise)
+  --grid <quarto|octavo>      Also print the order of 8 / 16 pages on a large sheet
+                              (* marks pages printed upside down)
+  --zine                      Also print the order of an 8-page zine folded from one side of a sheet
+  --format <table|json>       Output format (default: table)
+  --lang <ja|en>              Display language (default: from LC_ALL, LC_MESSAGES or LANG, otherwise ja)
+  --help                      Show this help`,
+  'cli.formatInvalid': '--format must be table or json.',
+  'cli.pressLayoutInvalid': '--press-layout must be sheetwise, workAndTurn or workAndTumble.',
+  'cli.gridInvalid': '--grid must be quarto or octavo.',
+  'cli.langInvalid': '--lang must be one of {locales}.',
+  'cli.spineWidth': 'Wrap cover spine width: {spine}mm',
+  'cli.gridBlankPages': 'The {blanks} blank pages go at the end of the last sheet.',
+
+  // --- input validation ---
+  'validation.required': 'Enter a value.',
+  'validation.pagesRequired': 'Enter the page count.',
+  'validation.inputtedPages': 'Enter the total page count as a whole number of 1 or more.',
+  'validation.colorPages': 'Enter color page counts as whole numbers of 0 or more.',
+  'validation.colorPageRanges': 'Enter color page ranges as text.',
+  'validation.sheetsPerSignature': 'Enter sheets per signature as a whole number of 0 or more.',
+  'validation.paperThickness': 'Enter the paper thickness as a number of 0 or more.',
+  'validation.pageLabel':
+    'Enter the first page number as a whole number of 1 or more, and the roman numeral pages as a whole number of 0 or more.',
+  'validation.pageNames': 'Enter pages without numbers as text.',
+  'validation.blankPlacement': 'Choose where blank pages go.',
+  'validation.leafInserts': 'Enter single-leaf inserts as text.',
+  'validation.coverOption': 'Choose one of the cover options.',
+  'validation.bindingDirection': 'Choose a binding direction.',
+  'validation.copies': 'Enter the number of copies as a whole number of 1 or more.',
+  'validation.prices': 'Enter prices as numbers of 0 or more.',
+  'validation.paperSize': 'Enter paper dimensions as numbers greater than 0.',
+
+  // --- imposition errors ---
+  'error.tooManyPages': 'Too many pages.',
+  'error.pageRangeUnparsable': "'{item}' is not a page range.",
+  'error.pageRangeInvalid': "'{item}' is not a valid page range.",
+  'error.pageRangeExceedsTotal': "'{item}' exceeds the total page count ({maxPage}).",
+  'error.leafInsertUnparsable': "'{item}' is not a page number.",
+  'error.leafInsertNotOdd': "Specify '{item}' as an odd page (the front of the leaf).",
+  'error.leafInsertExceedsTotal': "The 2-page leaf from '{item}' exceeds the total page count ({maxPage}).",
+  'error.leafInsertDuplicated': 'The leaf from page {page} is listed more than once.',
+  'error.leafInsertSplitsLeaf': 'The leaf from page {page} would fall between the front and back of one leaf of the book. Change where blank pages go.',
+  'error.leafInsertSheetNotFound': 'No sheet was found to tip in the leaf from page {page}.',
+  'error.noPagesLeftForSheets': 'Use fewer single-leaf inserts so that some pages are left to impose on sheets.',
+  'error.pageNameUnparsable': "'{item}' is not in the form 'page:name'.",
+  'error.pageNameOutOfRange': "The page number in '{item}' must be from 1 to {maxPage}.",
+  'error.pageNameDuplicated': 'Page {page} is named more than once.',
+  'error.invalidValue': "'{value}' is not a valid input.",
+  'error.colorPagesExceedTotal': 'The color pages exceed the total page count.',
+  'error.romanPagesExceedTotal': 'The roman numeral pages exceed the total page count.',
+  'error.paperThicknessRange': 'Enter a paper thickness from 0 to {max} mm.',
+  'error.impositionInvariant': 'The imposition check failed: {detail}',
+  'invariant.nonNumericPage': 'A body side of sheet {sheet} has a value that is not a page number.',
+  'invariant.pageSum': 'Pages {left} and {right} on a side of sheet {sheet} do not add up to {sum}.',
+  'invariant.pageCount': 'Page {page} appears {count} times.',
+  'invariant.pageOutOfRange': 'Some pages are outside 1–{pages}.',
+  'invariant.spreadOutOfOrder': 'When folded and bound, spread {spread} does not read in page order.',
+  'invariant.printSequenceLength': 'The "{pass}" page order has {count} pages (expected {expected}).',
+  'invariant.printSequencePair': 'In the "{pass}" page order, pages {first} and {second} are not on the same sheet side.',
+  'invariant.printSequenceLeafLength': 'The "{pass}" page order for single leaves has {count} pages (expected {expected}).',
+  'invariant.printSequenceLeafPair': 'In the "{pass}" page order for single leaves, pages {front} and {back} are not the front and back of one leaf.',
+  'invariant.printSequencePageCount': 'Page {page} appears {count} times in the "{pass}" page order.',
+  'invariant.printSequenceMissingPage': 'Page {page} of the prepared file is missing from the "{pass}" page order.',
+  'invariant.coverSheetPosition': 'The cover on sheet {sheet} is not the single first sheet.',
+  'invariant.coverSide': 'On the {side} of cover sheet {sheet}, the cover panels are not where the binding direction puts them.',
+  'invariant.mirroredCoverAccepted': 'With {binding}, the check accepted an imposition whose cover was mirrored.',
+  'invariant.pressSideCount': 'With press layout {pressLayout}, the {side} of sheet {sheet} is on {count} plates (expected {expected}).',
+  'error.presetNotJson': 'The preset file cannot be read as JSON.',
+  'error.presetFormat': 'The preset file is not in the expected format.',
+  'error.presetItem': 'The preset file has a name or input that cannot be read.',
+
+  // --- PDF reading errors ---
+  'error.pdfNoPages': 'The PDF has no pages.',
+  'error.pdfReadFailed': 'The PDF could not be read. {detail}',
+  'error.pdfPageCountMismatch': 'The PDF page count ({pdfPages}) does not match the entered page count ({inputtedPages}).',
+  'pdfParse.unterminatedString': 'A string is not closed.',
+  'pdfParse.unexpectedEnd': 'The PDF ends unexpectedly.',
+  'pdfParse.invalidDictKey': 'A dictionary key is invalid.',
+  'pdfParse.unexpectedChar': "Unexpected character '{char}'.",
+  'pdfParse.unexpectedKeyword': "Unexpected keyword '{token}'.",
+  'pdfParse.objectNotFound': 'No object at offset {offset}.',
+  'pdfParse.unterminatedStream': 'A stream is not closed.',
+  'pdfParse.unsupportedPredictor': 'Unsupported predictor ({predictor}).',
+  'pdfParse.unsupportedFilter': 'Unsupported compression ({filter}).',
+  'pdfParse.unknownFilter': 'unknown',
+  'pdfParse.invalidXrefTable': 'The xref table is invalid.',
+  'pdfParse.invalidTrailer': 'The trailer is invalid.',
+  'pdfParse.invalidXrefStream': 'The xref stream is invalid.',
+  'pdfParse.startxrefNotFound': 'startxref was not found.',
+  'pdfParse.xrefNotFound': 'The xref was not found.',
+  'pdfParse.rootNotFound': 'The Root was not found.',
+  'pdfParse.notPdf': 'This is not a PDF file.',
+  'pdfParse.pageTreeNotFound': 'The page tree was not found.',
+  'pdfParse.encrypted': 'Encrypted PDFs are not supported.'
+};
+
+/**
+ * 言語ごとの文言のカタログ
+ * @type {{[key in Locale]: {[key in MessageKey]: string}}}
+ */
+const MESSAGE_CATALOGS = {
+  ja: JA_MESSAGES,
+  en: EN_MESSAGES
+};
+
+// ============================================================
+// ----- utilities -----
+
+/**
+ * 切り替えられる言語
+ * @typedef {keyof typeof LOCALES} Locale
+ */
+
+/**
+ * 文言に埋め込む値。LocalizedMessage は、埋め込む前に同じ言語の文言に直す
+ * @typedef {string | number | LocalizedMessage} MessageParam
+ */
+
+/**
+ * 文言の {name} に埋め込む値の組
+ * @typedef {{[name: string]: MessageParam}} MessageParams
+ */
+
+/**
+ * キーと埋め込む値で表した文言 (branded error もこの形で理由を持つ)
+ * @typedef {{
+ *  messageKey: MessageKey;
+ *  params?: MessageParams;
+ * }} LocalizedMessage
+ */
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is Locale}
+ */
+const isLocale = (arg) => Object.keys(LOCALES).includes(arg);
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is MessageKey}
+ */
+const isMessageKey = (arg) => typeof arg === 'string' && Object.hasOwn(JA_MESSAGES, arg);
+
+/**
+ * キーに対応する文言を、指定した言語で返す関数
+ *
+ * {name} は params の値に置き換え、params にない名前はそのまま残す
+ * @param {Locale} locale
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {string}
+ */
+const translate = (locale, messageKey, params = {}) =>
+  MESSAGE_CATALOGS[locale][messageKey].replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const param = params[name];
+    if (param == null) return placeholder;
+    return typeof param === 'object' ? translate(locale, param.messageKey, param.params) : `${param}`;
+  });
+
+/**
+ * cli.js が require した値に付ける型 (script として書いたファイルは、require しても型が付かないため)
+ * @typedef {{
+ *  LOCALES: typeof LOCALES;
+ *  DEFAULT_LOCALE: Locale;
+ *  isLocale: typeof isLocale;
+ *  isMessageKey: typeof isMessageKey;
+ *  translate: typeof translate;
+ * }} MessagesExportsForCli
+ */
+
+// @ts-ignore
+if (typeof module === 'object') Object.assign(module.exports, {
+  LOCALES,
+  DEFAULT_LOCALE,
+  MESSAGE_CATALOGS,
+  isLocale,
+  isMessageKey,
+  translate
+});
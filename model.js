@@ -0,0 +1,4289 @@
+// JavaScript Document
+// @ts-check
+'use strict';
+// DOM に依存しない計算 (Model / PDF / SVG)。ブラウザでは script.js より先に読み込み、Node.js からは require できる
+// ============================================================
+// ----- constants -----
+const PAGES_PER_SHEET = 4;
+const MAX_PAGES = 200;
+// 折丁に分ける場合は中綴じの物理的な上限に縛られないため、別の上限を設ける
+const MAX_PAGES_WITH_SIGNATURES = 1000;
+// クリープの計算で受け付ける用紙の厚さの上限 (mm)
+const MAX_PAPER_THICKNESS_MM = 1;
+/**
+ * 用紙の厚さのプリセット (連量ごとの目安の値)
+ * - paperKind: 紙の種類の表示名のキー
+ * @type {{paperKind: MessageKey; basisWeightKg: number; thicknessMm: number;}[]}
+ */
+const PAPER_THICKNESS_PRESETS = [
+  { paperKind: 'paperKind.woodfree', basisWeightKg: 55, thicknessMm: 0.08 },
+  { paperKind: 'paperKind.woodfree', basisWeightKg: 70, thicknessMm: 0.1 },
+  { paperKind: 'paperKind.woodfree', basisWeightKg: 90, thicknessMm: 0.12 },
+  { paperKind: 'paperKind.woodfree', basisWeightKg: 110, thicknessMm: 0.15 },
+  { paperKind: 'paperKind.woodfree', basisWeightKg: 135, thicknessMm: 0.18 },
+  { paperKind: 'paperKind.coated', basisWeightKg: 90, thicknessMm: 0.08 },
+  { paperKind: 'paperKind.coated', basisWeightKg: 110, thicknessMm: 0.1 },
+  { paperKind: 'paperKind.coated', basisWeightKg: 135, thicknessMm: 0.12 }
+];
+/**
+ * 用紙の仕上がり寸法 (縦長の向き, mm)
+ * @type {{[key in 'A3' | 'A4' | 'A5' | 'B4' | 'B5' | 'B6']: {widthMm: number; heightMm: number;}}}
+ */
+const PAPER_SIZES_MM = {
+  A3: { widthMm: 297, heightMm: 420 },
+  A4: { widthMm: 210, heightMm: 297 },
+  A5: { widthMm: 148, heightMm: 210 },
+  B4: { widthMm: 257, heightMm: 364 },
+  B5: { widthMm: 182, heightMm: 257 },
+  B6: { widthMm: 128, heightMm: 182 }
+};
+/**
+ * 仕上がりサイズと印刷用紙のサイズの組み合わせのプリセット
+ * - finishedName, sheetName: 表示に使う、仕上がりサイズと印刷用紙のサイズの名前
+ * @type {{
+ *  id: string;
+ *  finishedName: keyof typeof PAPER_SIZES_MM;
+ *  sheetName: keyof typeof PAPER_SIZES_MM;
+ *  finished: {widthMm: number; heightMm: number;};
+ *  sheet: {widthMm: number; heightMm: number;};
+ * }[]}
+ */
+const PAPER_SIZE_PRESETS = [
+  { id: 'a5-on-a4', finishedName: 'A5', sheetName: 'A4', finished: PAPER_SIZES_MM.A5, sheet: PAPER_SIZES_MM.A4 },
+  { id: 'b6-on-b5', finishedName: 'B6', sheetName: 'B5', finished: PAPER_SIZES_MM.B6, sheet: PAPER_SIZES_MM.B5 },
+  { id: 'a4-on-a3', finishedName: 'A4', sheetName: 'A3', finished: PAPER_SIZES_MM.A4, sheet: PAPER_SIZES_MM.A3 },
+  { id: 'b5-on-b4', finishedName: 'B5', sheetName: 'B4', finished: PAPER_SIZES_MM.B5, sheet: PAPER_SIZES_MM.B4 }
+];
+// SVG の台紙に描く塗り足しの幅と、トンボの線の長さ (mm)
+const BLEED_MM = 3;
+const CROP_MARK_LENGTH_MM = 5;
+// PDF の長さの単位 (1/72 インチ) をミリメートルに換算する係数
+const MM_PER_PDF_POINT = 25.4 / 72;
+/**
+ * 大判の用紙に 8 面・16 面を付ける面付けの種類 (左綴じのときの折り方)
+ * - labelKey: 面付けの種類の表示名のキー
+ * - rows, columns: 片面に並ぶページの行数と列数
+ * - folds: 折る順の折り方。axis は折り目の向き、moving は折り重ねる側。最後の折り目が背になる
+ * @type {{[key in 'quarto' | 'octavo']: {
+ *  labelKey: MessageKey;
+ *  rows: number;
+ *  columns: number;
+ *  folds: {axis: 'vertical' | 'horizontal'; moving: 'left' | 'right' | 'top' | 'bottom';}[];
+ * }}}
+ */
+const GRID_SCHEMES = {
+  quarto: {
+    labelKey: 'gridScheme.quarto',
+    rows: 2,
+    columns: 2,
+    folds: [
+      { axis: 'horizontal', moving: 'top' },
+      { axis: 'vertical', moving: 'left' }
+    ]
+  },
+  octavo: {
+    labelKey: 'gridScheme.octavo',
+    rows: 2,
+    columns: 4,
+    folds: [
+      { axis: 'vertical', moving: 'right' },
+      { axis: 'horizontal', moving: 'top' },
+      { axis: 'vertical', moving: 'left' }
+    ]
+  }
+};
+
+/**
+ * 1 枚の用紙の片面に 8 ページを付け、切り込みを 1 本入れて折る zine の並び (左綴じ)
+ *
+ * 上の行から、各行は左から並べる。offset は用紙の中での何ページ目か (0 始まり)、rotation は天地の向き
+ * @type {{offset: number; rotation: 0 | 180;}[][]}
+ */
+const ZINE_LAYOUT = [
+  [
+    { offset: 4, rotation: 180 },
+    { offset: 3, rotation: 180 },
+    { offset: 2, rotation: 180 },
+    { offset: 1, rotation: 180 }
+  ],
+  [
+    { offset: 5, rotation: 0 },
+    { offset: 6, rotation: 0 },
+    { offset: 7, rotation: 0 },
+    { offset: 0, rotation: 0 }
+  ]
+];
+
+/**
+ * 入力値を URL やプリセットに書くときの項目名 (コマンドラインのオプション名と同じ)
+ */
+const INPUT_PARAM_NAMES = {
+  inputtedPages: 'pages',
+  startEndColorPages: 'start-end-color',
+  centerColorPages: 'center-color',
+  colorPageRanges: 'color-ranges',
+  coverOption: 'cover',
+  bindingDirection: 'binding',
+  sheetsPerSignature: 'sheets-per-signature',
+  paperThicknessMm: 'paper-thickness',
+  pageNumberStart: 'page-number-start',
+  romanPages: 'roman-pages',
+  pageNames: 'page-names',
+  blankPlacement: 'blank-placement',
+  leafInserts: 'leaf-inserts'
+};
+
+/**
+ * URL やプリセットに項目がないときに使う値 (入力フォームの初期値と同じ)。ページ数は省略できない
+ * @type {{[key in keyof typeof INPUT_PARAM_NAMES]?: string}}
+ */
+const INPUT_PARAM_DEFAULTS = {
+  startEndColorPages: '0',
+  centerColorPages: '0',
+  colorPageRanges: '',
+  coverOption: 'excluding',
+  bindingDirection: 'left',
+  sheetsPerSignature: '0',
+  paperThicknessMm: '0',
+  pageNumberStart: '1',
+  romanPages: '0',
+  pageNames: '',
+  blankPlacement: 'end',
+  leafInserts: ''
+};
+
+/**
+ * 入力フォームの外にある設定を URL やプリセットに書くときの項目名
+ *
+ * 版の組み方・8 面・16 面の面付けの種類・zine は、コマンドラインのオプション名と同じ
+ */
+const SETTING_PARAM_NAMES = {
+  pressLayout: 'press-layout',
+  gridScheme: 'grid',
+  isZineMode: 'zine',
+  copies: 'copies',
+  colorSidePrice: 'color-side-price',
+  monoSidePrice: 'mono-side-price',
+  blankSidePrice: 'blank-side-price',
+  paperPrice: 'paper-price',
+  finishedWidthMm: 'finished-width',
+  finishedHeightMm: 'finished-height',
+  sheetWidthMm: 'sheet-width',
+  sheetHeightMm: 'sheet-height',
+  flipEdge: 'flip-edge',
+  isDuplexReversed: 'reverse-duplex',
+  isFrontsReversed: 'reverse-fronts',
+  isBacksReversed: 'reverse-backs'
+};
+
+/**
+ * URL やプリセットに設定の項目がないときに使う値 (各設定欄の初期値と同じ)。8 面・16 面の面付けを使わないときは空文字列
+ * @type {{[key in keyof typeof SETTING_PARAM_NAMES]: string}}
+ */
+const SETTING_PARAM_DEFAULTS = {
+  pressLayout: 'sheetwise',
+  gridScheme: '',
+  isZineMode: 'false',
+  copies: '1',
+  colorSidePrice: '0',
+  monoSidePrice: '0',
+  blankSidePrice: '0',
+  paperPrice: '0',
+  finishedWidthMm: `${PAPER_SIZE_PRESETS[0].finished.widthMm}`,
+  finishedHeightMm: `${PAPER_SIZE_PRESETS[0].finished.heightMm}`,
+  sheetWidthMm: `${PAPER_SIZE_PRESETS[0].sheet.widthMm}`,
+  sheetHeightMm: `${PAPER_SIZE_PRESETS[0].sheet.heightMm}`,
+  flipEdge: 'shortEdge',
+  isDuplexReversed: 'false',
+  isFrontsReversed: 'false',
+  isBacksReversed: 'false'
+};
+
+/**
+ * 書き出すプリセットの JSON の形式の版
+ */
+const PRESET_FILE_VERSION = 1;
+
+// ============================================================
+// ----- utilities -----
+
+/**
+ * @typedef {number} SafeNonNegativeInteger
+ * @description BigInt ではない安全な非負整数
+ */
+
+/**
+ * 入力値を検証する関数: input が "BigInt でない 0 以上の整数" であるか否かを返す
+ * @param {any} input
+ * @returns {input is SafeNonNegativeInteger}
+ */
+const isSafeNonNegativeInteger = (input) => {
+  return input >= 0 && Number.isSafeInteger(input);
+};
+
+/**
+ * @typedef {number} SafePositiveInteger
+ * @description 0 より大きく BigInt ではない安全な整数
+ */
+
+/**
+ * 入力値を検証する関数: input が "BigInt でない 0 より大きい整数" であるか否かを返す
+ * @param {any} input
+ * @returns {input is SafePositiveInteger}
+ */
+const isSafePositiveInteger = (input) => {
+  return input > 0 && Number.isSafeInteger(input);
+};
+
+/**
+ * 入力値を検証する関数: input が "0 以上の有限な数値" であるか否かを返す (小数を含む)
+ * @param {any} input
+ * @returns {input is number}
+ */
+const isNonNegativeFiniteNumber = (input) => {
+  return typeof input === 'number' && Number.isFinite(input) && input >= 0;
+};
+
+// ============================================================
+// ----- Model -----
+/**
+ * 入力値から総ページ数、空白ページ数と印刷用紙の枚数を割り出す関数
+ *
+ * 例外: ページ数が maxPages を超過する場合、branded error を返す
+ * @param {SafePositiveInteger} inputtedPages
+ * @param {SafePositiveInteger} [maxPages]
+ * @returns {{
+ *    blankPages?: undefined;
+ *    allPages?: undefined;
+ *    sheets? : undefined;
+ *    error: {__brand: 'pageCalculationError'; messageKey: MessageKey; params?: MessageParams;};
+ * } | {
+ *    blankPages: SafePositiveInteger;
+ *    allPages: SafePositiveInteger;
+ *    sheets: SafePositiveInteger;
+ *    error: null;
+ * }}
+ */
+const calcPages = (inputtedPages, maxPages = MAX_PAGES) => {
+  const remainder = inputtedPages % PAGES_PER_SHEET;
+  // -> 0, 1, 2, 3
+  const blankPages = remainder === 0 ? 0 : PAGES_PER_SHEET - remainder;
+  const allPages = remainder === 0 ? inputtedPages : inputtedPages + blankPages;
+
+  if (allPages > maxPages) return { error: { __brand: 'pageCalculationError', messageKey: 'error.tooManyPages' } };
+
+  const sheets = allPages / PAGES_PER_SHEET;
+
+  return { blankPages, allPages, sheets, error: null };
+};
+
+/**
+ * - content: 数字はページ、文字列は表紙などの面を表す文言のキー (何も刷らない面は空文字列)
+ * - paperLabel: この用紙に使う紙の種類の表示名のキー (本文用紙 / 表紙用紙 など)
+ * - creepShiftMm: クリープを補正するために、この用紙のページをノド側へずらす量 (mm)。用紙の厚さが 0 のときは持たない
+ * @typedef {{
+ *  index: number;
+ *  indexToDisplay: number;
+ *  content: {
+ *    front: {
+ *      left: number | string;
+ *      right: number | string;
+ *    };
+ *    back: {
+ *      left: number | string;
+ *      right: number | string;
+ *    };
+ *  };
+ *  isColorPrint: boolean;
+ *  colorSides: {
+ *    front: boolean;
+ *    back: boolean;
+ *  };
+ *  paperLabel: MessageKey;
+ *  signatureIndex?: number;
+ *  creepShiftMm?: number;
+ * }} SheetData
+ */
+
+/**
+ * 折丁 (同じ折に入れ子になる用紙のまとまり) の情報
+ * - firstSheetIndex: この折の最初の用紙の index
+ * - firstPage, lastPage: この折に含まれるページ範囲
+ * - isIrregular: 折が 2 つ以上あり、この折だけ他の折と枚数が異なるか否か (1 折だけの本では常に false)
+ * @typedef {{
+ *  index: number;
+ *  indexToDisplay: number;
+ *  sheets: SafePositiveInteger;
+ *  firstSheetIndex: SafeNonNegativeInteger;
+ *  firstPage: SafePositiveInteger;
+ *  lastPage: SafePositiveInteger;
+ *  isIrregular: boolean;
+ * }} SignatureData
+ */
+
+/**
+ * 用紙全体を、1 折あたり sheetsPerSignature 枚の折丁に分割する関数
+ *
+ * sheetsPerSignature が 0 のときは、全用紙が 1 つの折に入れ子になる中綴じとして扱う。
+ * 端数は最後の折にまとめるため、最後の折だけ枚数が少なくなることがある
+ * @param {object} configs
+ * @param {SafePositiveInteger} configs.sheets
+ * @param {SafeNonNegativeInteger} configs.sheetsPerSignature
+ * @returns {SignatureData[]}
+ */
+const splitSignatures = ({ sheets, sheetsPerSignature }) => {
+  const sheetsPerOne = sheetsPerSignature === 0 ? sheets : sheetsPerSignature;
+  const signatureCount = Math.ceil(sheets / sheetsPerOne);
+
+  return Array.from({ length: signatureCount }, (_, i) => {
+    const firstSheetIndex = i * sheetsPerOne;
+    const signatureSheets = Math.min(sheetsPerOne, sheets - firstSheetIndex);
+    const firstPage = firstSheetIndex * PAGES_PER_SHEET + 1;
+
+    return {
+      index: i,
+      indexToDisplay: i + 1,
+      sheets: signatureSheets,
+      firstSheetIndex,
+      firstPage,
+      lastPage: firstPage + signatureSheets * PAGES_PER_SHEET - 1,
+      isIrregular: signatureCount > 1 && signatureSheets !== sheetsPerOne
+    };
+  });
+};
+
+/**
+ * ページ範囲の式 (例: "1-4, 21-24, 41") を解釈し、含まれるページ番号を昇順で返す関数
+ *
+ * - 区切りは "," か "、"、範囲は "-" か "〜" で書く。全角の数字や記号も受け付ける
+ * - 空文字列のときは空の配列を返す
+ *
+ * 例外: 解釈できない項目や、maxPage を超えるページがある場合、branded error を返す
+ * @param {string} expression
+ * @param {SafePositiveInteger} maxPage
+ * @returns {{
+ *  pages: SafePositiveInteger[]; error: null;
+ * } | {
+ *  pages?: undefined; error: {__brand: 'pageRangeParseError'; messageKey: MessageKey; params?: MessageParams}
+ * }}
+ */
+const parsePageRanges = (expression, maxPage) => {
+  /** @type {Set<SafePositiveInteger>} */
+  const pages = new Set();
+  const items = expression
+    .normalize('NFKC')
+    .split(/[,、]/)
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+
+  for (const item of items) {
+    const match = item.match(/^(\d+)(?:\s*[-~〜–—]\s*(\d+))?$/);
+    if (match == null)
+      return { error: { __brand: 'pageRangeParseError', messageKey: 'error.pageRangeUnparsable', params: { item } } };
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] == null ? start : parseInt(match[2], 10);
+    if (!isSafePositiveInteger(start) || start > end)
+      return { error: { __brand: 'pageRangeParseError', messageKey: 'error.pageRangeInvalid', params: { item } } };
+    if (end > maxPage)
+      return {
+        error: { __brand: 'pageRangeParseError', messageKey: 'error.pageRangeExceedsTotal', params: { item, maxPage } }
+      };
+
+    for (let page = start; page <= end; page++) pages.add(page);
+  }
+
+  return { pages: [...pages].sort((a, b) => a - b), error: null };
+};
+
+/**
+ * 1 葉 (2 ページ) で差し込むページの指定 (例: "13, 27") を解釈し、各葉の最初のページ番号を昇順で返す関数
+ *
+ * - 各項目は葉のオモテになるページで、その次のページが同じ葉のウラになる
+ * - オモテは本の右ページ (奇数ページ) にあたるため、奇数だけを受け付ける
+ * - 区切りは "," か "、"。全角の数字や記号も受け付ける。空文字列のときは空の配列を返す
+ *
+ * 例外: 解釈できない項目や、偶数・maxPage を超えるページ、同じページの重複がある場合、branded error を返す
+ * @param {string} expression
+ * @param {SafePositiveInteger} maxPage
+ * @returns {{
+ *  leafFirstPages: SafePositiveInteger[]; error: null;
+ * } | {
+ *  leafFirstPages?: undefined; error: {__brand: 'leafInsertParseError'; messageKey: MessageKey; params?: MessageParams}
+ * }}
+ */
+const parseLeafInserts = (expression, maxPage) => {
+  /** @type {Set<SafePositiveInteger>} */
+  const leafFirstPages = new Set();
+  const items = expression
+    .normalize('NFKC')
+    .split(/[,、]/)
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+
+  for (const item of items) {
+    if (!/^\d+$/.test(item))
+      return { error: { __brand: 'leafInsertParseError', messageKey: 'error.leafInsertUnparsable', params: { item } } };
+
+    const page = parseInt(item, 10);
+    if (!isSafePositiveInteger(page) || page % 2 === 0)
+      return {
+        error: { __brand: 'leafInsertParseError', messageKey: 'error.leafInsertNotOdd', params: { item } }
+      };
+    if (page + 1 > maxPage)
+      return {
+        error: {
+          __brand: 'leafInsertParseError',
+          messageKey: 'error.leafInsertExceedsTotal',
+          params: { item, maxPage }
+        }
+      };
+    if (leafFirstPages.has(page))
+      return { error: { __brand: 'leafInsertParseError', messageKey: 'error.leafInsertDuplicated', params: { page } } };
+
+    leafFirstPages.add(page);
+  }
+
+  return { leafFirstPages: [...leafFirstPages].sort((a, b) => a - b), error: null };
+};
+
+/**
+ * ノンブルのないページの指定 (例: "1:扉, 36:奥付") を解釈し、ページ番号から名前への Map を返す関数
+ *
+ * - 区切りは "," か "、"、ページ番号と名前の間は ":" で書く。全角の数字や記号も受け付ける
+ * - 空文字列のときは空の Map を返す
+ *
+ * 例外: 解釈できない項目や、maxPage を超えるページ、同じページの重複がある場合、branded error を返す
+ * @param {string} expression
+ * @param {SafePositiveInteger} maxPage
+ * @returns {{
+ *  pageNames: Map<SafePositiveInteger, string>; error: null;
+ * } | {
+ *  pageNames?: undefined; error: {__brand: 'pageLabelParseError'; messageKey: MessageKey; params?: MessageParams}
+ * }}
+ */
+const parsePageNames = (expression, maxPage) => {
+  /** @type {Map<SafePositiveInteger, string>} */
+  const pageNames = new Map();
+  const items = expression
+    .normalize('NFKC')
+    .split(/[,、]/)
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+
+  for (const item of items) {
+    const match = item.match(/^(\d+)\s*:\s*(\S(?:.*\S)?)$/);
+    if (match == null)
+      return {
+        error: { __brand: 'pageLabelParseError', messageKey: 'error.pageNameUnparsable', params: { item } }
+      };
+
+    const page = parseInt(match[1], 10);
+    if (!isSafePositiveInteger(page) || page > maxPage)
+      return {
+        error: { __brand: 'pageLabelParseError', messageKey: 'error.pageNameOutOfRange', params: { item, maxPage } }
+      };
+    if (pageNames.has(page))
+      return { error: { __brand: 'pageLabelParseError', messageKey: 'error.pageNameDuplicated', params: { page } } };
+
+    pageNames.set(page, match[2]);
+  }
+
+  return { pageNames, error: null };
+};
+
+/**
+ * 正の整数を小文字のローマ数字にする補助関数 (例: 4 -> "iv")
+ * @param {SafePositiveInteger} number
+ * @returns {string}
+ */
+const toRomanNumeral = (number) => {
+  /** @type {[number, string][]} */
+  const symbols = [
+    [1000, 'm'],
+    [900, 'cm'],
+    [500, 'd'],
+    [400, 'cd'],
+    [100, 'c'],
+    [90, 'xc'],
+    [50, 'l'],
+    [40, 'xl'],
+    [10, 'x'],
+    [9, 'ix'],
+    [5, 'v'],
+    [4, 'iv'],
+    [1, 'i']
+  ];
+
+  let rest = number;
+  let roman = '';
+  for (const [value, symbol] of symbols) {
+    while (rest >= value) {
+      roman += symbol;
+      rest -= value;
+    }
+  }
+  return roman;
+};
+
+/**
+ * 各ページに、デザイナーが使うノンブル (ページの表示名) をつける関数
+ *
+ * 配列の i 番目が、原稿の i + 1 ページ目の表示名になる。面付け上の位置は変わらない。
+ * - 最初の romanPages ページは、前付けとしてローマ数字 (i, ii, …) にする
+ * - 以降は pageNumberStart から数える (通しノンブル)
+ * - pageNames で名前をつけたページ (扉・奥付など) は名前を表示する。番号は表示しないが、数えることはする (隠しノンブル)
+ * @param {object} scheme
+ * @param {SafePositiveInteger} scheme.allPages - 原稿のページ数
+ * @param {SafePositiveInteger} scheme.pageNumberStart
+ * @param {SafeNonNegativeInteger} scheme.romanPages
+ * @param {Map<SafePositiveInteger, string>} scheme.pageNames
+ * @returns {string[]}
+ */
+const createPageLabels = ({ allPages, pageNumberStart, romanPages, pageNames }) =>
+  Array.from({ length: allPages }, (_, i) => {
+    const page = i + 1;
+    const pageName = pageNames.get(page);
+    if (pageName != null) return pageName;
+    if (page <= romanPages) return toRomanNumeral(page);
+
+    return `${pageNumberStart + page - romanPages - 1}`;
+  });
+
+/**
+ * 用紙の枠に入っている値を、表示するノンブルにする補助関数
+ *
+ * 数字のページは pageLabels (面付け上の位置ごとのノンブル。空白ページは空文字列) から引き、
+ * 表紙などの文言のキーはそのまま返す (表示する言語に訳すのは呼び出し側)
+ * @param {number | string} value
+ * @param {string[]} pageLabels
+ * @returns {string}
+ */
+const getPageLabel = (value, pageLabels) => (typeof value === 'number' ? pageLabels[value - 1] ?? `${value}` : value);
+
+/**
+ * カラー印刷するページ番号の集合を作る関数
+ *
+ * 巻頭巻末カラーは本全体の最初と最後のページ、センターカラーは本全体の中央のページとして扱う。
+ * 中綴じのときは、外側から startEndColorSheets 枚・内側から centerColorSheets 枚の用紙がカラーになる。
+ * これらに、範囲指定で個別に選んだ rangeColorPages を加える
+ * @param {object} configs
+ * @param {SafePositiveInteger} configs.allPages
+ * @param {SafeNonNegativeInteger} configs.startEndColorSheets
+ * @param {SafeNonNegativeInteger} configs.centerColorSheets
+ * @param {SafePositiveInteger[]} configs.rangeColorPages
+ * @returns {Set<number>}
+ */
+const createColorPageSet = ({ allPages, startEndColorSheets, centerColorSheets, rangeColorPages }) => {
+  const startEndPages = startEndColorSheets * 2;
+  const centerPage = allPages / 2;
+  const centerPages = centerColorSheets * 2;
+
+  const colorPages = new Set(rangeColorPages);
+  for (let page = 1; page <= allPages; page++) {
+    if (page <= startEndPages || page > allPages - startEndPages) colorPages.add(page);
+    if (page > centerPage - centerPages && page <= centerPage + centerPages) colorPages.add(page);
+  }
+  return colorPages;
+};
+
+/**
+ * 印刷用紙の片面に対して、それがカラー印刷であるか否かを判定する補助関数
+ * @param {{left: number | string; right: number | string;}} side
+ * @param {Set<number>} colorPages
+ * @returns {boolean}
+ */
+const isColorSide = ({ left, right }, colorPages) =>
+  [left, right].some((page) => typeof page === 'number' && colorPages.has(page));
+
+/**
+ * 表紙の設定
+ * - excluding: 表紙を含まない
+ * - including: 本文と同じ用紙で、表紙と裏表紙 (表1・表4) だけを刷る
+ * - includingInside: 本文と同じ用紙で、表紙の内側 (表2・表3) も刷る
+ * - separateStock: 本文とは別の用紙に、表紙と裏表紙を刷る
+ * - wrap: 本文とは別の用紙に、裏表紙・背・表紙をひと続きに刷るくるみ表紙
+ * @typedef {'excluding' | 'including' | 'includingInside' | 'separateStock' | 'wrap'} CoverOption
+ */
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is CoverOption}
+ */
+const isCoverOption = (arg) => {
+  const coverOptionList = ['excluding', 'including', 'includingInside', 'separateStock', 'wrap'];
+  return coverOptionList.includes(arg);
+};
+
+/**
+ * 端数を埋める空白ページの位置
+ * - end: 最後のページの後 / start: 最初のページの前 (表紙を含む場合は表紙の直後)
+ * - afterFirstPage: 1 ページ目の直後 / beforeLastPage: 最後のページ (奥付など) の直前
+ * - split: 1 ページ目の直後と最後のページの直前に分ける (余る 1 ページは前に入れる)
+ * @typedef {'end' | 'start' | 'afterFirstPage' | 'beforeLastPage' | 'split'} BlankPlacement
+ */
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is BlankPlacement}
+ */
+const isBlankPlacement = (arg) => {
+  const blankPlacementList = ['end', 'start', 'afterFirstPage', 'beforeLastPage', 'split'];
+  return blankPlacementList.includes(arg);
+};
+
+/**
+ * 面付け上のページ位置から、入力したページ (原稿のページ) への対応表を作る関数
+ *
+ * 配列の i 番目が、面付け上の i + 1 ページ目に入る原稿のページ番号。空白ページは null になる。
+ * 空白ページを blankPlacement の位置に差し込み、原稿のページはその前後に順に並べる。
+ * 1 葉で差し込むページ (leafPages) は用紙に面付けしないので、対応表には含めない
+ * @param {object} configs
+ * @param {SafePositiveInteger} configs.inputtedPages
+ * @param {SafePositiveInteger} configs.allPages - 空白ページを含む、用紙に面付けするページ数
+ * @param {BlankPlacement} configs.blankPlacement
+ * @param {Set<SafePositiveInteger>} [configs.leafPages]
+ * @returns {(SafePositiveInteger | null)[]}
+ */
+const createPageMap = ({ inputtedPages, allPages, blankPlacement, leafPages = new Set() }) => {
+  const contentPages = Array.from({ length: inputtedPages }, (_, i) => i + 1).filter((page) => !leafPages.has(page));
+  /** @param {number} length */
+  const blanks = (length) => Array.from({ length }, () => null);
+  const blankPages = allPages - contentPages.length;
+  const [firstPage, ...restPages] = contentPages;
+  const middlePages = restPages.slice(0, -1);
+  const lastPages = restPages.slice(-1);
+
+  /** @type {{[key in BlankPlacement]: () => (SafePositiveInteger | null)[]}} */
+  const pageMapCreatorKeyMap = {
+    end: () => [...contentPages, ...blanks(blankPages)],
+    start: () => [...blanks(blankPages), ...contentPages],
+    afterFirstPage: () => [firstPage, ...blanks(blankPages), ...restPages],
+    beforeLastPage: () => [firstPage, ...middlePages, ...blanks(blankPages), ...lastPages],
+    split: () => {
+      const frontBlankPages = Math.ceil(blankPages / 2);
+      return [firstPage, ...blanks(frontBlankPages), ...middlePages, ...blanks(blankPages - frontBlankPages), ...lastPages];
+    }
+  };
+
+  return pageMapCreatorKeyMap[blankPlacement]();
+};
+
+/**
+ * 枠に入っている値が、差し込んだ空白ページか判定する補助関数
+ * @param {number | string} value
+ * @param {(SafePositiveInteger | null)[]} pageMap
+ * @returns {boolean}
+ */
+const isBlankSlot = (value, pageMap) => typeof value === 'number' && pageMap[value - 1] == null;
+
+/**
+ * 綴じ方向: 'left' は左綴じ (横書き)、'right' は右綴じ (縦書き)
+ * @typedef {'left' | 'right'} BindingDirection
+ */
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is BindingDirection}
+ */
+const isBindingDirection = (arg) => {
+  const bindingDirectionList = ['left', 'right'];
+  return bindingDirectionList.includes(arg);
+};
+
+/**
+ * 印刷用紙の片面に載る 2 ページを、綴じ方向に応じて左右に振り分ける補助関数
+ *
+ * 引数は左綴じのときの並びで渡す。右綴じのときは左右を入れ替えた鏡像になる
+ * @template T
+ * @param {BindingDirection} bindingDirection
+ * @param {T} left - 左綴じのときに左側に来るページ
+ * @param {T} right - 左綴じのときに右側に来るページ
+ * @returns {{left: T; right: T;}}
+ */
+const arrangeSide = (bindingDirection, left, right) => {
+  if (bindingDirection === 'right') return { left: right, right: left };
+  return { left, right };
+};
+
+/**
+ * 本文の用紙の表示名のキー
+ * @type {MessageKey}
+ */
+const BODY_PAPER_LABEL = 'paper.body';
+
+/**
+ * 表紙の用紙の表示名のキー
+ * @type {MessageKey}
+ */
+const COVER_PAPER_LABEL = 'paper.cover';
+
+/**
+ * 表紙の用紙のデータを作る補助関数
+ *
+ * オモテ面が本の外側 (表4・表1)、ウラ面が内側 (表2・表3)。ウラ面は用紙を裏返した向きで見るため、
+ * 表1 の裏に表2、表4 の裏に表3 が来る
+ * @param {object} configs
+ * @param {BindingDirection} configs.bindingDirection
+ * @param {MessageKey} configs.paperLabel
+ * @param {boolean} configs.hasInsideCovers - 表2・表3 も刷るか
+ * @returns {SheetData}
+ */
+const createCoverSheet = ({ bindingDirection, paperLabel, hasInsideCovers }) => ({
+  index: -1,
+  indexToDisplay: 1,
+  content: {
+    front: arrangeSide(bindingDirection, 'page.backCover', 'page.frontCover'),
+    back: hasInsideCovers
+      ? arrangeSide(bindingDirection, 'page.insideFrontCover', 'page.insideBackCover')
+      : { left: '', right: '' }
+  },
+  isColorPrint: true,
+  colorSides: { front: true, back: hasInsideCovers },
+  paperLabel
+});
+
+/**
+ * 表紙の用紙を先頭に置き、本文の用紙の番号を 1 つずつ後ろへずらす補助関数
+ * @param {SheetData} cover
+ * @param {SheetData[]} contentDataList
+ * @returns {SheetData[]}
+ */
+const prependCoverSheet = (cover, contentDataList) => [
+  cover,
+  ...contentDataList.map((sheetData) => {
+    sheetData.indexToDisplay++;
+    return sheetData;
+  })
+];
+
+/**
+ * @typedef {{
+ *  [key in CoverOption]: ({ signatures, colorPages, bindingDirection }: {
+ *    signatures: SignatureData[];
+ *    colorPages: Set<number>;
+ *    bindingDirection: BindingDirection;
+ *  }) => SheetData[]}} DataListCreatorKeyMap
+ */
+/**
+ * @type {DataListCreatorKeyMap}
+ */
+const dataListCreatorKeyMap = {
+  excluding: ({ signatures, colorPages, bindingDirection }) => {
+    // 折ごとに、その折の中だけで入れ子になるようにページを割り付ける
+    const sheetDataList = signatures.flatMap(({ index: signatureIndex, sheets, firstSheetIndex, firstPage, lastPage }) =>
+      Array.from({ length: sheets }, (_, j) => {
+        const i = firstSheetIndex + j;
+        const front = arrangeSide(bindingDirection, lastPage - j * 2, firstPage + j * 2);
+        const back = arrangeSide(bindingDirection, firstPage + 1 + j * 2, lastPage - 1 - j * 2);
+        const colorSides = { front: isColorSide(front, colorPages), back: isColorSide(back, colorPages) };
+
+        /** @type {SheetData} */
+        const sheetData = {
+          index: i,
+          indexToDisplay: i + 1,
+          content: { front, back },
+          isColorPrint: colorSides.front || colorSides.back,
+          colorSides,
+          paperLabel: BODY_PAPER_LABEL,
+          signatureIndex
+        };
+
+        return sheetData;
+      })
+    );
+
+    return sheetDataList;
+  },
+
+  including: ({ signatures, colorPages, bindingDirection }) =>
+    prependCoverSheet(
+      createCoverSheet({ bindingDirection, paperLabel: BODY_PAPER_LABEL, hasInsideCovers: false }),
+      dataListCreatorKeyMap['excluding']({ signatures, colorPages, bindingDirection })
+    ),
+
+  includingInside: ({ signatures, colorPages, bindingDirection }) =>
+    prependCoverSheet(
+      createCoverSheet({ bindingDirection, paperLabel: BODY_PAPER_LABEL, hasInsideCovers: true }),
+      dataListCreatorKeyMap['excluding']({ signatures, colorPages, bindingDirection })
+    ),
+
+  separateStock: ({ signatures, colorPages, bindingDirection }) =>
+    prependCoverSheet(
+      createCoverSheet({ bindingDirection, paperLabel: COVER_PAPER_LABEL, hasInsideCovers: false }),
+      dataListCreatorKeyMap['excluding']({ signatures, colorPages, bindingDirection })
+    ),
+
+  // 背は表紙と裏表紙の間に入る。背幅は用紙の厚さから別に計算する (calcSpineWidthMm)
+  wrap: ({ signatures, colorPages, bindingDirection }) =>
+    prependCoverSheet(
+      createCoverSheet({ bindingDirection, paperLabel: 'paper.wrapCover', hasInsideCovers: false }),
+      dataListCreatorKeyMap['excluding']({ signatures, colorPages, bindingDirection })
+    )
+};
+
+/**
+ * くるみ表紙の背幅を、本文の用紙の厚さから計算する関数
+ *
+ * 本文の葉 (用紙 1 枚を二つ折りにした半分) の数 × 用紙の厚さとする。表紙の紙の厚さや糊の厚みは含まない (近似)
+ * @param {object} configs
+ * @param {SafePositiveInteger} configs.allPages - 空白ページを含む本文のページ数
+ * @param {number} configs.paperThicknessMm
+ * @returns {number}
+ */
+const calcSpineWidthMm = ({ allPages, paperThicknessMm }) =>
+  Math.round((allPages / 2) * paperThicknessMm * 100) / 100;
+
+/**
+ * くるみ表紙を外側から見たときの、左から順の面と全体の寸法
+ * - panels: 裏表紙・背・表紙 (右綴じでは表紙・背・裏表紙) の表示名のキーと幅
+ * @typedef {{
+ *  panels: {kind: 'backCover' | 'spine' | 'frontCover'; label: MessageKey; widthMm: number;}[];
+ *  widthMm: number;
+ *  heightMm: number;
+ * }} WrapCoverLayout
+ */
+
+/**
+ * 仕上がりサイズと背幅から、くるみ表紙の展開図の寸法を計算する関数
+ * @param {object} configs
+ * @param {number} configs.finishedWidthMm
+ * @param {number} configs.finishedHeightMm
+ * @param {number} configs.spineWidthMm
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {WrapCoverLayout}
+ */
+const calcWrapCoverLayout = ({ finishedWidthMm, finishedHeightMm, spineWidthMm, bindingDirection }) => {
+  const { left, right } = arrangeSide(
+    bindingDirection,
+    { kind: /** @type {const} */ ('backCover'), label: /** @type {MessageKey} */ ('page.backCover'), widthMm: finishedWidthMm },
+    { kind: /** @type {const} */ ('frontCover'), label: /** @type {MessageKey} */ ('page.frontCover'), widthMm: finishedWidthMm }
+  );
+
+  return {
+    panels: [left, { kind: 'spine', label: 'coverLayout.spine', widthMm: spineWidthMm }, right],
+    widthMm: finishedWidthMm * 2 + spineWidthMm,
+    heightMm: finishedHeightMm
+  };
+};
+
+/**
+ * 用紙に面付けせず、1 葉 (2 ページ) で差し込む紙の情報
+ * - firstPage, lastPage: 原稿のページ番号。オモテとウラに 1 ページずつ刷る
+ * - afterPage: 面付け上で、この葉の直前に来るページ (0 のときは最初のページの前)
+ * - sheetIndex, sheetIndexToDisplay: この葉を貼り込む (綴じ込む) 隣の用紙
+ * - labels: オモテとウラのノンブル
+ * @typedef {{
+ *  index: number;
+ *  indexToDisplay: number;
+ *  firstPage: SafePositiveInteger;
+ *  lastPage: SafePositiveInteger;
+ *  afterPage: SafeNonNegativeInteger;
+ *  sheetIndex: number;
+ *  sheetIndexToDisplay: number;
+ *  labels: {front: string; back: string;};
+ *  colorSides: {front: boolean; back: boolean;};
+ * }} LeafInsert
+ */
+
+/**
+ * 1 葉で差し込む紙ごとに、面付けした本のどこに入り、どの用紙の隣に貼り込むかを求める関数
+ *
+ * 葉は、原稿で直後に続くページ (なければ最後のページ) の手前に入る。
+ * 葉は面付けした本の 1 枚の葉のオモテとウラの間には入れられないため、直前のページが面付け上で偶数 (葉のウラ) でなければならない
+ *
+ * 例外: 空白ページの位置のために、葉が別の葉のオモテとウラの間に入ってしまう場合、branded error を返す
+ * @param {object} configs
+ * @param {SafePositiveInteger[]} configs.leafFirstPages
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap
+ * @param {SheetData[]} configs.dataList
+ * @param {Set<SafePositiveInteger>} configs.colorPages - カラー印刷する原稿のページ番号
+ * @param {string[]} configs.contentPageLabels - 原稿のページごとのノンブル
+ * @returns {{
+ *  leafInserts: LeafInsert[]; error: null;
+ * } | {
+ *  leafInserts?: undefined; error: {__brand: 'leafInsertError'; messageKey: MessageKey; params?: MessageParams}
+ * }}
+ */
+const createLeafInserts = ({ leafFirstPages, pageMap, dataList, colorPages, contentPageLabels }) => {
+  /** @type {LeafInsert[]} */
+  const leafInserts = [];
+  const lastContentPosition = pageMap.length - [...pageMap].reverse().findIndex((page) => page != null);
+
+  for (const [index, firstPage] of leafFirstPages.entries()) {
+    const lastPage = firstPage + 1;
+    const nextPosition = pageMap.findIndex((page) => page != null && page > lastPage);
+    const afterPage = nextPosition === -1 ? lastContentPosition : nextPosition;
+    if (afterPage % 2 !== 0)
+      return {
+        error: {
+          __brand: 'leafInsertError',
+          messageKey: 'error.leafInsertSplitsLeaf',
+          params: { page: firstPage }
+        }
+      };
+
+    const attachedPage = afterPage === 0 ? 1 : afterPage;
+    const sheetData = dataList.find(({ content }) =>
+      [content.front.left, content.front.right, content.back.left, content.back.right].includes(attachedPage)
+    );
+    if (sheetData == null)
+      return {
+        error: { __brand: 'leafInsertError', messageKey: 'error.leafInsertSheetNotFound', params: { page: firstPage } }
+      };
+
+    leafInserts.push({
+      index,
+      indexToDisplay: index + 1,
+      firstPage,
+      lastPage,
+      afterPage,
+      sheetIndex: sheetData.index,
+      sheetIndexToDisplay: sheetData.indexToDisplay,
+      labels: { front: contentPageLabels[firstPage - 1], back: contentPageLabels[lastPage - 1] },
+      colorSides: { front: colorPages.has(firstPage), back: colorPages.has(lastPage) }
+    });
+  }
+
+  return { leafInserts, error: null };
+};
+
+/**
+ * 印刷用紙の片面の種類: カラー印刷 / モノクロ印刷 / 何も印刷しない白面
+ * @typedef {'color' | 'mono' | 'blank'} SideKind
+ */
+
+/**
+ * 1 部あたりの面数と用紙の枚数
+ * @typedef {{
+ *  colorSides: SafeNonNegativeInteger;
+ *  monoSides: SafeNonNegativeInteger;
+ *  blankSides: SafeNonNegativeInteger;
+ *  sheets: SafeNonNegativeInteger;
+ * }} ImpressionSummary
+ */
+
+/**
+ * 印刷用紙の片面の種類を判定する補助関数
+ *
+ * 載るページがすべて空白ページか空文字列なら白面とする
+ * @param {{left: number | string; right: number | string;}} side
+ * @param {boolean} isColor
+ * @param {(SafePositiveInteger | null)[]} pageMap
+ * @returns {SideKind}
+ */
+const getSideKind = ({ left, right }, isColor, pageMap) => {
+  const isBlank = [left, right].every((page) => page === '' || isBlankSlot(page, pageMap));
+  if (isBlank) return 'blank';
+  return isColor ? 'color' : 'mono';
+};
+
+/**
+ * 印刷用紙のデータから、1 部あたりのカラー面・モノクロ面・白面の数と用紙の枚数を数える関数
+ *
+ * 1 葉で差し込む紙も、1 枚の用紙としてオモテとウラの 2 面を数える
+ * @param {SheetData[]} dataList
+ * @param {(SafePositiveInteger | null)[]} pageMap
+ * @param {LeafInsert[]} [leafInserts]
+ * @returns {ImpressionSummary}
+ */
+const summarizeImpressions = (dataList, pageMap, leafInserts = []) => {
+  /** @type {{[key in SideKind]: number}} */
+  const counts = { color: 0, mono: 0, blank: 0 };
+
+  dataList.forEach(({ content, colorSides }) => {
+    counts[getSideKind(content.front, colorSides.front, pageMap)]++;
+    counts[getSideKind(content.back, colorSides.back, pageMap)]++;
+  });
+  leafInserts.forEach(({ colorSides }) => {
+    counts[colorSides.front ? 'color' : 'mono']++;
+    counts[colorSides.back ? 'color' : 'mono']++;
+  });
+
+  return {
+    colorSides: counts.color,
+    monoSides: counts.mono,
+    blankSides: counts.blank,
+    sheets: dataList.length + leafInserts.length
+  };
+};
+
+/**
+ * 面ごとの単価と用紙の単価から、1 部あたりと全部数の費用を見積もる関数
+ * @param {object} configs
+ * @param {ImpressionSummary} configs.impressionSummary
+ * @param {SafePositiveInteger} configs.copies - 部数
+ * @param {number} configs.colorSidePrice - カラー面 1 面あたりの単価
+ * @param {number} configs.monoSidePrice - モノクロ面 1 面あたりの単価
+ * @param {number} configs.blankSidePrice - 白面 1 面あたりの単価
+ * @param {number} configs.paperPrice - 用紙 1 枚あたりの単価
+ * @returns {{costPerCopy: number; totalCost: number;}}
+ */
+const estimatePrintCost = ({ impressionSummary, copies, colorSidePrice, monoSidePrice, blankSidePrice, paperPrice }) => {
+  const { colorSides, monoSides, blankSides, sheets } = impressionSummary;
+  const costPerCopy =
+    colorSides * colorSidePrice + monoSides * monoSidePrice + blankSides * blankSidePrice + sheets * paperPrice;
+
+  return { costPerCopy, totalCost: costPerCopy * copies };
+};
+
+/**
+ * 印刷ダイアログに入力するページ順の種類
+ * - duplex: 両面印刷機能で、オモテとウラを続けて印刷する
+ * - fronts, backs: 両面印刷機能のないプリンタで、オモテ面とウラ面を別々に印刷する
+ * @typedef {'duplex' | 'fronts' | 'backs'} PrintPass
+ */
+
+/**
+ * 用紙を裏返す向き: 'shortEdge' は短辺、'longEdge' は長辺を軸に裏返す
+ * @typedef {'shortEdge' | 'longEdge'} FlipEdge
+ */
+
+/**
+ * 数値のページを 1 つも含まない用紙 (表紙の用紙) を除く補助関数
+ *
+ * 表紙の用紙は本文とは別に刷るものとして、印刷の手順からは外す
+ * @param {SheetData[]} dataList
+ * @returns {SheetData[]}
+ */
+const filterPrintedSheets = (dataList) =>
+  dataList.filter(({ content }) =>
+    [content.front.left, content.front.right, content.back.left, content.back.right].some(
+      (page) => typeof page === 'number'
+    )
+  );
+
+/**
+ * 面付け上の位置を、印刷用の原稿のページ番号に直す補助関数
+ *
+ * 印刷用の原稿は、面付け上の位置の順 (空白ページを含む) にページを並べ、
+ * 1 葉で差し込む紙の 2 ページを、その葉の afterPage の位置の直後に入れたもの
+ * @param {number} position
+ * @param {LeafInsert[]} leafInserts
+ * @returns {number}
+ */
+const toPreparedPage = (position, leafInserts) =>
+  position + leafInserts.filter(({ afterPage }) => afterPage < position).length * 2;
+
+/**
+ * 1 葉で差し込む紙のオモテとウラが、印刷用の原稿の何ページ目に来るかを求める補助関数
+ *
+ * leafInserts は afterPage の昇順に並ぶため、この葉より前には index 枚の葉 (2 × index ページ) が入る
+ * @param {LeafInsert} leafInsert
+ * @returns {{front: number; back: number;}}
+ */
+const toPreparedLeafPages = ({ afterPage, index }) => ({
+  front: afterPage + index * 2 + 1,
+  back: afterPage + index * 2 + 2
+});
+
+/**
+ * 印刷ダイアログに入力するページ順
+ * - sheetPages: 用紙に 2 ページ割り付け (2 in 1) で刷るページ順
+ * - leafPages: 1 葉で差し込む紙に 1 ページずつ刷るページ順
+ * @typedef {{
+ *  sheetPages: number[];
+ *  leafPages: number[];
+ * }} PrintSequence
+ */
+
+/**
+ * 印刷ダイアログに入力するページ順を作る関数
+ *
+ * - ページ番号は、空白ページを表の「白」の位置に差し込み、1 葉で差し込む紙のページを本の中の位置に置いた
+ *   印刷用の原稿のページ番号 (toPreparedPage) で、用紙の面ごとに必ず 2 ページずつ並ぶ。
+ *   空白ページの位置を除くと、2 ページ割り付けの組み合わせがずれるため
+ * - 数値のページを含まない用紙 (表紙の用紙) は別に刷るものとして除く
+ * - 1 葉で差し込む紙は用紙と大きさが違うため、1 ページ割り付けの別のページ順にし、貼り込む用紙の順に並べる
+ *   (両面印刷ならオモテとウラ、オモテ面のみなら firstPage、ウラ面のみなら lastPage)
+ * - isReversed: 排紙の重なり順に合わせて、用紙の順番を逆にする
+ * - flipEdge が 'longEdge' のときは、ウラ面が用紙に対して 180° 回った向きで刷られるため、
+ *   ウラ面の左右のページを入れ替える (各ページの 180° 回転は印刷ダイアログで行う)
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {PrintPass} configs.pass
+ * @param {boolean} configs.isReversed
+ * @param {FlipEdge} configs.flipEdge
+ * @param {LeafInsert[]} [configs.leafInserts]
+ * @returns {PrintSequence}
+ */
+const createPrintSequence = ({ dataList, pass, isReversed, flipEdge, leafInserts = [] }) => {
+  const printedSheets = filterPrintedSheets(dataList);
+  const orderedSheets = isReversed ? [...printedSheets].reverse() : printedSheets;
+
+  /**
+   * @param {{left: number | string; right: number | string;}} side
+   * @param {boolean} isBack
+   * @returns {number[]}
+   */
+  const toPagePair = ({ left, right }, isBack) => {
+    const pair = isBack && flipEdge === 'longEdge' ? [right, left] : [left, right];
+    return pair.flatMap((position) => (typeof position === 'number' ? [toPreparedPage(position, leafInserts)] : []));
+  };
+
+  const sheetPages = orderedSheets.flatMap(({ content }) => {
+    if (pass === 'fronts') return toPagePair(content.front, false);
+    if (pass === 'backs') return toPagePair(content.back, true);
+    return [...toPagePair(content.front, false), ...toPagePair(content.back, true)];
+  });
+
+  const leafPages = orderedSheets.flatMap(({ index }) =>
+    leafInserts
+      .filter(({ sheetIndex }) => sheetIndex === index)
+      .flatMap((leafInsert) => {
+        const { front, back } = toPreparedLeafPages(leafInsert);
+        if (pass === 'fronts') return [front];
+        if (pass === 'backs') return [back];
+        return [front, back];
+      })
+  );
+
+  return { sheetPages, leafPages };
+};
+
+/**
+ * 印刷ガイドの 1 手順
+ * - side: 用紙の片面を印刷する (left, right は用紙を見たときの並び)
+ * - flip: オモテ面を刷り終えた束を裏返して、給紙トレイに戻す
+ * - leaf: 1 葉で差し込む紙を刷り、貼り込む用紙の隣に置く
+ * - done: すべての面を刷り終えた
+ * @typedef {{
+ *  kind: 'side';
+ *  sheetIndexToDisplay: number;
+ *  side: 'front' | 'back';
+ *  left: number | string;
+ *  right: number | string;
+ *  sideKind: SideKind;
+ * } | {
+ *  kind: 'flip';
+ *  flipEdge: FlipEdge;
+ * } | {
+ *  kind: 'leaf';
+ *  leafInsert: LeafInsert;
+ * } | {
+ *  kind: 'done';
+ * }} PrintStep
+ */
+
+/**
+ * 手差しで印刷するときの手順を、1 手順ずつの配列にする関数
+ *
+ * オモテ面をすべて刷ってから束を裏返し、ウラ面を刷る。
+ * isBacksReversed が true のときは、ウラ面を用紙の逆順で刷る (排紙の重なり順に合わせる)。
+ * 1 葉で差し込む紙は、貼り込む用紙のウラ面を刷った直後に 1 枚ずつ刷り、その用紙の隣に置く
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap
+ * @param {FlipEdge} configs.flipEdge
+ * @param {boolean} configs.isBacksReversed
+ * @param {LeafInsert[]} [configs.leafInserts]
+ * @returns {PrintStep[]}
+ */
+const createPrintSteps = ({ dataList, pageMap, flipEdge, isBacksReversed, leafInserts = [] }) => {
+  const printedSheets = filterPrintedSheets(dataList);
+  const backsOrder = isBacksReversed ? [...printedSheets].reverse() : printedSheets;
+
+  /**
+   * @param {SheetData} sheetData
+   * @param {'front' | 'back'} side
+   * @returns {PrintStep}
+   */
+  const toSideStep = ({ indexToDisplay, content, colorSides }, side) => ({
+    kind: 'side',
+    sheetIndexToDisplay: indexToDisplay,
+    side,
+    left: content[side].left,
+    right: content[side].right,
+    sideKind: getSideKind(content[side], colorSides[side], pageMap)
+  });
+
+  return [
+    ...printedSheets.map((sheetData) => toSideStep(sheetData, 'front')),
+    { kind: 'flip', flipEdge },
+    ...backsOrder.flatMap((sheetData) => [
+      toSideStep(sheetData, 'back'),
+      ...leafInserts
+        .filter(({ sheetIndex }) => sheetIndex === sheetData.index)
+        .map((leafInsert) => /** @type {PrintStep} */ ({ kind: 'leaf', leafInsert }))
+    ]),
+    { kind: 'done' }
+  ];
+};
+
+/**
+ * 印刷所で刷るときの版の組み方
+ * - sheetwise: 表裏別版。用紙のオモテとウラをそれぞれの版で刷る
+ * - workAndTurn: 打ち返し。オモテとウラを左右に並べた 1 つの版で刷り、用紙を左右に返して同じ版で刷る
+ * - workAndTumble: くわえ返し。オモテとウラを上下に並べた 1 つの版で刷り、用紙を天地に返して同じ版で刷る
+ * @typedef {'sheetwise' | 'workAndTurn' | 'workAndTumble'} PressLayout
+ */
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is PressLayout}
+ */
+const isPressLayout = (arg) => {
+  const pressLayoutList = ['sheetwise', 'workAndTurn', 'workAndTumble'];
+  return pressLayoutList.includes(arg);
+};
+
+/**
+ * 1 つの版 (刷り本の片面) に並ぶ、用紙の片面の内容
+ * - rotation: 版の上での回転 (度)。くわえ返しでは、天地に返したときに正しい向きになるようウラ面を 180° 回す
+ * @typedef {{
+ *  side: 'front' | 'back';
+ *  left: number | string;
+ *  right: number | string;
+ *  isColor: boolean;
+ *  rotation: 0 | 180;
+ * }} PressSlot
+ */
+
+/**
+ * 1 つの版の内容
+ * - arrangement: slots の並べ方。horizontal は左右、vertical は上下
+ * - sheetIndexToDisplay: この版で刷る用紙の番号
+ * @typedef {{
+ *  index: number;
+ *  indexToDisplay: number;
+ *  sheetIndexToDisplay: number;
+ *  arrangement: 'horizontal' | 'vertical';
+ *  slots: PressSlot[];
+ * }} PressPlate
+ */
+
+/**
+ * 版ごとの内容を作る関数
+ *
+ * - sheetwise: 用紙の面ごとに 1 つの版を作る (何も刷らない面は版を作らない)
+ * - workAndTurn, workAndTumble: 用紙ごとに、オモテとウラを 2 倍の大きさの 1 つの版にまとめる。
+ *   2 回刷った刷り本を半分に断裁すると、同じ用紙が 2 枚できる。
+ *   片面にしか刷らない用紙 (ウラが白面の表紙など) は返して刷れないため、sheetwise と同じく刷る面だけの版を作る
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap
+ * @param {PressLayout} configs.pressLayout
+ * @returns {PressPlate[]}
+ */
+const createPressPlates = ({ dataList, pageMap, pressLayout }) => {
+  /**
+   * @param {SheetData} sheetData
+   * @param {'front' | 'back'} side
+   * @param {0 | 180} rotation
+   * @returns {PressSlot}
+   */
+  const toSlot = ({ content, colorSides }, side, rotation) => ({
+    side,
+    left: content[side].left,
+    right: content[side].right,
+    isColor: colorSides[side],
+    rotation
+  });
+
+  /** @type {Omit<PressPlate, 'index' | 'indexToDisplay'>[]} */
+  const plates = dataList.flatMap((sheetData) => {
+    const printedSides = /** @type {('front' | 'back')[]} */ (['front', 'back']).filter(
+      (side) => getSideKind(sheetData.content[side], sheetData.colorSides[side], pageMap) !== 'blank'
+    );
+    if (pressLayout === 'sheetwise' || printedSides.length < 2)
+      return printedSides.map((side) => ({
+        sheetIndexToDisplay: sheetData.indexToDisplay,
+        arrangement: /** @type {const} */ ('horizontal'),
+        slots: [toSlot(sheetData, side, 0)]
+      }));
+
+    return [
+      {
+        sheetIndexToDisplay: sheetData.indexToDisplay,
+        arrangement: pressLayout === 'workAndTurn' ? 'horizontal' : 'vertical',
+        slots: [toSlot(sheetData, 'front', 0), toSlot(sheetData, 'back', pressLayout === 'workAndTurn' ? 0 : 180)]
+      }
+    ];
+  });
+
+  return plates.map((plate, index) => ({ index, indexToDisplay: index + 1, ...plate }));
+};
+
+/**
+ * 版の数と、1 部あたりの刷り本の枚数・通し回数
+ * @typedef {{
+ *  plates: SafeNonNegativeInteger;
+ *  pressSheetsPerCopy: number;
+ *  passesPerCopy: number;
+ * }} PressSummary
+ */
+
+/**
+ * 版の組み方ごとに、版の数と 1 部あたりの刷り本の枚数・通し回数を数える関数
+ *
+ * 1 つの版で 1 回刷る。打ち返しとくわえ返しで両面を 1 つの版にまとめた用紙は、1 枚の刷り本から 2 枚できるため、
+ * 刷り本は用紙 1 枚あたり 0.5 枚になる。片面だけの版で刷る用紙と、何も刷らない用紙は、用紙 1 枚あたり刷り本 1 枚と数える
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap
+ * @param {PressLayout} configs.pressLayout
+ * @returns {PressSummary}
+ */
+const summarizePress = ({ dataList, pageMap, pressLayout }) => {
+  const plates = createPressPlates({ dataList, pageMap, pressLayout });
+  const turnedSheets = plates.filter(({ slots }) => slots.length === 2).length;
+
+  return { plates: plates.length, pressSheetsPerCopy: dataList.length - turnedSheets / 2, passesPerCopy: plates.length };
+};
+
+/**
+ * 折って綴じた本の 1 ページと、それがどの用紙のどの面・どちら側から来たか
+ * @typedef {{
+ *  value: number | string;
+ *  sheetIndexToDisplay: number;
+ *  side: 'front' | 'back';
+ *  slot: 'left' | 'right';
+ * }} FoldedPage
+ */
+
+/**
+ * 見開き: pages は読む順 (最初と最後の見開きは 1 ページだけ)
+ * - isInOrder: 見開きの中の数字のページが、直前のページから順に続いているか
+ * @typedef {{
+ *  index: number;
+ *  pages: FoldedPage[];
+ *  isInOrder: boolean;
+ * }} Spread
+ */
+
+/**
+ * 印刷用紙を折って重ね、綴じたときのページの並び (読む順) を作る関数
+ *
+ * 折ごとに用紙を入れ子にして二つ折りにし、折を順に重ねる。表紙の用紙はすべての折の外側を包む。
+ * 用紙 1 枚からは、綴じ側と反対の半分 (前半の 1 葉) と綴じ側の半分 (後半の 1 葉) の 2 葉ができる
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {FoldedPage[]}
+ */
+const foldBook = ({ dataList, bindingDirection }) => {
+  // 前半の葉はオモテ面の綴じと反対側が表 (ウラ面の同じ側が裏)。右綴じでは左右が入れ替わる
+  const [outerSlot, innerSlot] = /** @type {('left' | 'right')[]} */ (
+    bindingDirection === 'left' ? ['right', 'left'] : ['left', 'right']
+  );
+
+  /**
+   * @param {SheetData} sheetData
+   * @param {'front' | 'back'} side
+   * @param {'left' | 'right'} slot
+   * @returns {FoldedPage}
+   */
+  const toFoldedPage = ({ indexToDisplay, content }, side, slot) => ({
+    value: content[side][slot],
+    sheetIndexToDisplay: indexToDisplay,
+    side,
+    slot
+  });
+  /** @param {SheetData} sheetData */
+  const firstLeaf = (sheetData) => [
+    toFoldedPage(sheetData, 'front', outerSlot),
+    toFoldedPage(sheetData, 'back', innerSlot)
+  ];
+  /** @param {SheetData} sheetData */
+  const secondLeaf = (sheetData) => [
+    toFoldedPage(sheetData, 'back', outerSlot),
+    toFoldedPage(sheetData, 'front', innerSlot)
+  ];
+
+  const covers = dataList.filter(({ signatureIndex }) => signatureIndex == null);
+  /** @type {Map<number, SheetData[]>} */
+  const signatureMap = new Map();
+  dataList.forEach((sheetData) => {
+    if (sheetData.signatureIndex == null) return;
+    signatureMap.set(sheetData.signatureIndex, [...(signatureMap.get(sheetData.signatureIndex) ?? []), sheetData]);
+  });
+
+  const body = [...signatureMap.values()].flatMap((sheets) => [
+    ...sheets.flatMap(firstLeaf),
+    ...[...sheets].reverse().flatMap(secondLeaf)
+  ]);
+
+  return [...covers.flatMap(firstLeaf), ...body, ...[...covers].reverse().flatMap(secondLeaf)];
+};
+
+/**
+ * 折って綴じた本を見開きごとに分け、数字のページが順に読めない見開きに印をつける関数
+ *
+ * 最初のページは単独の見開き、以降は 2 ページずつ、最後に余った 1 ページは単独の見開きにする
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {Spread[]}
+ */
+const createFoldedSpreads = ({ dataList, bindingDirection }) => {
+  const foldedPages = foldBook({ dataList, bindingDirection });
+
+  /** @type {FoldedPage[][]} */
+  const pageGroups = [];
+  for (let i = 0; i < foldedPages.length; i += i === 0 ? 1 : 2) {
+    pageGroups.push(foldedPages.slice(i, i === 0 ? 1 : i + 2));
+  }
+
+  let expectedPage = 1;
+  return pageGroups.map((pages, index) => {
+    let isInOrder = true;
+    pages.forEach(({ value }) => {
+      if (typeof value !== 'number') return;
+      if (value !== expectedPage) isInOrder = false;
+      expectedPage = value + 1;
+    });
+
+    return { index, pages, isInOrder };
+  });
+};
+
+/**
+ * 8 面・16 面の面付けの種類
+ * @typedef {keyof typeof GRID_SCHEMES} GridScheme
+ */
+
+/**
+ *
+ * @param {any} arg
+ * @returns {arg is GridScheme}
+ */
+const isGridScheme = (arg) => Object.keys(GRID_SCHEMES).includes(arg);
+
+/**
+ * 大判の用紙の片面に並ぶページの枠
+ * - rotation: 天地の向き。180 のページは天地を逆にして刷る (天どうしが向かい合う)
+ * @typedef {{
+ *  value: number;
+ *  rotation: 0 | 180;
+ * }} GridSlot
+ */
+
+/**
+ * 8 面・16 面の面付けでの、大判の用紙 1 枚分のデータ
+ *
+ * SheetData の左右 2 つの枠の代わりに、行ごとの枠の配列 (上の行から、各行は左から) を持つ。
+ * ウラ面は、SheetData と同じく用紙を左右に裏返して見たときの並び
+ * @typedef {{
+ *  index: number;
+ *  indexToDisplay: number;
+ *  content: {
+ *    front: GridSlot[][];
+ *    back: GridSlot[][];
+ *  };
+ * }} GridSheetData
+ */
+
+/**
+ * 折り図に描く折り目の線
+ * - position: 用紙の左端 (横の折り目では上端) からの位置を、用紙の幅 (高さ) に対する割合で表す
+ * @typedef {{
+ *  order: number;
+ *  axis: 'vertical' | 'horizontal';
+ *  position: number;
+ * }} FoldLine
+ */
+
+/**
+ * 大判の用紙 1 枚を折ったときに、各ページの枠がどこに来るかを調べ、1 折分の面付けを作る関数
+ *
+ * 用紙を GRID_SCHEMES の順に半分ずつ折り重ね、折り重なった枠を上から順に 1 葉ずつ読む。
+ * 上から i 番目 (0 始まり) の葉の上向きの面が firstPage + 2i、下向きの面が firstPage + 2i + 1 ページになる。
+ * 折るたびに動かした側の枠は裏返るので、枠ごとに左右・上下の反転を追う。上下に反転した枠のページは天地を逆に刷る
+ * @param {object} configs
+ * @param {GridScheme} configs.gridScheme
+ * @param {SafePositiveInteger} configs.firstPage - この折の最初のページ
+ * @returns {{front: GridSlot[][]; back: GridSlot[][];}} 左綴じのときの並び
+ */
+const foldGridSheet = ({ gridScheme, firstPage }) => {
+  const { rows, columns, folds } = GRID_SCHEMES[gridScheme];
+
+  // 枠ごとに、折り重ねた後の位置 (x, y)・左右と上下の反転 (flipX, flipY)・下からの重なり順 (layer) を追う
+  const cells = Array.from({ length: rows * columns }, (_, i) => ({
+    row: Math.floor(i / columns),
+    column: i % columns,
+    x: (i % columns) + 0.5,
+    y: Math.floor(i / columns) + 0.5,
+    flipX: false,
+    flipY: false,
+    layer: 0
+  }));
+  const bounds = { left: 0, right: columns, top: 0, bottom: rows };
+  let layers = 1;
+
+  for (const { axis, moving } of folds) {
+    const isVertical = axis === 'vertical';
+    const middle = isVertical ? (bounds.left + bounds.right) / 2 : (bounds.top + bounds.bottom) / 2;
+    const isMoving = (/** @type {number} */ position) =>
+      moving === 'right' || moving === 'bottom' ? position > middle : position < middle;
+
+    cells.forEach((cell) => {
+      if (!isMoving(isVertical ? cell.x : cell.y)) return;
+
+      if (isVertical) {
+        cell.x = middle * 2 - cell.x;
+        cell.flipX = !cell.flipX;
+      } else {
+        cell.y = middle * 2 - cell.y;
+        cell.flipY = !cell.flipY;
+      }
+      cell.layer = layers * 2 - 1 - cell.layer;
+    });
+
+    if (moving === 'left') bounds.left = middle;
+    if (moving === 'right') bounds.right = middle;
+    if (moving === 'top') bounds.top = middle;
+    if (moving === 'bottom') bounds.bottom = middle;
+    layers *= 2;
+  }
+
+  /** @type {GridSlot[][]} */
+  const upperSide = Array.from({ length: rows }, () => []);
+  /** @type {GridSlot[][]} */
+  const lowerSide = Array.from({ length: rows }, () => []);
+
+  cells.forEach(({ row, column, flipX, flipY, layer }) => {
+    const leafIndex = layers - 1 - layer;
+    // 反転の回数が偶数なら、折る前に上を向いていた面が葉の上向きの面になる
+    const isUpperSideUp = flipX === flipY;
+    /** @type {0 | 180} */
+    const rotation = flipY ? 180 : 0;
+    const upPage = firstPage + leafIndex * 2;
+    const downPage = upPage + 1;
+
+    upperSide[row][column] = { value: isUpperSideUp ? upPage : downPage, rotation };
+    // 折る前に下を向いていた面は、左右に裏返して見た並びにする
+    lowerSide[row][columns - 1 - column] = { value: isUpperSideUp ? downPage : upPage, rotation };
+  });
+
+  // 最初のページが載る面 (本の外側になる面) をオモテ面とする
+  const hasFirstPageOnUpperSide = upperSide.some((slots) => slots.some(({ value }) => value === firstPage));
+  return hasFirstPageOnUpperSide ? { front: upperSide, back: lowerSide } : { front: lowerSide, back: upperSide };
+};
+
+/**
+ * 8 面・16 面の面付けで、大判の用紙ごとのページの並びと折り図を作る関数
+ *
+ * - 1 枚の用紙が 1 つの折になる。端数は最後の折の末尾に空白ページとして入れる
+ * - 右綴じのときは、左綴じの並びを左右に反転し、折る向きも左右を入れ替える
+ *
+ * 例外: ページ数が上限を超える場合、branded error を返す
+ * @param {object} configs
+ * @param {SafePositiveInteger} configs.inputtedPages
+ * @param {GridScheme} configs.gridScheme
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {{
+ *  sheets: GridSheetData[];
+ *  allPages: SafePositiveInteger;
+ *  blankPages: SafeNonNegativeInteger;
+ *  folds: {axis: 'vertical' | 'horizontal'; moving: 'left' | 'right' | 'top' | 'bottom';}[];
+ *  foldLines: FoldLine[];
+ *  error: null;
+ * } | {
+ *  sheets?: undefined;
+ *  allPages?: undefined;
+ *  blankPages?: undefined;
+ *  folds?: undefined;
+ *  foldLines?: undefined;
+ *  error: {__brand: 'pageCalculationError'; messageKey: MessageKey; params?: MessageParams};
+ * }}
+ */
+const createGridImposition = ({ inputtedPages, gridScheme, bindingDirection }) => {
+  const { rows, columns, folds } = GRID_SCHEMES[gridScheme];
+  const pagesPerSheet = rows * columns * 2;
+  const allPages = Math.ceil(inputtedPages / pagesPerSheet) * pagesPerSheet;
+  if (allPages > MAX_PAGES_WITH_SIGNATURES)
+    return { error: { __brand: 'pageCalculationError', messageKey: 'error.tooManyPages' } };
+
+  /** @param {GridSlot[][]} slotRows */
+  const arrangeRows = (slotRows) => (bindingDirection === 'right' ? slotRows.map((slots) => [...slots].reverse()) : slotRows);
+
+  const sheets = Array.from({ length: allPages / pagesPerSheet }, (_, index) => {
+    const { front, back } = foldGridSheet({ gridScheme, firstPage: index * pagesPerSheet + 1 });
+    return { index, indexToDisplay: index + 1, content: { front: arrangeRows(front), back: arrangeRows(back) } };
+  });
+
+  /** @type {{[key in 'left' | 'right' | 'top' | 'bottom']: 'left' | 'right' | 'top' | 'bottom'}} */
+  const mirroredMovingMap = { left: 'right', right: 'left', top: 'top', bottom: 'bottom' };
+  const arrangedFolds = folds.map(({ axis, moving }) => ({
+    axis,
+    moving: bindingDirection === 'right' ? mirroredMovingMap[moving] : moving
+  }));
+
+  // 同じ向きに n 回折った後の折り目は、用紙を 2^(n+1) 等分する線のうち奇数番目に現れる
+  /** @type {FoldLine[]} */
+  const foldLines = arrangedFolds.flatMap(({ axis }, i) => {
+    const previousFolds = arrangedFolds.slice(0, i).filter((fold) => fold.axis === axis).length;
+    const divisions = 2 ** (previousFolds + 1);
+    return Array.from({ length: divisions / 2 }, (_, j) => ({ order: i + 1, axis, position: (j * 2 + 1) / divisions }));
+  });
+
+  return {
+    sheets,
+    allPages,
+    blankPages: allPages - inputtedPages,
+    folds: arrangedFolds,
+    foldLines,
+    error: null
+  };
+};
+
+/**
+ * 折り図に描く切り込みの線
+ * - position: 用紙の上端からの位置を、用紙の高さに対する割合で表す
+ * - from, to: 切り込みの両端の、用紙の左端からの位置を、用紙の幅に対する割合で表す
+ * @typedef {{
+ *  axis: 'horizontal';
+ *  position: number;
+ *  from: number;
+ *  to: number;
+ * }} CutLine
+ */
+
+/**
+ * zine の面付けでの、片面だけに刷る用紙 1 枚分のデータ
+ * @typedef {{
+ *  index: number;
+ *  indexToDisplay: number;
+ *  content: GridSlot[][];
+ * }} ZineSheetData
+ */
+
+/**
+ * 1 枚の用紙に 8 ページを付けて折る zine の、用紙ごとのページの並びと折り図を作る関数
+ *
+ * - 用紙は片面だけに刷る。8 ページを超えるときは 8 ページずつ別の用紙にし、折ったものを順に重ねて綴じる
+ * - 端数は最後の用紙の末尾に空白ページとして入れる
+ * - 右綴じのときは、左綴じの並びを左右に反転する
+ *
+ * 例外: ページ数が上限を超える場合、branded error を返す
+ * @param {object} configs
+ * @param {SafePositiveInteger} configs.inputtedPages
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {{
+ *  sheets: ZineSheetData[];
+ *  allPages: SafePositiveInteger;
+ *  blankPages: SafeNonNegativeInteger;
+ *  foldLines: FoldLine[];
+ *  cutLine: CutLine;
+ *  error: null;
+ * } | {
+ *  sheets?: undefined;
+ *  allPages?: undefined;
+ *  blankPages?: undefined;
+ *  foldLines?: undefined;
+ *  cutLine?: undefined;
+ *  error: {__brand: 'pageCalculationError'; messageKey: MessageKey; params?: MessageParams};
+ * }}
+ */
+const createZineImposition = ({ inputtedPages, bindingDirection }) => {
+  const pagesPerSheet = ZINE_LAYOUT.flat().length;
+  const allPages = Math.ceil(inputtedPages / pagesPerSheet) * pagesPerSheet;
+  if (allPages > MAX_PAGES) return { error: { __brand: 'pageCalculationError', messageKey: 'error.tooManyPages' } };
+
+  const sheets = Array.from({ length: allPages / pagesPerSheet }, (_, index) => {
+    const slotRows = ZINE_LAYOUT.map((slots) =>
+      slots.map(({ offset, rotation }) => ({ value: index * pagesPerSheet + offset + 1, rotation }))
+    );
+    return {
+      index,
+      indexToDisplay: index + 1,
+      content: bindingDirection === 'right' ? slotRows.map((slots) => slots.reverse()) : slotRows
+    };
+  });
+
+  return {
+    sheets,
+    allPages,
+    blankPages: allPages - inputtedPages,
+    // 上下に半分、左右に半分、両端を中央に合わせる順に折り目をつける
+    foldLines: [
+      { order: 1, axis: 'horizontal', position: 0.5 },
+      { order: 2, axis: 'vertical', position: 0.5 },
+      { order: 3, axis: 'vertical', position: 0.25 },
+      { order: 3, axis: 'vertical', position: 0.75 }
+    ],
+    cutLine: { axis: 'horizontal', position: 0.5, from: 0.25, to: 0.75 },
+    error: null
+  };
+};
+
+/**
+ * 描画を担当する関数に渡すためのデータを配列形式で作る関数
+ *
+ * 例外: coverOption が型 CoverOption に、bindingDirection が型 BindingDirection に
+ * 当てはまらないとき、branded error を返す
+ * @param {object} configs
+ * @param {SignatureData[]} configs.signatures
+ * @param {Set<number>} configs.colorPages - カラー印刷するページ番号
+ * @param {CoverOption} configs.coverOption
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {{
+ *  dataList: SheetData[]; error: null;
+ * } | {
+ *  dataList?: undefined; error: {__brand: 'dataListCreationError'; messageKey: MessageKey; params?: MessageParams}
+ * }}
+ */
+const createDataListToRender = ({
+  signatures,
+  colorPages,
+  coverOption = 'excluding',
+  bindingDirection = 'left'
+}) => {
+  if (!isCoverOption(coverOption))
+    return {
+      error: {
+        __brand: 'dataListCreationError',
+        messageKey: 'error.invalidValue',
+        params: { value: `${coverOption}` }
+      }
+    };
+  if (!isBindingDirection(bindingDirection))
+    return {
+      error: {
+        __brand: 'dataListCreationError',
+        messageKey: 'error.invalidValue',
+        params: { value: `${bindingDirection}` }
+      }
+    };
+  const dataList = dataListCreatorKeyMap[coverOption]({ signatures, colorPages, bindingDirection });
+
+  return { dataList, error: null };
+};
+
+/**
+ * 印刷用紙の片面に、仕上がりサイズのページ 2 つ (見開き) を並べたときの配置
+ * - sheetWidthMm, sheetHeightMm: 見開きに合わせて向きをそろえた印刷用紙の幅と高さ
+ * - scale: 見開きを用紙に収めるための倍率 (収まるときは 1 = 等倍)
+ * - trimMarginXMm, trimMarginYMm: 倍率を掛けた見開きの外側に残る余白 (左右と上下それぞれ片側の幅)
+ * @typedef {{
+ *  spreadWidthMm: number;
+ *  spreadHeightMm: number;
+ *  sheetWidthMm: number;
+ *  sheetHeightMm: number;
+ *  sheetOrientation: PageOrientation;
+ *  fits: boolean;
+ *  scale: number;
+ *  trimMarginXMm: number;
+ *  trimMarginYMm: number;
+ * }} SheetLayout
+ */
+
+/**
+ * 仕上がりサイズと印刷用紙のサイズから、用紙の片面への見開きの配置を計算する関数
+ *
+ * 用紙は縦横どちらの向きにも置けるものとし、見開きを大きく刷れる向きを選ぶ
+ * @param {object} sizes - いずれも 0 より大きい値 (mm)
+ * @param {number} sizes.finishedWidthMm
+ * @param {number} sizes.finishedHeightMm
+ * @param {number} sizes.sheetWidthMm
+ * @param {number} sizes.sheetHeightMm
+ * @returns {SheetLayout}
+ */
+const calcSheetLayout = ({ finishedWidthMm, finishedHeightMm, sheetWidthMm, sheetHeightMm }) => {
+  const spreadWidthMm = finishedWidthMm * 2;
+  const spreadHeightMm = finishedHeightMm;
+  const longSideMm = Math.max(sheetWidthMm, sheetHeightMm);
+  const shortSideMm = Math.min(sheetWidthMm, sheetHeightMm);
+
+  const landscapeScale = Math.min(longSideMm / spreadWidthMm, shortSideMm / spreadHeightMm);
+  const portraitScale = Math.min(shortSideMm / spreadWidthMm, longSideMm / spreadHeightMm);
+  /** @type {PageOrientation} */
+  const sheetOrientation = landscapeScale >= portraitScale ? 'landscape' : 'portrait';
+  const [orientedWidthMm, orientedHeightMm] =
+    sheetOrientation === 'landscape' ? [longSideMm, shortSideMm] : [shortSideMm, longSideMm];
+
+  const fitScale = Math.max(landscapeScale, portraitScale);
+  const scale = Math.min(fitScale, 1);
+
+  return {
+    spreadWidthMm,
+    spreadHeightMm,
+    sheetWidthMm: orientedWidthMm,
+    sheetHeightMm: orientedHeightMm,
+    sheetOrientation,
+    fits: fitScale >= 1,
+    scale,
+    trimMarginXMm: (orientedWidthMm - spreadWidthMm * scale) / 2,
+    trimMarginYMm: (orientedHeightMm - spreadHeightMm * scale) / 2
+  };
+};
+
+/**
+ * validateImposition などの検証が失敗したときの branded error を作るヘルパー
+ * @param {MessageKey} messageKey - 失敗した規則の文言のキー
+ * @param {MessageParams} params
+ * @returns {{__brand: 'impositionInvariantError'; messageKey: MessageKey; params?: MessageParams}}
+ */
+const createImpositionInvariantError = (messageKey, params) => ({
+  __brand: 'impositionInvariantError',
+  messageKey: 'error.impositionInvariant',
+  params: { detail: { messageKey, params } }
+});
+
+/**
+ * 面付けの結果が満たすべき規則を確かめる関数
+ *
+ * 1. 1 から allPages までの各ページが、ちょうど 1 回ずつ現れる
+ * 2. 数字でないページ (表紙など) は、折に属さない表紙の用紙にだけ現れる
+ * 3. 用紙の各面で向かい合う 2 ページの和が、その折の最初と最後のページの和 (中綴じなら allPages + 1) に等しい
+ * 4. 折って綴じたとき、数字のページが 1 から順に読める
+ * 5. 表紙の用紙は先頭の 1 枚だけで、オモテ面では表1 が綴じ側の反対 (左綴じなら右) に、表4 がその隣に来る。
+ *    ウラ面は何も刷らないか、用紙を裏返して見るため表1 の裏に表2、表4 の裏に表3 が来る
+ *
+ * DOM に依存しないので、ブラウザの外でも多くのページ数に対してまとめて実行できる
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {SignatureData[]} configs.signatures
+ * @param {SafePositiveInteger} configs.allPages
+ * @param {BindingDirection} configs.bindingDirection
+ * @returns {{ error: null } | { error: {__brand: 'impositionInvariantError'; messageKey: MessageKey; params?: MessageParams} }}
+ */
+const validateImposition = ({ dataList, signatures, allPages, bindingDirection }) => {
+  /**
+   * @param {MessageKey} messageKey
+   * @param {MessageParams} params
+   */
+  const fail = (messageKey, params) => ({ error: createImpositionInvariantError(messageKey, params) });
+
+  /** @type {Map<number, number>} */
+  const pageCountMap = new Map();
+
+  /** @type {'left' | 'right'} */
+  const frontCoverPosition = bindingDirection === 'left' ? 'right' : 'left';
+  /** @type {'left' | 'right'} */
+  const backCoverPosition = bindingDirection === 'left' ? 'left' : 'right';
+
+  for (const [position, { indexToDisplay, content, signatureIndex }] of dataList.entries()) {
+    // 表紙の用紙
+    if (signatureIndex == null) {
+      if (position !== 0) return fail('invariant.coverSheetPosition', { sheet: indexToDisplay });
+
+      const { front, back } = content;
+      if (front[frontCoverPosition] !== 'page.frontCover' || front[backCoverPosition] !== 'page.backCover')
+        return fail('invariant.coverSide', { sheet: indexToDisplay, side: { messageKey: 'side.front' } });
+      const isBackEmpty = back.left === '' && back.right === '';
+      const isBackInsideCovers =
+        back[backCoverPosition] === 'page.insideFrontCover' && back[frontCoverPosition] === 'page.insideBackCover';
+      if (!isBackEmpty && !isBackInsideCovers)
+        return fail('invariant.coverSide', { sheet: indexToDisplay, side: { messageKey: 'side.back' } });
+      continue;
+    }
+
+    for (const side of /** @type {('front' | 'back')[]} */ (['front', 'back'])) {
+      const { left, right } = content[side];
+      if (typeof left !== 'number' || typeof right !== 'number')
+        return fail('invariant.nonNumericPage', { sheet: indexToDisplay });
+
+      const signature = signatures[signatureIndex];
+      const expectedSum = signature.firstPage + signature.lastPage;
+      if (left + right !== expectedSum)
+        return fail('invariant.pageSum', { sheet: indexToDisplay, left, right, sum: expectedSum });
+
+      [left, right].forEach((page) => pageCountMap.set(page, (pageCountMap.get(page) ?? 0) + 1));
+    }
+  }
+
+  for (let page = 1; page <= allPages; page++) {
+    const count = pageCountMap.get(page) ?? 0;
+    if (count !== 1) return fail('invariant.pageCount', { page, count });
+  }
+  if (pageCountMap.size !== allPages) return fail('invariant.pageOutOfRange', { pages: allPages });
+
+  const outOfOrderSpread = createFoldedSpreads({ dataList, bindingDirection }).find(({ isInOrder }) => !isInOrder);
+  if (outOfOrderSpread) return fail('invariant.spreadOutOfOrder', { spread: outOfOrderSpread.index + 1 });
+
+  return { error: null };
+};
+
+/**
+ * 印刷ダイアログ用のページ順が満たすべき規則を確かめる関数
+ *
+ * ページ番号は、空白ページと 1 葉で差し込む紙のページも含めた印刷用の原稿のページとする。
+ * 本文と別に刷る表紙の用紙は、ページ順に含まない
+ *
+ * 1. 用紙のページ順には、刷る面 (両面印刷ならオモテとウラ、それ以外はどちらか一方) の数の 2 倍のページが並ぶ
+ * 2. 先頭から 2 ページずつが、同じ用紙の同じ面に載る 2 ページになる。両面印刷では、オモテの次に同じ用紙のウラが来る
+ * 3. 1 葉の紙のページ順には、葉ごとに刷る面の数だけページが並び、両面印刷ではオモテの次のページがウラになる
+ * 4. 2 つのページ順を通して、各ページがちょうど 1 回ずつ現れる。両面印刷では、印刷用の原稿のページに抜けがない
+ * @param {object} configs
+ * @param {PrintSequence} configs.sequence - createPrintSequence で作ったページ順
+ * @param {PrintPass} configs.pass
+ * @param {SheetData[]} configs.dataList
+ * @param {LeafInsert[]} [configs.leafInserts]
+ * @returns {{ error: null } | { error: {__brand: 'impositionInvariantError'; messageKey: MessageKey; params?: MessageParams} }}
+ */
+const validatePrintSequence = ({ sequence, pass, dataList, leafInserts = [] }) => {
+  const { sheetPages, leafPages } = sequence;
+  /** @type {{[key in PrintPass]: MessageKey}} */
+  const passLabelMap = { duplex: 'sequence.duplex', fronts: 'sequence.fronts', backs: 'sequence.backs' };
+  const passParam = { messageKey: passLabelMap[pass] };
+  /**
+   * @param {MessageKey} messageKey
+   * @param {MessageParams} params
+   */
+  const fail = (messageKey, params) => ({ error: createImpositionInvariantError(messageKey, { pass: passParam, ...params }) });
+
+  const printedSheets = filterPrintedSheets(dataList);
+  /** @type {('front' | 'back')[]} */
+  const sides = pass === 'duplex' ? ['front', 'back'] : [pass === 'fronts' ? 'front' : 'back'];
+  const expected = printedSheets.length * sides.length * 2;
+  if (sheetPages.length !== expected) return fail('invariant.printSequenceLength', { count: sheetPages.length, expected });
+
+  /** @type {SheetData | undefined} */
+  let previousSheet;
+  for (let i = 0; i < sheetPages.length; i += 2) {
+    const pair = sheetPages.slice(i, i + 2);
+    const side = sides[(i / 2) % sides.length];
+    const sheetData = printedSheets.find(({ content }) =>
+      [content[side].left, content[side].right].every(
+        (position) => typeof position === 'number' && pair.includes(toPreparedPage(position, leafInserts))
+      )
+    );
+    if (sheetData == null || (pass === 'duplex' && side === 'back' && sheetData !== previousSheet))
+      return fail('invariant.printSequencePair', { first: pair[0], second: pair[1] });
+    previousSheet = sheetData;
+  }
+
+  const expectedLeafPages = leafInserts.length * sides.length;
+  if (leafPages.length !== expectedLeafPages)
+    return fail('invariant.printSequenceLeafLength', { count: leafPages.length, expected: expectedLeafPages });
+  if (pass === 'duplex') {
+    for (let i = 0; i < leafPages.length; i += 2) {
+      if (leafPages[i + 1] !== leafPages[i] + 1)
+        return fail('invariant.printSequenceLeafPair', { front: leafPages[i], back: leafPages[i + 1] });
+    }
+  }
+
+  const pages = [...sheetPages, ...leafPages];
+  /** @type {Map<number, number>} */
+  const pageCountMap = new Map();
+  pages.forEach((page) => pageCountMap.set(page, (pageCountMap.get(page) ?? 0) + 1));
+  const duplicatedPage = [...pageCountMap].find(([, count]) => count !== 1);
+  if (duplicatedPage) return fail('invariant.printSequencePageCount', { page: duplicatedPage[0], count: duplicatedPage[1] });
+  if (pass === 'duplex') {
+    const missingIndex = Array.from({ length: pages.length }, (_, i) => i + 1).findIndex((page) => !pageCountMap.has(page));
+    if (missingIndex !== -1) return fail('invariant.printSequenceMissingPage', { page: missingIndex + 1 });
+  }
+
+  return { error: null };
+};
+
+/**
+ * 版の内容が満たすべき規則を確かめる関数
+ *
+ * 何かを刷る用紙の面はちょうど 1 つの版に、何も刷らない面はどの版にも現れない。
+ * 打ち返し・くわえ返しでも、片面にしか刷らない用紙の白面は版に付けない
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap
+ * @param {PressLayout} configs.pressLayout
+ * @returns {{ error: null } | { error: {__brand: 'impositionInvariantError'; messageKey: MessageKey; params?: MessageParams} }}
+ */
+const validatePressPlates = ({ dataList, pageMap, pressLayout }) => {
+  const plates = createPressPlates({ dataList, pageMap, pressLayout });
+
+  for (const { indexToDisplay, content, colorSides } of dataList) {
+    for (const side of /** @type {('front' | 'back')[]} */ (['front', 'back'])) {
+      const count = plates.filter(
+        ({ sheetIndexToDisplay, slots }) =>
+          sheetIndexToDisplay === indexToDisplay && slots.some((slot) => slot.side === side)
+      ).length;
+      const expected = getSideKind(content[side], colorSides[side], pageMap) === 'blank' ? 0 : 1;
+      if (count !== expected)
+        return {
+          error: createImpositionInvariantError('invariant.pressSideCount', {
+            pressLayout,
+            sheet: indexToDisplay,
+            side: { messageKey: side === 'front' ? 'side.front' : 'side.back' },
+            count,
+            expected
+          })
+        };
+    }
+  }
+
+  return { error: null };
+};
+
+/**
+ * 各用紙に、クリープを補正するためのずらし量を持たせる関数
+ *
+ * 中綴じでは内側の用紙ほど小口側へはみ出し、断裁で外側の余白が削られる。
+ * 折の一番外側の用紙を基準に、内側へ 1 枚入るごとに用紙 1 枚分の厚さだけノド側へずらす (近似)
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {SignatureData[]} configs.signatures
+ * @param {number} configs.paperThicknessMm
+ * @param {boolean} configs.isCoverNested - 本文と同じ用紙の表紙が折の外側に重なるか (表紙を含む中綴じ)
+ * @returns {SheetData[]}
+ */
+const applyCreepShifts = ({ dataList, signatures, paperThicknessMm, isCoverNested }) =>
+  dataList.map((sheetData) => {
+    const signature = sheetData.signatureIndex == null ? null : signatures[sheetData.signatureIndex];
+    // 折に属さない用紙 (表紙) は一番外側
+    const depth = signature == null ? 0 : sheetData.index - signature.firstSheetIndex + (isCoverNested ? 1 : 0);
+
+    return { ...sheetData, creepShiftMm: Math.round(depth * paperThicknessMm * 1000) / 1000 };
+  });
+
+/**
+ * ユーザーが入力した値を検証する関数
+ *
+ * - 責務: 入力値の型の検証 ** 検証するのは型のみ **
+ * - 値が適正な範囲内に収まっているか、二つの値の関係は適正か、などは責務外
+ * - 不正な入力があれば branded error を返す。messageKey は最初の不正な項目の文言のキーで、
+ *   fieldErrors には不正なすべての項目を入力フォームの順に入れる
+ * @param {{
+ *  inputtedPages: any;
+ *  startEndColorPages: any;
+ *  centerColorPages: any;
+ *  colorPageRanges: any;
+ *  coverOption: any;
+ *  bindingDirection: any;
+ *  sheetsPerSignature: any;
+ *  paperThicknessMm: any;
+ *  pageNumberStart: any;
+ *  romanPages: any;
+ *  pageNames: any;
+ *  blankPlacement: any;
+ *  leafInserts: any;}} data
+ * @returns {{
+ *  inputtedPages: SafePositiveInteger;
+ *  startEndColorPages: SafeNonNegativeInteger;
+ *  centerColorPages: SafeNonNegativeInteger;
+ *  colorPageRanges: string;
+ *  coverOption: CoverOption;
+ *  bindingDirection: BindingDirection;
+ *  sheetsPerSignature: SafeNonNegativeInteger;
+ *  paperThicknessMm: number;
+ *  pageNumberStart: SafePositiveInteger;
+ *  romanPages: SafeNonNegativeInteger;
+ *  pageNames: string;
+ *  blankPlacement: BlankPlacement;
+ *  leafInserts: string;
+ *  error: null;
+ * } | {
+ *  inputtedPages?: undefined;
+ *  startEndColorPages?: undefined;
+ *  centerColorPages?: undefined;
+ *  colorPageRanges?: undefined;
+ *  coverOption?: undefined;
+ *  bindingDirection?: undefined;
+ *  sheetsPerSignature?: undefined;
+ *  paperThicknessMm?: undefined;
+ *  pageNumberStart?: undefined;
+ *  romanPages?: undefined;
+ *  pageNames?: undefined;
+ *  blankPlacement?: undefined;
+ *  leafInserts?: undefined;
+ *  error: {__brand: 'dataValidationError'; messageKey: MessageKey; fieldErrors: InputFieldError[];};
+ * }}
+ */
+const validateInputs = ({
+  inputtedPages,
+  startEndColorPages,
+  centerColorPages,
+  colorPageRanges,
+  coverOption,
+  bindingDirection,
+  sheetsPerSignature,
+  paperThicknessMm,
+  pageNumberStart,
+  romanPages,
+  pageNames,
+  blankPlacement,
+  leafInserts
+}) => {
+  /** @type {InputFieldError[]} */
+  const missingFieldErrors = Object.entries({
+    inputtedPages,
+    startEndColorPages,
+    centerColorPages,
+    colorPageRanges,
+    coverOption,
+    bindingDirection,
+    sheetsPerSignature,
+    paperThicknessMm,
+    pageNumberStart,
+    romanPages,
+    pageNames,
+    blankPlacement,
+    leafInserts
+  })
+    .filter(([_field, value]) => value == null)
+    .map(([field]) => ({ field: /** @type {InputField} */ (field), messageKey: 'validation.required' }));
+  if (missingFieldErrors.length > 0)
+    return {
+      error: { __brand: 'dataValidationError', messageKey: 'validation.pagesRequired', fieldErrors: missingFieldErrors }
+    };
+
+  /** @type {(InputFieldError & {isValid: boolean})[]} */
+  const fieldChecks = [
+    { field: 'inputtedPages', isValid: isSafePositiveInteger(inputtedPages), messageKey: 'validation.inputtedPages' },
+    { field: 'startEndColorPages', isValid: isSafeNonNegativeInteger(startEndColorPages), messageKey: 'validation.colorPages' },
+    { field: 'centerColorPages', isValid: isSafeNonNegativeInteger(centerColorPages), messageKey: 'validation.colorPages' },
+    {
+      field: 'colorPageRanges',
+      isValid: typeof colorPageRanges === 'string',
+      messageKey: 'validation.colorPageRanges'
+    },
+    {
+      field: 'sheetsPerSignature',
+      isValid: isSafeNonNegativeInteger(sheetsPerSignature),
+      messageKey: 'validation.sheetsPerSignature'
+    },
+    {
+      field: 'paperThicknessMm',
+      isValid: isNonNegativeFiniteNumber(paperThicknessMm),
+      messageKey: 'validation.paperThickness'
+    },
+    { field: 'pageNumberStart', isValid: isSafePositiveInteger(pageNumberStart), messageKey: 'validation.pageLabel' },
+    { field: 'romanPages', isValid: isSafeNonNegativeInteger(romanPages), messageKey: 'validation.pageLabel' },
+    { field: 'pageNames', isValid: typeof pageNames === 'string', messageKey: 'validation.pageNames' },
+    { field: 'blankPlacement', isValid: isBlankPlacement(blankPlacement), messageKey: 'validation.blankPlacement' },
+    { field: 'leafInserts', isValid: typeof leafInserts === 'string', messageKey: 'validation.leafInserts' },
+    { field: 'coverOption', isValid: isCoverOption(coverOption), messageKey: 'validation.coverOption' },
+    {
+      field: 'bindingDirection',
+      isValid: isBindingDirection(bindingDirection),
+      messageKey: 'validation.bindingDirection'
+    }
+  ];
+  const fieldErrors = fieldChecks.filter(({ isValid }) => !isValid).map(({ field, messageKey }) => ({ field, messageKey }));
+  if (fieldErrors.length > 0)
+    return { error: { __brand: 'dataValidationError', messageKey: fieldErrors[0].messageKey, fieldErrors } };
+
+  return {
+    inputtedPages,
+    startEndColorPages,
+    centerColorPages,
+    colorPageRanges,
+    coverOption,
+    bindingDirection,
+    sheetsPerSignature,
+    paperThicknessMm,
+    pageNumberStart,
+    romanPages,
+    pageNames,
+    blankPlacement,
+    leafInserts,
+    error: null
+  };
+};
+
+/**
+ * 入力値の項目名
+ * @typedef {keyof typeof INPUT_PARAM_NAMES} InputField
+ */
+
+/**
+ * 入力値の項目ごとのエラー (入力フォームでは、その項目の欄のそばに表示する)
+ * @typedef {{
+ *  field: InputField;
+ *  messageKey: MessageKey;
+ *  params?: MessageParams;
+ * }} InputFieldError
+ */
+
+/**
+ * 検証済みの入力値を、URL やプリセットに書くための、項目名と文字列の組に直す関数
+ * @param {Parameters<typeof buildPrintModel>[0]} inputs
+ * @returns {{[name: string]: string}}
+ */
+const serializeInputs = (inputs) =>
+  Object.fromEntries(
+    /** @type {InputField[]} */ (Object.keys(INPUT_PARAM_NAMES)).map((key) => [
+      INPUT_PARAM_NAMES[key],
+      `${inputs[key]}`
+    ])
+  );
+
+/**
+ * URL やプリセットに書いた項目名と文字列の組を、validateInputs に渡す入力値に直す関数
+ *
+ * 数値の項目は数値に直すだけで、検証は validateInputs に任せる。ない項目には INPUT_PARAM_DEFAULTS を使う
+ * @param {{[name: string]: string | undefined}} params
+ */
+const parseInputParams = (params) => {
+  /** @param {InputField} key */
+  const getParam = (key) => `${params[INPUT_PARAM_NAMES[key]] ?? INPUT_PARAM_DEFAULTS[key]}`;
+
+  return {
+    inputtedPages: parseInt(getParam('inputtedPages'), 10),
+    startEndColorPages: parseInt(getParam('startEndColorPages'), 10),
+    centerColorPages: parseInt(getParam('centerColorPages'), 10),
+    colorPageRanges: getParam('colorPageRanges'),
+    coverOption: getParam('coverOption'),
+    bindingDirection: getParam('bindingDirection'),
+    sheetsPerSignature: parseInt(getParam('sheetsPerSignature'), 10),
+    paperThicknessMm: parseFloat(getParam('paperThicknessMm')),
+    pageNumberStart: parseInt(getParam('pageNumberStart'), 10),
+    romanPages: parseInt(getParam('romanPages'), 10),
+    pageNames: getParam('pageNames'),
+    blankPlacement: getParam('blankPlacement'),
+    leafInserts: getParam('leafInserts')
+  };
+};
+
+/**
+ * 入力フォームの外にある設定 (版の組み方・面付けの種類・部数と単価・用紙サイズ・印刷ダイアログ用のページ順の表示設定)
+ * - gridScheme: 8 面・16 面の面付けを使わないときは空文字列
+ * @typedef {{
+ *  pressLayout: string;
+ *  gridScheme: string;
+ *  isZineMode: boolean;
+ *  costInputs: {copies: number; colorSidePrice: number; monoSidePrice: number; blankSidePrice: number; paperPrice: number;};
+ *  paperSizeInputs: {finishedWidthMm: number; finishedHeightMm: number; sheetWidthMm: number; sheetHeightMm: number;};
+ *  printSequenceOptions: {flipEdge: string; reversedPasses: {[key in PrintPass]: boolean};};
+ * }} Settings
+ */
+
+/**
+ * 入力フォームの外にある設定を、URL やプリセットに書くための、項目名と文字列の組に直す関数
+ * @param {Settings} settings
+ * @returns {{[name: string]: string}}
+ */
+const serializeSettings = ({ pressLayout, gridScheme, isZineMode, costInputs, paperSizeInputs, printSequenceOptions }) => {
+  const { flipEdge, reversedPasses } = printSequenceOptions;
+  /** @type {{[key in keyof typeof SETTING_PARAM_NAMES]: string | number | boolean}} */
+  const values = {
+    pressLayout,
+    gridScheme,
+    isZineMode,
+    ...costInputs,
+    ...paperSizeInputs,
+    flipEdge,
+    isDuplexReversed: reversedPasses.duplex,
+    isFrontsReversed: reversedPasses.fronts,
+    isBacksReversed: reversedPasses.backs
+  };
+
+  return Object.fromEntries(
+    /** @type {(keyof typeof SETTING_PARAM_NAMES)[]} */ (Object.keys(SETTING_PARAM_NAMES)).map((key) => [
+      SETTING_PARAM_NAMES[key],
+      `${values[key]}`
+    ])
+  );
+};
+
+/**
+ * URL やプリセットに書いた項目名と文字列の組から、入力フォームの外にある設定を読む関数
+ *
+ * 数値の項目は数値に直すだけで、検証は設定ごとのコールバック関数に任せる。ない項目には SETTING_PARAM_DEFAULTS を使う
+ * @param {{[name: string]: string | undefined}} params
+ * @returns {Settings}
+ */
+const parseSettingParams = (params) => {
+  /** @param {keyof typeof SETTING_PARAM_NAMES} key */
+  const getParam = (key) => `${params[SETTING_PARAM_NAMES[key]] ?? SETTING_PARAM_DEFAULTS[key]}`;
+
+  return {
+    pressLayout: getParam('pressLayout'),
+    gridScheme: getParam('gridScheme'),
+    isZineMode: getParam('isZineMode') === 'true',
+    costInputs: {
+      copies: parseInt(getParam('copies'), 10),
+      colorSidePrice: parseFloat(getParam('colorSidePrice')),
+      monoSidePrice: parseFloat(getParam('monoSidePrice')),
+      blankSidePrice: parseFloat(getParam('blankSidePrice')),
+      paperPrice: parseFloat(getParam('paperPrice'))
+    },
+    paperSizeInputs: {
+      finishedWidthMm: parseFloat(getParam('finishedWidthMm')),
+      finishedHeightMm: parseFloat(getParam('finishedHeightMm')),
+      sheetWidthMm: parseFloat(getParam('sheetWidthMm')),
+      sheetHeightMm: parseFloat(getParam('sheetHeightMm'))
+    },
+    printSequenceOptions: {
+      flipEdge: getParam('flipEdge'),
+      reversedPasses: {
+        duplex: getParam('isDuplexReversed') === 'true',
+        fronts: getParam('isFrontsReversed') === 'true',
+        backs: getParam('isBacksReversed') === 'true'
+      }
+    }
+  };
+};
+
+/**
+ * 名前を付けて保存した入力値
+ * - params: serializeInputs と serializeSettings で直した入力値と設定
+ * @typedef {{
+ *  name: string;
+ *  params: {[name: string]: string};
+ * }} Preset
+ */
+
+/**
+ * プリセットの一覧を、保存や書き出しに使う JSON の文字列にする関数
+ * @param {Preset[]} presets
+ * @returns {string}
+ */
+const stringifyPresets = (presets) => JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+
+/**
+ * stringifyPresets で作った JSON の文字列から、プリセットの一覧を読む関数
+ *
+ * 例外: JSON として読めないとき、形式や版が違うときは branded error を返す
+ * @param {string} text
+ * @returns {{
+ *  presets: Preset[]; error: null;
+ * } | {
+ *  presets?: undefined; error: {__brand: 'presetParseError'; messageKey: MessageKey; params?: MessageParams};
+ * }}
+ */
+const parsePresets = (text) => {
+  /** @type {any} */
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: { __brand: 'presetParseError', messageKey: 'error.presetNotJson' } };
+  }
+
+  if (data == null || data.version !== PRESET_FILE_VERSION || !Array.isArray(data.presets))
+    return { error: { __brand: 'presetParseError', messageKey: 'error.presetFormat' } };
+
+  const paramNames = [...Object.values(INPUT_PARAM_NAMES), ...Object.values(SETTING_PARAM_NAMES)];
+  const isPreset = (/** @type {any} */ item) =>
+    item != null &&
+    typeof item.name === 'string' &&
+    item.name.trim() !== '' &&
+    item.params != null &&
+    typeof item.params === 'object' &&
+    Object.entries(item.params).every(([name, value]) => paramNames.includes(name) && typeof value === 'string');
+  if (!data.presets.every(isPreset))
+    return { error: { __brand: 'presetParseError', messageKey: 'error.presetItem' } };
+
+  return {
+    presets: data.presets.map((/** @type {Preset} */ { name, params }) => ({ name: name.trim(), params: { ...params } })),
+    error: null
+  };
+};
+
+/**
+ * プリセットの一覧に、別のプリセットを加える関数
+ *
+ * 同じ名前のプリセットは、元の位置のまま中身を置き換える
+ * @param {Preset[]} presets
+ * @param {Preset[]} incomingPresets
+ * @returns {Preset[]}
+ */
+const mergePresets = (presets, incomingPresets) =>
+  incomingPresets.reduce(
+    (merged, incoming) =>
+      merged.some(({ name }) => name === incoming.name)
+        ? merged.map((preset) => (preset.name === incoming.name ? incoming : preset))
+        : [...merged, incoming],
+    presets
+  );
+
+/**
+ * 検証済みの入力値を受け取り、UI に表示するべきデータに変換する処理
+ *
+ * 内部で呼び出す関数の例外発生時には branded error をリレーするほか、
+ * カラーページの合計が総ページ数を超過するとき、面付けの結果が規則を満たさないときは branded error を返す。
+ * 入力値の項目が原因のエラーは、互いに依存しない検証をすべて行い、不正な項目ごとに入力フォームの順で fieldErrors に入れる
+ * (messageKey と params は最初の不正な項目のもの)
+ * @param {object} inputs
+ * @param {SafePositiveInteger} inputs.inputtedPages
+ * @param {SafeNonNegativeInteger} inputs.startEndColorPages
+ * @param {SafeNonNegativeInteger} inputs.centerColorPages
+ * @param {string} inputs.colorPageRanges - 個別にカラー印刷するページ範囲の式 (例: "1-4, 21-24, 41")
+ * @param {CoverOption} inputs.coverOption
+ * @param {BindingDirection} inputs.bindingDirection
+ * @param {SafeNonNegativeInteger} inputs.sheetsPerSignature - 0 のときは中綴じ
+ * @param {number} inputs.paperThicknessMm - クリープの計算に使う用紙の厚さ。0 のときは計算しない
+ * @param {SafePositiveInteger} inputs.pageNumberStart - 前付けの後の最初のページのノンブル
+ * @param {SafeNonNegativeInteger} inputs.romanPages - ローマ数字のノンブルにする前付けのページ数
+ * @param {string} inputs.pageNames - ノンブルのないページの指定 (例: "1:扉, 36:奥付")
+ * @param {BlankPlacement} inputs.blankPlacement - 端数を埋める空白ページの位置
+ * @param {string} inputs.leafInserts - 1 葉で差し込むページの指定 (例: "13, 27")
+ * @returns {{
+ *  dataListToRender: SheetData[];
+ *  blankPages: SafeNonNegativeInteger;
+ *  signatures: SignatureData[] | null;
+ *  impressionSummary: ImpressionSummary;
+ *  pageLabels: string[];
+ *  pageMap: (SafePositiveInteger | null)[];
+ *  spineWidthMm: number | null;
+ *  leafInserts: LeafInsert[];
+ *  contentPageLabels: string[];
+ *  error: null;
+ * } | {
+ *  dataListToRender?: undefined;
+ *  blankPages?: undefined;
+ *  signatures?: undefined;
+ *  impressionSummary?: undefined;
+ *  pageLabels?: undefined;
+ *  pageMap?: undefined;
+ *  spineWidthMm?: undefined;
+ *  leafInserts?: undefined;
+ *  contentPageLabels?: undefined;
+ *  error: {__brand: string; messageKey: MessageKey; params?: MessageParams; fieldErrors?: InputFieldError[];}
+ * }}
+ */
+const buildPrintModel = ({
+  inputtedPages,
+  startEndColorPages,
+  centerColorPages,
+  colorPageRanges,
+  coverOption,
+  bindingDirection,
+  sheetsPerSignature,
+  paperThicknessMm,
+  pageNumberStart,
+  romanPages,
+  pageNames,
+  blankPlacement,
+  leafInserts
+}) => {
+  const maxPages = sheetsPerSignature === 0 ? MAX_PAGES : MAX_PAGES_WITH_SIGNATURES;
+
+  // 用紙に面付けする前の検証は互いに依存しないので、すべて行ってから不正な項目をまとめて返す。
+  // 不正な項目があるときの値 (既定値) は使わない
+  const { leafFirstPages = [], error: leafInsertParseError } = parseLeafInserts(leafInserts, inputtedPages);
+  // 1 葉で差し込むページは用紙に面付けしないので、残りのページだけを 4 の倍数にそろえる
+  const leafPages = new Set(leafFirstPages.flatMap((page) => [page, page + 1]));
+  const bodyPages = inputtedPages - leafPages.size;
+  const { blankPages = 0, allPages = 0, sheets = 0, error: calcPagesError } = calcPages(bodyPages, maxPages);
+  const { sheets: startEndColorSheets = 0, error: startEndColorPagesError } = calcPages(startEndColorPages, maxPages);
+  const { sheets: centerColorSheets = 0, error: centerColorPagesError } = calcPages(centerColorPages, maxPages);
+  const { pages: rangeColorPages = [], error: pageRangeParseError } = parsePageRanges(colorPageRanges, inputtedPages);
+  const { pageNames: parsedPageNames = new Map(), error: pageLabelParseError } = parsePageNames(pageNames, inputtedPages);
+
+  /** @type {{field: InputField; error: {__brand: string; messageKey: MessageKey; params?: MessageParams} | null;}[]} */
+  const fieldChecks = [
+    { field: 'inputtedPages', error: calcPagesError },
+    { field: 'startEndColorPages', error: startEndColorPagesError },
+    {
+      field: 'centerColorPages',
+      error:
+        bodyPages < startEndColorPages + centerColorPages
+          ? { __brand: 'colorPagesAmountError', messageKey: 'error.colorPagesExceedTotal' }
+          : centerColorPagesError
+    },
+    { field: 'colorPageRanges', error: pageRangeParseError },
+    {
+      field: 'paperThicknessMm',
+      error:
+        paperThicknessMm < 0 || paperThicknessMm > MAX_PAPER_THICKNESS_MM
+          ? { __brand: 'paperThicknessError', messageKey: 'error.paperThicknessRange', params: { max: MAX_PAPER_THICKNESS_MM } }
+          : null
+    },
+    {
+      field: 'romanPages',
+      error: romanPages > inputtedPages ? { __brand: 'pageLabelError', messageKey: 'error.romanPagesExceedTotal' } : null
+    },
+    { field: 'pageNames', error: pageLabelParseError },
+    {
+      field: 'leafInserts',
+      error:
+        leafInsertParseError ??
+        (bodyPages < 1 ? { __brand: 'leafInsertError', messageKey: 'error.noPagesLeftForSheets' } : null)
+    }
+  ];
+  const failedChecks = fieldChecks.flatMap(({ field, error }) => (error == null ? [] : [{ field, error }]));
+  if (failedChecks.length > 0)
+    return {
+      error: {
+        ...failedChecks[0].error,
+        fieldErrors: failedChecks.map(({ field, error: { messageKey, params } }) => ({ field, messageKey, params }))
+      }
+    };
+
+  const signatures = splitSignatures({ sheets, sheetsPerSignature });
+  const pageMap = createPageMap({ inputtedPages, allPages, blankPlacement, leafPages });
+  // 範囲指定のカラーページは原稿のページ番号なので、面付け上の位置に直す
+  const colorPages = createColorPageSet({
+    allPages,
+    startEndColorSheets,
+    centerColorSheets,
+    rangeColorPages: rangeColorPages.filter((page) => !leafPages.has(page)).map((page) => pageMap.indexOf(page) + 1)
+  });
+
+  const { dataList, error: dataListCreationError } = createDataListToRender({
+    signatures,
+    colorPages,
+    coverOption,
+    bindingDirection
+  });
+
+  if (dataListCreationError) return { error: dataListCreationError };
+
+  const contentPageLabels = createPageLabels({
+    allPages: inputtedPages,
+    pageNumberStart,
+    romanPages,
+    pageNames: parsedPageNames
+  });
+
+  const { error: impositionInvariantError } = validateImposition({ dataList, signatures, allPages, bindingDirection });
+  if (impositionInvariantError) return { error: impositionInvariantError };
+
+  const { leafInserts: leafInsertList, error: leafInsertError } = createLeafInserts({
+    leafFirstPages,
+    pageMap,
+    dataList,
+    colorPages: new Set(rangeColorPages),
+    contentPageLabels
+  });
+  if (leafInsertError)
+    return {
+      error: {
+        ...leafInsertError,
+        fieldErrors: [{ field: 'leafInserts', messageKey: leafInsertError.messageKey, params: leafInsertError.params }]
+      }
+    };
+
+  const dataListToRender =
+    paperThicknessMm === 0
+      ? dataList
+      : applyCreepShifts({
+          dataList,
+          signatures,
+          paperThicknessMm,
+          isCoverNested: (coverOption === 'including' || coverOption === 'includingInside') && sheetsPerSignature === 0
+        });
+
+  return {
+    dataListToRender,
+    blankPages,
+    signatures: sheetsPerSignature === 0 ? null : signatures,
+    impressionSummary: summarizeImpressions(dataListToRender, pageMap, leafInsertList),
+    pageLabels: pageMap.map((page) => (page == null ? '' : contentPageLabels[page - 1])),
+    pageMap,
+    // くるみ表紙の背幅は、用紙の厚さが入力されているときだけ計算できる
+    spineWidthMm: coverOption === 'wrap' && paperThicknessMm > 0 ? calcSpineWidthMm({ allPages, paperThicknessMm }) : null,
+    leafInserts: leafInsertList,
+    contentPageLabels,
+    error: null
+  };
+};
+
+/**
+ * 表紙の設定・綴じ方向・1 折あたりの用紙枚数のすべての組み合わせについて、
+ * 1 から maxPages までのページ数で面付けし、validateImposition が失敗した入力値とエラーを集める関数。
+ * 同じ面付けで、版の組み方のそれぞれについて validatePressPlates も確かめる
+ *
+ * 綴じ方向のそれぞれについて、表紙の左右を入れ替えた面付けを validateImposition が見逃さないことも確かめる
+ *
+ * 空白ページの位置のそれぞれについては、表紙を含まない面付けで、
+ * 印刷ダイアログ用の 3 種類のページ順を validatePrintSequence で確かめる
+ * @param {SafePositiveInteger} [maxPages]
+ * @param {SafeNonNegativeInteger[]} [sheetsPerSignatureList]
+ * @returns {{inputs: Parameters<typeof buildPrintModel>[0]; error: {__brand: string; messageKey: MessageKey; params?: MessageParams;}}[]}
+ */
+const runImpositionSelfCheck = (maxPages = MAX_PAGES, sheetsPerSignatureList = [0, 1, 2, 4]) => {
+  /** @type {{inputs: Parameters<typeof buildPrintModel>[0]; error: {__brand: string; messageKey: MessageKey; params?: MessageParams;}}[]} */
+  const failures = [];
+
+  for (const coverOption of /** @type {CoverOption[]} */ ([
+    'excluding',
+    'including',
+    'includingInside',
+    'separateStock',
+    'wrap'
+  ])) {
+    for (const bindingDirection of /** @type {BindingDirection[]} */ (['left', 'right'])) {
+      for (const sheetsPerSignature of sheetsPerSignatureList) {
+        for (let inputtedPages = 1; inputtedPages <= maxPages; inputtedPages++) {
+          const inputs = {
+            inputtedPages,
+            startEndColorPages: 0,
+            centerColorPages: 0,
+            colorPageRanges: '',
+            coverOption,
+            bindingDirection,
+            sheetsPerSignature,
+            paperThicknessMm: 0,
+            pageNumberStart: 1,
+            romanPages: 0,
+            pageNames: '',
+            blankPlacement: /** @type {BlankPlacement} */ ('end'),
+            leafInserts: ''
+          };
+          const { dataListToRender, pageMap, error } = buildPrintModel(inputs);
+          if (error?.__brand === 'impositionInvariantError') failures.push({ inputs, error });
+          if (error) continue;
+
+          for (const pressLayout of /** @type {PressLayout[]} */ (['sheetwise', 'workAndTurn', 'workAndTumble'])) {
+            const { error: pressError } = validatePressPlates({ dataList: dataListToRender, pageMap, pressLayout });
+            if (pressError) failures.push({ inputs, error: pressError });
+          }
+        }
+      }
+    }
+  }
+
+  for (const bindingDirection of /** @type {BindingDirection[]} */ (['left', 'right'])) {
+    const inputs = {
+      inputtedPages: 8,
+      startEndColorPages: 0,
+      centerColorPages: 0,
+      colorPageRanges: '',
+      coverOption: /** @type {CoverOption} */ ('includingInside'),
+      bindingDirection,
+      sheetsPerSignature: 0,
+      paperThicknessMm: 0,
+      pageNumberStart: 1,
+      romanPages: 0,
+      pageNames: '',
+      blankPlacement: /** @type {BlankPlacement} */ ('end'),
+      leafInserts: ''
+    };
+    const signatures = splitSignatures({ sheets: 2, sheetsPerSignature: 0 });
+    const { dataList } = createDataListToRender({ signatures, colorPages: new Set(), coverOption: 'includingInside', bindingDirection });
+    if (dataList == null) continue;
+
+    const [cover, ...body] = dataList;
+    const { front, back } = cover.content;
+    /** @type {SheetData} */
+    const mirroredCover = {
+      ...cover,
+      content: { front: { left: front.right, right: front.left }, back: { left: back.right, right: back.left } }
+    };
+    const { error } = validateImposition({ dataList: [mirroredCover, ...body], signatures, allPages: 8, bindingDirection });
+    if (error == null)
+      failures.push({
+        inputs,
+        error: createImpositionInvariantError('invariant.mirroredCoverAccepted', {
+          binding: { messageKey: bindingDirection === 'left' ? 'input.bindingLeft' : 'input.bindingRight' }
+        })
+      });
+  }
+
+  for (const blankPlacement of /** @type {BlankPlacement[]} */ (['end', 'start', 'afterFirstPage', 'beforeLastPage', 'split'])) {
+    for (const sheetsPerSignature of sheetsPerSignatureList) {
+      for (let inputtedPages = 1; inputtedPages <= maxPages; inputtedPages++) {
+        for (const leafInserts of ['', '3', '3, 7']) {
+          const inputs = {
+            inputtedPages,
+            startEndColorPages: 0,
+            centerColorPages: 0,
+            colorPageRanges: '',
+            coverOption: /** @type {CoverOption} */ ('excluding'),
+            bindingDirection: /** @type {BindingDirection} */ ('left'),
+            sheetsPerSignature,
+            paperThicknessMm: 0,
+            pageNumberStart: 1,
+            romanPages: 0,
+            pageNames: '',
+            blankPlacement,
+            leafInserts
+          };
+          const { dataListToRender, leafInserts: leafInsertList, error: printModelError } = buildPrintModel(inputs);
+          if (printModelError) continue;
+
+          for (const pass of /** @type {PrintPass[]} */ (['duplex', 'fronts', 'backs'])) {
+            const sequence = createPrintSequence({
+              dataList: dataListToRender,
+              pass,
+              isReversed: false,
+              flipEdge: 'shortEdge',
+              leafInserts: leafInsertList
+            });
+            const { error } = validatePrintSequence({ sequence, pass, dataList: dataListToRender, leafInserts: leafInsertList });
+            if (error) failures.push({ inputs, error });
+          }
+        }
+      }
+    }
+  }
+
+  return failures;
+};
+
+// ============================================================
+// ----- PDF -----
+// 外部ライブラリやサーバーを使わず、ブラウザ内だけで PDF を読み書きする
+// 対応範囲: xref テーブル / xref ストリーム / オブジェクトストリーム / FlateDecode (予測子付き)
+// 暗号化された PDF には対応しない
+
+/**
+ * @typedef {{ kind: 'name'; value: string; }} PdfName
+ * @typedef {{ kind: 'string'; bytes: Uint8Array; }} PdfString
+ * @typedef {{ kind: 'ref'; num: number; gen: number; }} PdfRef
+ * @typedef {{ kind: 'array'; items: PdfObject[]; }} PdfArray
+ * @typedef {{ kind: 'dict'; entries: Map<string, PdfObject>; }} PdfDict
+ * @typedef {{ kind: 'stream'; dict: PdfDict; data: Uint8Array; }} PdfStream
+ * @typedef {null | boolean | number | PdfName | PdfString | PdfRef | PdfArray | PdfDict | PdfStream} PdfObject
+ */
+
+/**
+ * xref の 1 エントリ: type 1 はファイル中のオフセット、type 2 はオブジェクトストリーム中の位置
+ * @typedef {{ type: 1; offset: number; } | { type: 2; streamNum: number; index: number; }} PdfXrefEntry
+ */
+
+/**
+ * 読み込んだ PDF 文書
+ * - objectCache: 一度パースした (またはオブジェクトストリームから取り出した) オブジェクト
+ * @typedef {{
+ *  bytes: Uint8Array;
+ *  xref: Map<number, PdfXrefEntry>;
+ *  trailer: PdfDict;
+ *  objectCache: Map<number, PdfObject>;
+ * }} PdfDocument
+ */
+
+/**
+ * バイト列を先頭から読み進めるための状態
+ * @typedef {{ bytes: Uint8Array; pos: number; }} PdfReader
+ */
+
+/**
+ * 面付けに必要な、ページツリーの葉 (1 ページ) の情報
+ * - resources, mediaBox, cropBox, rotate は親の Pages から継承した値を含む
+ * @typedef {{
+ *  dict: PdfDict;
+ *  resources: PdfObject;
+ *  mediaBox: number[];
+ *  cropBox: number[];
+ *  rotate: number;
+ * }} PdfPageInfo
+ */
+
+/**
+ * 書き出し中の PDF: objects[n] がオブジェクト番号 n の中身 (0 番は未使用)
+ * @typedef {{ objects: PdfObject[]; }} PdfWriter
+ */
+
+const PDF_WHITESPACE_CODES = [0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20];
+const PDF_DELIMITER_CODES = Array.from('()<>[]{}/%', (char) => char.charCodeAt(0));
+
+/**
+ * @param {number | undefined} code
+ * @returns {boolean}
+ */
+const isPdfWhitespace = (code) => code !== undefined && PDF_WHITESPACE_CODES.includes(code);
+
+/**
+ * @param {number | undefined} code
+ * @returns {boolean}
+ */
+const isPdfRegularChar = (code) =>
+  code !== undefined && !PDF_WHITESPACE_CODES.includes(code) && !PDF_DELIMITER_CODES.includes(code);
+
+/**
+ * 1 バイト 1 文字として文字列に変換する補助関数 (latin1)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const bytesToLatin1 = (bytes) => {
+  let str = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    str += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return str;
+};
+
+/**
+ * 1 文字 1 バイトとしてバイト列に変換する補助関数 (latin1)
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+const latin1ToBytes = (str) => Uint8Array.from(str, (char) => char.charCodeAt(0) & 0xff);
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+const concatBytes = (chunks) => {
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+/**
+ * バイト列から pattern を検索し、見つかった位置を返す (見つからなければ -1)
+ * @param {Uint8Array} bytes
+ * @param {string} pattern
+ * @param {number} from
+ * @param {boolean} [backward] - true のときは from から先頭に向かって検索する
+ * @returns {number}
+ */
+const findPdfKeyword = (bytes, pattern, from, backward = false) => {
+  const codes = latin1ToBytes(pattern);
+  const step = backward ? -1 : 1;
+  for (let i = from; i >= 0 && i + codes.length <= bytes.length; i += step) {
+    if (codes.every((code, j) => bytes[i + j] === code)) return i;
+  }
+  return -1;
+};
+
+/**
+ * バイト列の pos の位置が pattern で始まるかを返す
+ *
+ * findPdfKeyword と違い、その位置だけを調べる (ファイルの末尾まで検索しない)
+ * @param {Uint8Array} bytes
+ * @param {string} pattern
+ * @param {number} pos
+ * @returns {boolean}
+ */
+const isPdfKeywordAt = (bytes, pattern, pos) =>
+  pos >= 0 && pos + pattern.length <= bytes.length && [...pattern].every((char, i) => bytes[pos + i] === char.charCodeAt(0));
+
+// =========================
+// --- 読み込み ---
+// =========================
+
+/**
+ * PDF を読み込めなかったときに投げる例外を作るヘルパー
+ *
+ * 理由は画面の言語で表示するので、文言のキーと埋め込む値を持たせる
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {Error & LocalizedMessage}
+ */
+const createPdfParseError = (messageKey, params) => Object.assign(new Error(messageKey), { messageKey, params });
+
+/**
+ * 読み込みの途中で投げられた例外を、エラーの理由として文言に埋め込む値にするヘルパー
+ *
+ * createPdfParseError で作った例外はキーのまま返し、それ以外 (展開の失敗など) は例外のメッセージを返す
+ * @param {unknown} err
+ * @returns {MessageParam}
+ */
+const toPdfErrorDetail = (err) => {
+  if (!(err instanceof Error)) return '';
+  if ('messageKey' in err) return /** @type {LocalizedMessage} */ (err);
+  return err.message;
+};
+
+/**
+ * 空白とコメントを読み飛ばす
+ * @param {PdfReader} reader
+ */
+const skipPdfWhitespace = (reader) => {
+  const { bytes } = reader;
+  while (reader.pos < bytes.length) {
+    const code = bytes[reader.pos];
+    if (isPdfWhitespace(code)) {
+      reader.pos++;
+    } else if (code === 0x25) {
+      // '%' から行末まではコメント
+      while (reader.pos < bytes.length && bytes[reader.pos] !== 0x0a && bytes[reader.pos] !== 0x0d) reader.pos++;
+    } else {
+      break;
+    }
+  }
+};
+
+/**
+ * 区切り文字か空白が現れるまでを 1 トークンとして読む
+ * @param {PdfReader} reader
+ * @returns {string}
+ */
+const readPdfRegularToken = (reader) => {
+  const start = reader.pos;
+  while (isPdfRegularChar(reader.bytes[reader.pos])) reader.pos++;
+  return bytesToLatin1(reader.bytes.subarray(start, reader.pos));
+};
+
+/**
+ * '(' から始まるリテラル文字列を読む
+ * @param {PdfReader} reader
+ * @returns {PdfString}
+ */
+const parsePdfLiteralString = (reader) => {
+  const { bytes } = reader;
+  /** @type {number[]} */
+  const result = [];
+  /** @type {{[key: number]: number}} */
+  const escapeMap = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+  let depth = 1;
+  reader.pos++;
+
+  while (reader.pos < bytes.length) {
+    const code = bytes[reader.pos++];
+
+    if (code === 0x5c) {
+      const next = bytes[reader.pos++];
+      if (next in escapeMap) {
+        result.push(escapeMap[next]);
+      } else if (next >= 0x30 && next <= 0x37) {
+        // \ddd: 最大 3 桁の 8 進数
+        let octal = next - 0x30;
+        for (let i = 0; i < 2 && bytes[reader.pos] >= 0x30 && bytes[reader.pos] <= 0x37; i++) {
+          octal = octal * 8 + (bytes[reader.pos++] - 0x30);
+        }
+        result.push(octal & 0xff);
+      } else if (next === 0x0d) {
+        // 行末の '\' は改行を無視する
+        if (bytes[reader.pos] === 0x0a) reader.pos++;
+      } else if (next !== 0x0a) {
+        result.push(next);
+      }
+      continue;
+    }
+
+    if (code === 0x28) depth++;
+    if (code === 0x29) {
+      depth--;
+      if (depth === 0) return { kind: 'string', bytes: Uint8Array.from(result) };
+    }
+    result.push(code);
+  }
+
+  throw createPdfParseError('pdfParse.unterminatedString');
+};
+
+/**
+ * '<' から始まる 16 進文字列を読む
+ * @param {PdfReader} reader
+ * @returns {PdfString}
+ */
+const parsePdfHexString = (reader) => {
+  const { bytes } = reader;
+  let hex = '';
+  reader.pos++;
+
+  while (reader.pos < bytes.length && bytes[reader.pos] !== 0x3e) {
+    const char = String.fromCharCode(bytes[reader.pos++]);
+    if (/[0-9A-Fa-f]/.test(char)) hex += char;
+  }
+  reader.pos++;
+
+  if (hex.length % 2 === 1) hex += '0';
+  return { kind: 'string', bytes: Uint8Array.from(hex.match(/../g) ?? [], (pair) => parseInt(pair, 16)) };
+};
+
+/**
+ * 現在位置から PDF のオブジェクトを 1 つ読む (ストリームの本体は parsePdfIndirectObject が扱う)
+ * - 重要: ** 例外を投げる **
+ * @param {PdfReader} reader
+ * @returns {PdfObject}
+ */
+const parsePdfObject = (reader) => {
+  const { bytes } = reader;
+  skipPdfWhitespace(reader);
+  const code = bytes[reader.pos];
+  if (code === undefined) throw createPdfParseError('pdfParse.unexpectedEnd');
+
+  // 名前オブジェクト: #xx のエスケープを戻す
+  if (code === 0x2f) {
+    reader.pos++;
+    const token = readPdfRegularToken(reader);
+    return { kind: 'name', value: token.replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+  }
+
+  if (code === 0x28) return parsePdfLiteralString(reader);
+
+  if (code === 0x3c && bytes[reader.pos + 1] === 0x3c) {
+    reader.pos += 2;
+    /** @type {Map<string, PdfObject>} */
+    const entries = new Map();
+    for (;;) {
+      skipPdfWhitespace(reader);
+      if (bytes[reader.pos] === 0x3e && bytes[reader.pos + 1] === 0x3e) {
+        reader.pos += 2;
+        return { kind: 'dict', entries };
+      }
+      const key = parsePdfObject(reader);
+      if (!isPdfName(key)) throw createPdfParseError('pdfParse.invalidDictKey');
+      entries.set(key.value, parsePdfObject(reader));
+    }
+  }
+
+  if (code === 0x3c) return parsePdfHexString(reader);
+
+  if (code === 0x5b) {
+    reader.pos++;
+    /** @type {PdfObject[]} */
+    const items = [];
+    for (;;) {
+      skipPdfWhitespace(reader);
+      if (bytes[reader.pos] === 0x5d) {
+        reader.pos++;
+        return { kind: 'array', items };
+      }
+      items.push(parsePdfObject(reader));
+    }
+  }
+
+  const token = readPdfRegularToken(reader);
+  if (token === '') throw createPdfParseError('pdfParse.unexpectedChar', { char: String.fromCharCode(code) });
+
+  if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(token)) {
+    const value = parseFloat(token);
+    if (!/^\d+$/.test(token)) return value;
+
+    // "num gen R" の形なら間接参照として読む
+    const savedPos = reader.pos;
+    skipPdfWhitespace(reader);
+    const genToken = readPdfRegularToken(reader);
+    if (/^\d+$/.test(genToken)) {
+      skipPdfWhitespace(reader);
+      if (readPdfRegularToken(reader) === 'R') return { kind: 'ref', num: value, gen: parseInt(genToken, 10) };
+    }
+    reader.pos = savedPos;
+    return value;
+  }
+
+  if (token === 'true') return true;
+  if (token === 'false') return false;
+  if (token === 'null') return null;
+
+  throw createPdfParseError('pdfParse.unexpectedKeyword', { token });
+};
+
+/**
+ * @param {PdfObject | undefined} obj
+ * @param {string} [value] - 指定したときは名前の一致も確かめる
+ * @returns {obj is PdfName}
+ */
+const isPdfName = (obj, value) =>
+  obj != null && typeof obj === 'object' && 'kind' in obj && obj.kind === 'name' && (value == null || obj.value === value);
+
+/**
+ * @param {PdfObject | undefined} obj
+ * @returns {obj is PdfArray}
+ */
+const isPdfArray = (obj) => obj != null && typeof obj === 'object' && 'kind' in obj && obj.kind === 'array';
+
+/**
+ * @param {PdfObject | undefined} obj
+ * @returns {obj is PdfDict}
+ */
+const isPdfDict = (obj) => obj != null && typeof obj === 'object' && 'kind' in obj && obj.kind === 'dict';
+
+/**
+ * @param {PdfObject | undefined} obj
+ * @returns {obj is PdfStream}
+ */
+const isPdfStream = (obj) => obj != null && typeof obj === 'object' && 'kind' in obj && obj.kind === 'stream';
+
+/**
+ * @param {PdfObject | undefined} obj
+ * @returns {obj is PdfRef}
+ */
+const isPdfRef = (obj) => obj != null && typeof obj === 'object' && 'kind' in obj && obj.kind === 'ref';
+
+/**
+ * offset の位置にある間接オブジェクト "num gen obj ... endobj" を読む
+ * - 重要: ** 例外を投げる **
+ * @param {PdfDocument} doc
+ * @param {number} offset
+ * @returns {{ num: number; object: PdfObject; }}
+ */
+const parsePdfIndirectObject = (doc, offset) => {
+  const { bytes } = doc;
+  const reader = { bytes, pos: offset };
+
+  skipPdfWhitespace(reader);
+  const num = parseInt(readPdfRegularToken(reader), 10);
+  skipPdfWhitespace(reader);
+  readPdfRegularToken(reader);
+  skipPdfWhitespace(reader);
+  if (Number.isNaN(num) || readPdfRegularToken(reader) !== 'obj')
+    throw createPdfParseError('pdfParse.objectNotFound', { offset });
+
+  const object = parsePdfObject(reader);
+  if (!isPdfDict(object)) return { num, object };
+
+  skipPdfWhitespace(reader);
+  if (!isPdfKeywordAt(bytes, 'stream', reader.pos)) return { num, object };
+
+  // "stream" の直後の改行 (CRLF か LF) の次からが本体
+  reader.pos += 'stream'.length;
+  if (bytes[reader.pos] === 0x0d) reader.pos++;
+  if (bytes[reader.pos] === 0x0a) reader.pos++;
+  const start = reader.pos;
+
+  const lengthObj = object.entries.get('Length');
+  const length = isPdfRef(lengthObj) ? resolvePdfObject(doc, lengthObj) : lengthObj;
+  if (typeof length === 'number' && start + length <= bytes.length) {
+    const afterReader = { bytes, pos: start + length };
+    skipPdfWhitespace(afterReader);
+    if (isPdfKeywordAt(bytes, 'endstream', afterReader.pos)) {
+      return { num, object: { kind: 'stream', dict: object, data: bytes.subarray(start, start + length) } };
+    }
+  }
+
+  // Length が壊れている場合は endstream を探す
+  const end = findPdfKeyword(bytes, 'endstream', start);
+  if (end === -1) throw createPdfParseError('pdfParse.unterminatedStream');
+  let dataEnd = end;
+  if (bytes[dataEnd - 1] === 0x0a) dataEnd--;
+  if (bytes[dataEnd - 1] === 0x0d) dataEnd--;
+
+  return { num, object: { kind: 'stream', dict: object, data: bytes.subarray(start, dataEnd) } };
+};
+
+/**
+ * オブジェクト番号からオブジェクトを取り出す (存在しなければ null)
+ * @param {PdfDocument} doc
+ * @param {number} num
+ * @returns {PdfObject}
+ */
+const getPdfObject = (doc, num) => {
+  const cached = doc.objectCache.get(num);
+  if (cached !== undefined) return cached;
+
+  const entry = doc.xref.get(num);
+  if (entry == null || entry.type !== 1) return null;
+
+  const { object } = parsePdfIndirectObject(doc, entry.offset);
+  doc.objectCache.set(num, object);
+  return object;
+};
+
+/**
+ * 間接参照をたどって実体を返す
+ * @param {PdfDocument} doc
+ * @param {PdfObject | undefined} obj
+ * @returns {PdfObject}
+ */
+const resolvePdfObject = (doc, obj) => {
+  /** @type {Set<number>} */
+  const visited = new Set();
+  let current = obj ?? null;
+  while (isPdfRef(current) && !visited.has(current.num)) {
+    visited.add(current.num);
+    current = getPdfObject(doc, current.num);
+  }
+  return isPdfRef(current) ? null : current;
+};
+
+/**
+ * 辞書 (またはストリームの辞書) から key の値を、参照を解決して取り出す
+ * @param {PdfDocument} doc
+ * @param {PdfObject} dictOrStream
+ * @param {string} key
+ * @returns {PdfObject}
+ */
+const getPdfDictValue = (doc, dictOrStream, key) => {
+  const dict = isPdfStream(dictOrStream) ? dictOrStream.dict : dictOrStream;
+  if (!isPdfDict(dict)) return null;
+  return resolvePdfObject(doc, dict.entries.get(key));
+};
+
+/**
+ * バイト列を CompressionStream などの変換ストリームに通す
+ * @param {Uint8Array} data
+ * @param {TransformStream<BufferSource, Uint8Array>} transform
+ * @returns {Promise<Uint8Array>}
+ */
+const transformBytes = async (data, transform) => {
+  // SharedArrayBuffer を扱うことはないので ArrayBuffer として渡す
+  const stream = new Blob([/** @type {Uint8Array<ArrayBuffer>} */ (data)]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * zlib 形式のデータを展開する
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+const inflateBytes = (data) => transformBytes(data, new DecompressionStream('deflate'));
+
+/**
+ * zlib 形式で圧縮する
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+const deflateBytes = (data) => transformBytes(data, new CompressionStream('deflate'));
+
+/**
+ * FlateDecode の DecodeParms にある PNG 予測子を戻す
+ * - 重要: ** 例外を投げる **
+ * @param {PdfDocument} doc
+ * @param {Uint8Array} data
+ * @param {PdfObject} parms
+ * @returns {Uint8Array}
+ */
+const applyPdfPredictor = (doc, data, parms) => {
+  const predictor = getPdfDictValue(doc, parms, 'Predictor') ?? 1;
+  if (predictor === 1) return data;
+  if (typeof predictor !== 'number' || predictor < 10)
+    throw createPdfParseError('pdfParse.unsupportedPredictor', { predictor: `${predictor}` });
+
+  const colors = Number(getPdfDictValue(doc, parms, 'Colors') ?? 1);
+  const bitsPerComponent = Number(getPdfDictValue(doc, parms, 'BitsPerComponent') ?? 8);
+  const columns = Number(getPdfDictValue(doc, parms, 'Columns') ?? 1);
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((colors * bitsPerComponent * columns) / 8);
+
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const result = new Uint8Array(rows * rowLength);
+  let previousRow = new Uint8Array(rowLength);
+
+  for (let r = 0; r < rows; r++) {
+    const filterType = data[r * (rowLength + 1)];
+    const row = data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1));
+    const out = result.subarray(r * rowLength, (r + 1) * rowLength);
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? out[i - bytesPerPixel] : 0;
+      const up = previousRow[i];
+      const upLeft = i >= bytesPerPixel ? previousRow[i - bytesPerPixel] : 0;
+
+      if (filterType === 1) out[i] = row[i] + left;
+      else if (filterType === 2) out[i] = row[i] + up;
+      else if (filterType === 3) out[i] = row[i] + ((left + up) >> 1);
+      else if (filterType === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        out[i] = row[i] + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+      } else out[i] = row[i];
+    }
+    previousRow = out;
+  }
+
+  return result;
+};
+
+/**
+ * ストリームのフィルタを外して生のデータを返す
+ * - 重要: ** 例外を投げる **
+ * @param {PdfDocument} doc
+ * @param {PdfStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+const decodePdfStream = async (doc, stream) => {
+  const filter = getPdfDictValue(doc, stream, 'Filter');
+  const parms = getPdfDictValue(doc, stream, 'DecodeParms');
+  const filters = isPdfArray(filter) ? filter.items : filter == null ? [] : [filter];
+  const parmsList = isPdfArray(parms) ? parms.items : [parms];
+
+  let data = stream.data;
+  for (const [i, filterName] of filters.entries()) {
+    const name = resolvePdfObject(doc, filterName);
+    if (!isPdfName(name, 'FlateDecode') && !isPdfName(name, 'Fl'))
+      throw createPdfParseError('pdfParse.unsupportedFilter', {
+        filter: isPdfName(name) ? name.value : { messageKey: 'pdfParse.unknownFilter' }
+      });
+
+    data = applyPdfPredictor(doc, await inflateBytes(data), resolvePdfObject(doc, parmsList[i]));
+  }
+  return data;
+};
+
+/**
+ * 従来形式の xref テーブルを読み、エントリを xref に追加して trailer 辞書を返す
+ * @param {PdfReader} reader - "xref" キーワードの位置
+ * @param {Map<number, PdfXrefEntry>} xref
+ * @returns {PdfDict}
+ */
+const parsePdfXrefTable = (reader, xref) => {
+  reader.pos += 'xref'.length;
+
+  for (;;) {
+    skipPdfWhitespace(reader);
+    const token = readPdfRegularToken(reader);
+    if (token === 'trailer') break;
+
+    const start = parseInt(token, 10);
+    skipPdfWhitespace(reader);
+    const count = parseInt(readPdfRegularToken(reader), 10);
+    if (Number.isNaN(start) || Number.isNaN(count)) throw createPdfParseError('pdfParse.invalidXrefTable');
+
+    for (let i = 0; i < count; i++) {
+      skipPdfWhitespace(reader);
+      const offset = parseInt(readPdfRegularToken(reader), 10);
+      skipPdfWhitespace(reader);
+      readPdfRegularToken(reader);
+      skipPdfWhitespace(reader);
+      const type = readPdfRegularToken(reader);
+      // 新しい xref ほど先に読むため、すでにあるエントリは上書きしない
+      if (type === 'n' && offset > 0 && !xref.has(start + i)) xref.set(start + i, { type: 1, offset });
+    }
+  }
+
+  const trailer = parsePdfObject(reader);
+  if (!isPdfDict(trailer)) throw createPdfParseError('pdfParse.invalidTrailer');
+  return trailer;
+};
+
+/**
+ * xref ストリームを読み、エントリを xref に追加する
+ * @param {PdfDocument} doc
+ * @param {PdfStream} stream
+ */
+const parsePdfXrefStream = async (doc, stream) => {
+  const widths = getPdfDictValue(doc, stream, 'W');
+  const size = getPdfDictValue(doc, stream, 'Size');
+  const indexObj = getPdfDictValue(doc, stream, 'Index');
+  if (!isPdfArray(widths)) throw createPdfParseError('pdfParse.invalidXrefStream');
+  const index = isPdfArray(indexObj) ? indexObj.items.map(Number) : [0, Number(size)];
+
+  const [w1, w2, w3] = widths.items.map(Number);
+  const data = await decodePdfStream(doc, stream);
+  /**
+   * @param {number} pos
+   * @param {number} width
+   */
+  const readField = (pos, width) => {
+    let value = 0;
+    for (let i = 0; i < width; i++) value = value * 256 + data[pos + i];
+    return value;
+  };
+
+  let pos = 0;
+  for (let i = 0; i + 1 < index.length; i += 2) {
+    const start = index[i];
+    const count = index[i + 1];
+    for (let j = 0; j < count && pos + w1 + w2 + w3 <= data.length; j++) {
+      const type = w1 === 0 ? 1 : readField(pos, w1);
+      const field2 = readField(pos + w1, w2);
+      const field3 = readField(pos + w1 + w2, w3);
+      pos += w1 + w2 + w3;
+
+      if (doc.xref.has(start + j)) continue;
+      if (type === 1) doc.xref.set(start + j, { type: 1, offset: field2 });
+      if (type === 2) doc.xref.set(start + j, { type: 2, streamNum: field2, index: field3 });
+    }
+  }
+};
+
+/**
+ * startxref から /Prev をたどってすべての xref を読む
+ * - 重要: ** 例外を投げる **
+ * @param {PdfDocument} doc
+ */
+const loadPdfXref = async (doc) => {
+  const { bytes } = doc;
+  const startXrefPos = findPdfKeyword(bytes, 'startxref', bytes.length - 'startxref'.length, true);
+  if (startXrefPos === -1) throw createPdfParseError('pdfParse.startxrefNotFound');
+
+  const startReader = { bytes, pos: startXrefPos + 'startxref'.length };
+  skipPdfWhitespace(startReader);
+  /** @type {number | null} */
+  let offset = parseInt(readPdfRegularToken(startReader), 10);
+  /** @type {Set<number>} */
+  const visited = new Set();
+
+  while (typeof offset === 'number' && !Number.isNaN(offset) && !visited.has(offset)) {
+    visited.add(offset);
+    const reader = { bytes, pos: offset };
+    skipPdfWhitespace(reader);
+
+    /** @type {PdfDict} */
+    let trailer;
+    if (isPdfKeywordAt(bytes, 'xref', reader.pos)) {
+      trailer = parsePdfXrefTable(reader, doc.xref);
+      // ハイブリッド形式: 従来形式の trailer が xref ストリームも指している
+      const xrefStm = trailer.entries.get('XRefStm');
+      if (typeof xrefStm === 'number' && !visited.has(xrefStm)) {
+        visited.add(xrefStm);
+        const { object } = parsePdfIndirectObject(doc, xrefStm);
+        if (isPdfStream(object)) await parsePdfXrefStream(doc, object);
+      }
+    } else {
+      const { object } = parsePdfIndirectObject(doc, reader.pos);
+      if (!isPdfStream(object)) throw createPdfParseError('pdfParse.xrefNotFound');
+      await parsePdfXrefStream(doc, object);
+      trailer = object.dict;
+    }
+
+    if (doc.trailer.entries.size === 0) doc.trailer = trailer;
+    const prev = trailer.entries.get('Prev');
+    offset = typeof prev === 'number' ? prev : null;
+  }
+
+  if (!doc.trailer.entries.has('Root')) throw createPdfParseError('pdfParse.rootNotFound');
+};
+
+/**
+ * xref が壊れているときに、ファイル全体を走査して "num gen obj" の位置を集め直す
+ * @param {PdfDocument} doc
+ */
+const reconstructPdfXref = (doc) => {
+  const text = bytesToLatin1(doc.bytes);
+  doc.xref.clear();
+  doc.objectCache.clear();
+  doc.trailer = { kind: 'dict', entries: new Map() };
+
+  for (const match of text.matchAll(/(\d+)\s+\d+\s+obj\b/g)) {
+    // 後ろにあるものほど新しい版なので上書きする
+    doc.xref.set(parseInt(match[1], 10), { type: 1, offset: match.index ?? 0 });
+  }
+
+  for (const match of text.matchAll(/trailer\s*<</g)) {
+    const trailer = parsePdfObject({ bytes: doc.bytes, pos: (match.index ?? 0) + 'trailer'.length });
+    if (isPdfDict(trailer) && trailer.entries.has('Root')) doc.trailer = trailer;
+  }
+  if (doc.trailer.entries.has('Root')) return;
+
+  // trailer がない (xref ストリーム形式の) ファイルは、Catalog を直接探す
+  for (const [num, entry] of doc.xref) {
+    if (entry.type !== 1) continue;
+    try {
+      const { object } = parsePdfIndirectObject(doc, entry.offset);
+      if (isPdfStream(object) && object.dict.entries.has('Root')) doc.trailer = object.dict;
+      if (isPdfName(getPdfDictValue(doc, object, 'Type'), 'Catalog') && !doc.trailer.entries.has('Root')) {
+        doc.trailer = { kind: 'dict', entries: new Map([['Root', { kind: 'ref', num, gen: 0 }]]) };
+      }
+    } catch {
+      // 壊れたオブジェクトは読み飛ばす
+    }
+  }
+};
+
+/**
+ * オブジェクトストリームを展開し、中のオブジェクトを objectCache に入れる
+ *
+ * 展開するのは xref の type 2 のエントリが指すストリームだけ。
+ * xref を作り直した場合は type 2 のエントリがないので、各オブジェクトの辞書を読んで ObjStm を探す
+ * @param {PdfDocument} doc
+ * @param {boolean} isXrefReconstructed
+ */
+const loadPdfObjectStreams = async (doc, isXrefReconstructed) => {
+  /** @type {Set<number>} */
+  const streamNums = new Set();
+  doc.xref.forEach((entry) => {
+    if (entry.type === 2) streamNums.add(entry.streamNum);
+  });
+  if (isXrefReconstructed) {
+    doc.xref.forEach((entry, num) => {
+      if (entry.type !== 1) return;
+      try {
+        // 読むのはそのオブジェクトの範囲 (辞書と、あればストリームの本体) だけ
+        const { object } = parsePdfIndirectObject(doc, entry.offset);
+        if (isPdfStream(object) && isPdfName(object.dict.entries.get('Type'), 'ObjStm')) streamNums.add(num);
+      } catch {
+        // 壊れたオブジェクトは読み飛ばす
+      }
+    });
+  }
+
+  for (const streamNum of streamNums) {
+    let stream;
+    try {
+      stream = getPdfObject(doc, streamNum);
+    } catch {
+      continue;
+    }
+    if (!isPdfStream(stream) || !isPdfName(getPdfDictValue(doc, stream, 'Type'), 'ObjStm')) continue;
+
+    const count = Number(getPdfDictValue(doc, stream, 'N'));
+    const first = Number(getPdfDictValue(doc, stream, 'First'));
+    const data = await decodePdfStream(doc, stream);
+    const reader = { bytes: data, pos: 0 };
+
+    /** @type {[number, number][]} */
+    const header = [];
+    for (let i = 0; i < count; i++) {
+      const num = parsePdfObject(reader);
+      const offset = parsePdfObject(reader);
+      if (typeof num === 'number' && typeof offset === 'number') header.push([num, offset]);
+    }
+
+    header.forEach(([num, offset]) => {
+      const entry = doc.xref.get(num);
+      if (entry != null && !(entry.type === 2 && entry.streamNum === streamNum)) return;
+      if (entry == null) doc.xref.set(num, { type: 2, streamNum, index: 0 });
+      doc.objectCache.set(num, parsePdfObject({ bytes: data, pos: first + offset }));
+    });
+  }
+};
+
+/**
+ * PDF のバイト列を読み込む
+ *
+ * xref が壊れている場合はファイルを走査して復旧を試みる
+ * - 重要: ** 例外を投げる **
+ * @param {Uint8Array} bytes
+ * @returns {Promise<PdfDocument>}
+ */
+const loadPdfDocument = async (bytes) => {
+  if (findPdfKeyword(bytes.subarray(0, 1024), '%PDF-', 0) === -1)
+    throw createPdfParseError('pdfParse.notPdf');
+
+  /** @type {PdfDocument} */
+  const doc = { bytes, xref: new Map(), trailer: { kind: 'dict', entries: new Map() }, objectCache: new Map() };
+
+  let isXrefReconstructed = false;
+  try {
+    await loadPdfXref(doc);
+  } catch {
+    reconstructPdfXref(doc);
+    isXrefReconstructed = true;
+  }
+  if (!doc.trailer.entries.has('Root')) throw createPdfParseError('pdfParse.pageTreeNotFound');
+  if (doc.trailer.entries.has('Encrypt')) throw createPdfParseError('pdfParse.encrypted');
+
+  await loadPdfObjectStreams(doc, isXrefReconstructed);
+  return doc;
+};
+
+/**
+ * 4 つの数値からなる矩形を [左, 下, 右, 上] の順に正規化する (不正なら null)
+ * @param {PdfDocument} doc
+ * @param {PdfObject} obj
+ * @returns {number[] | null}
+ */
+const readPdfBox = (doc, obj) => {
+  const box = resolvePdfObject(doc, obj);
+  if (!isPdfArray(box) || box.items.length !== 4) return null;
+  const [x0, y0, x1, y1] = box.items.map((value) => Number(resolvePdfObject(doc, value)));
+  if ([x0, y0, x1, y1].some(Number.isNaN)) return null;
+  return [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)];
+};
+
+/**
+ * ページツリーをたどり、ページを先頭から順に集める
+ * - 重要: ** 例外を投げる **
+ * @param {PdfDocument} doc
+ * @returns {PdfPageInfo[]}
+ */
+const collectPdfPages = (doc) => {
+  const catalog = getPdfDictValue(doc, doc.trailer, 'Root');
+  const pagesRoot = getPdfDictValue(doc, catalog, 'Pages');
+  if (!isPdfDict(pagesRoot)) throw createPdfParseError('pdfParse.pageTreeNotFound');
+
+  /** @type {PdfPageInfo[]} */
+  const pages = [];
+  /** @type {Set<PdfDict>} */
+  const visited = new Set();
+  // A4 縦をページサイズの既定値とする
+  const defaultMediaBox = [0, 0, 595.28, 841.89];
+
+  /**
+   * @param {PdfDict} node
+   * @param {{ resources: PdfObject; mediaBox: number[] | null; cropBox: number[] | null; rotate: number; }} inherited
+   */
+  const visit = (node, inherited) => {
+    if (visited.has(node)) return;
+    visited.add(node);
+
+    const resources = node.entries.get('Resources') ?? inherited.resources;
+    const mediaBox = readPdfBox(doc, node.entries.get('MediaBox') ?? null) ?? inherited.mediaBox;
+    const cropBox = readPdfBox(doc, node.entries.get('CropBox') ?? null) ?? inherited.cropBox;
+    const rotateValue = getPdfDictValue(doc, node, 'Rotate');
+    const rotate = typeof rotateValue === 'number' ? (((rotateValue % 360) + 360) % 360) : inherited.rotate;
+
+    const kids = getPdfDictValue(doc, node, 'Kids');
+    if (isPdfName(getPdfDictValue(doc, node, 'Type'), 'Page') || !isPdfArray(kids)) {
+      const pageMediaBox = mediaBox ?? defaultMediaBox;
+      pages.push({ dict: node, resources, mediaBox: pageMediaBox, cropBox: cropBox ?? pageMediaBox, rotate });
+      return;
+    }
+
+    kids.items.forEach((kid) => {
+      const kidNode = resolvePdfObject(doc, kid);
+      if (isPdfDict(kidNode)) visit(kidNode, { resources, mediaBox, cropBox, rotate });
+    });
+  };
+
+  visit(pagesRoot, { resources: null, mediaBox: null, cropBox: null, rotate: 0 });
+  return pages;
+};
+
+// =========================
+// --- 書き出し ---
+// =========================
+
+/**
+ * @param {string} value
+ * @returns {PdfName}
+ */
+const pdfName = (value) => ({ kind: 'name', value });
+
+/**
+ * @param {PdfObject[]} items
+ * @returns {PdfArray}
+ */
+const pdfArray = (items) => ({ kind: 'array', items });
+
+/**
+ * @param {{[key: string]: PdfObject}} entries
+ * @returns {PdfDict}
+ */
+const pdfDict = (entries) => ({ kind: 'dict', entries: new Map(Object.entries(entries)) });
+
+/**
+ * 書き出し用のオブジェクト番号を 1 つ確保する
+ * @param {PdfWriter} writer
+ * @returns {PdfRef}
+ */
+const allocatePdfObject = (writer) => {
+  writer.objects.push(null);
+  return { kind: 'ref', num: writer.objects.length - 1, gen: 0 };
+};
+
+/**
+ * 元の PDF のオブジェクトを、参照先も含めて書き出し先に複製する
+ *
+ * 参照先のページやページツリーは複製しない (注釈などから逆にたどってしまうのを防ぐ)
+ * @param {PdfDocument} doc
+ * @param {PdfWriter} writer
+ * @param {PdfObject} obj
+ * @param {Map<number, PdfRef>} refMap - 元のオブジェクト番号 -> 書き出し先の参照
+ * @returns {PdfObject}
+ */
+const importPdfObject = (doc, writer, obj, refMap) => {
+  if (isPdfArray(obj)) return { kind: 'array', items: obj.items.map((item) => importPdfObject(doc, writer, item, refMap)) };
+
+  if (isPdfRef(obj)) {
+    const imported = refMap.get(obj.num);
+    if (imported) return imported;
+
+    const ref = allocatePdfObject(writer);
+    refMap.set(obj.num, ref);
+    const source = getPdfObject(doc, obj.num);
+    const type = getPdfDictValue(doc, source, 'Type');
+    if (isPdfName(type, 'Page') || isPdfName(type, 'Pages')) return ref;
+
+    writer.objects[ref.num] = importPdfObject(doc, writer, source, refMap);
+    return ref;
+  }
+
+  if (isPdfDict(obj)) {
+    /** @type {Map<string, PdfObject>} */
+    const entries = new Map();
+    obj.entries.forEach((value, key) => entries.set(key, importPdfObject(doc, writer, value, refMap)));
+    return { kind: 'dict', entries };
+  }
+
+  if (isPdfStream(obj)) {
+    const dict = importPdfObject(doc, writer, obj.dict, refMap);
+    if (!isPdfDict(dict)) return null;
+    dict.entries.delete('Length');
+    return { kind: 'stream', dict, data: obj.data };
+  }
+
+  return obj;
+};
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const formatPdfNumber = (value) => {
+  if (Number.isInteger(value)) return String(value);
+  return String(Number(value.toFixed(4)));
+};
+
+/**
+ * ストリーム以外のオブジェクトを PDF の構文に直す (出力は ASCII のみ)
+ * @param {PdfObject} obj
+ * @returns {string}
+ */
+const serializePdfObject = (obj) => {
+  if (obj === null) return 'null';
+  if (typeof obj === 'boolean') return String(obj);
+  if (typeof obj === 'number') return formatPdfNumber(obj);
+
+  switch (obj.kind) {
+    case 'name':
+      return `/${obj.value.replace(/[^!-~]|[#()<>[\]{}/%]/g, (/** @type {string} */ char) => `#${char.charCodeAt(0).toString(16).padStart(2, '0')}`)}`;
+    case 'string':
+      return `<${Array.from(obj.bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')}>`;
+    case 'ref':
+      return `${obj.num} ${obj.gen} R`;
+    case 'array':
+      return `[${obj.items.map(serializePdfObject).join(' ')}]`;
+    case 'dict':
+      return `<<${Array.from(obj.entries, ([key, value]) => `${serializePdfObject({ kind: 'name', value: key })} ${serializePdfObject(value)}`).join(' ')}>>`;
+    case 'stream':
+      return serializePdfObject(obj.dict);
+    default:
+      return 'null';
+  }
+};
+
+/**
+ * writer の内容を PDF ファイルのバイト列にまとめる
+ * @param {PdfWriter} writer
+ * @param {PdfRef} rootRef
+ * @returns {Uint8Array}
+ */
+const serializePdfDocument = (writer, rootRef) => {
+  /** @type {Uint8Array[]} */
+  const chunks = [latin1ToBytes('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n')];
+  let offset = chunks[0].length;
+  /** @type {number[]} */
+  const offsets = [];
+
+  writer.objects.forEach((obj, num) => {
+    if (num === 0) return;
+    offsets[num] = offset;
+
+    /** @type {Uint8Array[]} */
+    const objectChunks = isPdfStream(obj)
+      ? [
+          latin1ToBytes(`${num} 0 obj\n`),
+          latin1ToBytes(serializePdfObject({
+            kind: 'dict',
+            entries: new Map([...obj.dict.entries, ['Length', obj.data.length]])
+          })),
+          latin1ToBytes('\nstream\n'),
+          obj.data,
+          latin1ToBytes('\nendstream\nendobj\n')
+        ]
+      : [latin1ToBytes(`${num} 0 obj\n${serializePdfObject(obj)}\nendobj\n`)];
+
+    objectChunks.forEach((chunk) => {
+      chunks.push(chunk);
+      offset += chunk.length;
+    });
+  });
+
+  const xrefLines = offsets.slice(1).map((objectOffset) => `${String(objectOffset).padStart(10, '0')} 00000 n \n`);
+  chunks.push(
+    latin1ToBytes(
+      `xref\n0 ${writer.objects.length}\n0000000000 65535 f \n${xrefLines.join('')}` +
+        `trailer\n<</Size ${writer.objects.length} /Root ${rootRef.num} 0 R>>\nstartxref\n${offset}\n%%EOF\n`
+    )
+  );
+
+  return concatBytes(chunks);
+};
+
+/**
+ * 元のページを、書き出し先で使える Form XObject に変換する
+ * - 重要: ** 例外を投げる **
+ * @param {PdfDocument} doc
+ * @param {PdfWriter} writer
+ * @param {PdfPageInfo} page
+ * @param {Map<number, PdfRef>} refMap
+ * @returns {Promise<PdfRef>}
+ */
+const createPdfPageXObject = async (doc, writer, page, refMap) => {
+  const contents = getPdfDictValue(doc, page.dict, 'Contents');
+  const streams = (isPdfArray(contents) ? contents.items : [contents])
+    .map((content) => resolvePdfObject(doc, content))
+    .filter(isPdfStream);
+
+  const { entries } = pdfDict({
+    Type: pdfName('XObject'),
+    Subtype: pdfName('Form'),
+    BBox: pdfArray(page.cropBox),
+    Resources: page.resources == null ? pdfDict({}) : importPdfObject(doc, writer, page.resources, refMap)
+  });
+
+  let data;
+  if (streams.length === 1) {
+    // 1 本だけならフィルタごとそのまま使う
+    const [stream] = streams;
+    data = stream.data;
+    ['Filter', 'DecodeParms'].forEach((key) => {
+      const value = stream.dict.entries.get(key);
+      if (value !== undefined) entries.set(key, importPdfObject(doc, writer, value, refMap));
+    });
+  } else {
+    // 複数に分かれた内容は展開して 1 本につなげる
+    const decoded = await Promise.all(streams.map((stream) => decodePdfStream(doc, stream)));
+    const newline = latin1ToBytes('\n');
+    data = await deflateBytes(concatBytes(decoded.flatMap((chunk) => [chunk, newline])));
+    entries.set('Filter', pdfName('FlateDecode'));
+  }
+
+  const ref = allocatePdfObject(writer);
+  writer.objects[ref.num] = { kind: 'stream', dict: { kind: 'dict', entries }, data };
+  return ref;
+};
+
+/**
+ * 変換行列 m1 を適用した後に m2 を適用する行列を返す
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]}
+ */
+const multiplyPdfMatrix = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + b1 * c2,
+  a1 * b2 + b1 * d2,
+  c1 * a2 + d1 * c2,
+  c1 * b2 + d1 * d2,
+  e1 * a2 + f1 * c2 + e2,
+  e1 * b2 + f1 * d2 + f2
+];
+
+/**
+ * 回転を考慮した、見た目上のページの幅と高さを返す
+ * @param {PdfPageInfo} page
+ * @returns {{ width: number; height: number; }}
+ */
+const getPdfPageDisplaySize = ({ cropBox, rotate }) => {
+  const width = cropBox[2] - cropBox[0];
+  const height = cropBox[3] - cropBox[1];
+  return rotate % 180 === 0 ? { width, height } : { width: height, height: width };
+};
+
+/**
+ * 元のページを、面の中の 1 枠 (幅 slotWidth, 高さ slotHeight, 左端 slotX) に収める変換行列を返す
+ *
+ * ページの /Rotate を反映し、縦横比を保ったまま中央に配置する
+ * @param {PdfPageInfo} page
+ * @param {number} slotX
+ * @param {number} slotWidth
+ * @param {number} slotHeight
+ * @returns {number[]}
+ */
+const getPdfPlacementMatrix = (page, slotX, slotWidth, slotHeight) => {
+  const [x0, y0, x1, y1] = page.cropBox;
+  const boxWidth = x1 - x0;
+  const boxHeight = y1 - y0;
+  const { width, height } = getPdfPageDisplaySize(page);
+
+  /** @type {{[key: number]: number[]}} */
+  const rotationMatrixMap = {
+    0: [1, 0, 0, 1, 0, 0],
+    90: [0, -1, 1, 0, 0, boxWidth],
+    180: [-1, 0, 0, -1, boxWidth, boxHeight],
+    270: [0, 1, -1, 0, boxHeight, 0]
+  };
+  const scale = Math.min(slotWidth / width, slotHeight / height);
+
+  return [
+    [1, 0, 0, 1, -x0, -y0],
+    rotationMatrixMap[page.rotate] ?? rotationMatrixMap[0],
+    [scale, 0, 0, scale, slotX + (slotWidth - width * scale) / 2, (slotHeight - height * scale) / 2]
+  ].reduce(multiplyPdfMatrix);
+};
+
+/**
+ * @typedef {'portrait' | 'landscape'} PageOrientation
+ */
+
+/**
+ * PDF のページツリーを読み、ページ数と 1 ページ目のサイズ・向きを調べる関数
+ *
+ * - サイズは /Rotate を反映した見た目の大きさを mm 単位 (整数に丸める) で返す
+ * - mismatchedPages: 1 ページ目とサイズが異なるページの番号 (1 始まり)
+ *
+ * 例外: 読み込めない PDF や、ページが 1 つもない場合、branded error を返す
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{
+ *  pageCount: SafePositiveInteger;
+ *  widthMm: number;
+ *  heightMm: number;
+ *  orientation: PageOrientation;
+ *  mismatchedPages: number[];
+ *  error: null;
+ * } | {
+ *  pageCount?: undefined;
+ *  widthMm?: undefined;
+ *  heightMm?: undefined;
+ *  orientation?: undefined;
+ *  mismatchedPages?: undefined;
+ *  error: {__brand: 'pdfInspectionError'; messageKey: MessageKey; params?: MessageParams}
+ * }>}
+ */
+const inspectPdf = async (bytes) => {
+  try {
+    const pages = collectPdfPages(await loadPdfDocument(bytes));
+    if (pages.length === 0)
+      return { error: { __brand: 'pdfInspectionError', messageKey: 'error.pdfNoPages' } };
+
+    const [firstSize, ...restSizes] = pages.map(getPdfPageDisplaySize);
+    // 1pt 未満の差は、作成ソフトによる丸め誤差とみなす
+    const mismatchedPages = restSizes
+      .map((size, i) => ({ size, pageNumber: i + 2 }))
+      .filter(({ size }) => Math.abs(size.width - firstSize.width) >= 1 || Math.abs(size.height - firstSize.height) >= 1)
+      .map(({ pageNumber }) => pageNumber);
+
+    return {
+      pageCount: pages.length,
+      widthMm: Math.round(firstSize.width * MM_PER_PDF_POINT),
+      heightMm: Math.round(firstSize.height * MM_PER_PDF_POINT),
+      orientation: firstSize.width > firstSize.height ? 'landscape' : 'portrait',
+      mismatchedPages,
+      error: null
+    };
+  } catch (err) {
+    console.error(err);
+    return {
+      error: { __brand: 'pdfInspectionError', messageKey: 'error.pdfReadFailed', params: { detail: toPdfErrorDetail(err) } }
+    };
+  }
+};
+
+/**
+ * 元の PDF を、dataList の並びに従って 1 面に 2 ページずつ面付けした PDF に変換する関数
+ *
+ * - 出力の 1 ページが印刷用紙の片面 (オモテ、ウラの順) に対応する
+ * - 元の PDF にないページ番号 (空白ページ) や「表紙」などの文字列の枠は空白のまま残す
+ * - すべての枠が空白になる面 (表紙の用紙) は出力しない
+ * - 1 葉で差し込む紙は、貼り込む用紙の 2 面の直後に、オモテとウラを 1 ページずつ枠 1 つ分の大きさで出力する
+ *
+ * 例外: 読み込めない PDF や、ページ数が原稿のページ数と一致しない場合、branded error を返す
+ * @param {object} configs
+ * @param {Uint8Array} configs.sourceBytes
+ * @param {SheetData[]} configs.dataList
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap - 面付け上の位置から、元の PDF のページ番号への対応表
+ * @param {LeafInsert[]} [configs.leafInserts]
+ * @returns {Promise<{
+ *  bytes: Uint8Array; error: null;
+ * } | {
+ *  bytes?: undefined; error: {__brand: 'pdfImpositionError'; messageKey: MessageKey; params?: MessageParams}
+ * }>}
+ */
+const createImposedPdf = async ({ sourceBytes, dataList, pageMap, leafInserts = [] }) => {
+  try {
+    const doc = await loadPdfDocument(sourceBytes);
+    const pages = collectPdfPages(doc);
+    const inputtedPages = pageMap.filter((page) => page != null).length + leafInserts.length * 2;
+
+    if (pages.length !== inputtedPages)
+      return {
+        error: {
+          __brand: 'pdfImpositionError',
+          messageKey: 'error.pdfPageCountMismatch',
+          params: { pdfPages: pages.length, inputtedPages }
+        }
+      };
+
+    /** @type {PdfWriter} */
+    const writer = { objects: [null] };
+    /** @type {Map<number, PdfRef>} */
+    const refMap = new Map();
+    const catalogRef = allocatePdfObject(writer);
+    const pagesRef = allocatePdfObject(writer);
+
+    // 枠の大きさは 1 ページ目に合わせる
+    const { width: slotWidth, height: slotHeight } = getPdfPageDisplaySize(pages[0]);
+    /** @type {Map<number, PdfRef>} */
+    const xObjectRefMap = new Map();
+    /** @type {PdfRef[]} */
+    const pageRefs = [];
+
+    /**
+     * 元の PDF のページを XObject として 1 度だけ書き出し、その参照を返す
+     * @param {SafePositiveInteger} sourcePage
+     * @returns {Promise<PdfRef>}
+     */
+    const getXObjectRef = async (sourcePage) => {
+      let xObjectRef = xObjectRefMap.get(sourcePage);
+      if (xObjectRef == null) {
+        xObjectRef = await createPdfPageXObject(doc, writer, pages[sourcePage - 1], refMap);
+        xObjectRefMap.set(sourcePage, xObjectRef);
+      }
+      return xObjectRef;
+    };
+
+    /**
+     * 面の内容と XObject から、出力する PDF の 1 ページを書き出す
+     * @param {string} contentText
+     * @param {Map<string, PdfObject>} xObjects
+     * @param {number} pageWidth
+     */
+    const appendPage = (contentText, xObjects, pageWidth) => {
+      const contentRef = allocatePdfObject(writer);
+      writer.objects[contentRef.num] = { kind: 'stream', dict: pdfDict({}), data: latin1ToBytes(contentText) };
+
+      const pageRef = allocatePdfObject(writer);
+      writer.objects[pageRef.num] = pdfDict({
+        Type: pdfName('Page'),
+        Parent: pagesRef,
+        MediaBox: pdfArray([0, 0, pageWidth, slotHeight]),
+        Resources: pdfDict({ XObject: { kind: 'dict', entries: xObjects } }),
+        Contents: contentRef
+      });
+      pageRefs.push(pageRef);
+    };
+
+    for (const { index, content, creepShiftMm = 0 } of dataList) {
+      // クリープの補正: 左の枠は右へ、右の枠は左へ (どちらも折り目の側へ) ずらす
+      const creepShift = creepShiftMm / MM_PER_PDF_POINT;
+
+      for (const side of [content.front, content.back]) {
+        const slots = [side.left, side.right].map((value, i) => ({
+          value,
+          slotX: i * slotWidth + (i === 0 ? creepShift : -creepShift)
+        }));
+        if (slots.every(({ value }) => typeof value !== 'number')) continue;
+
+        /** @type {Map<string, PdfObject>} */
+        const xObjects = new Map();
+        let contentText = '';
+
+        for (const { value, slotX } of slots) {
+          const sourcePage = typeof value === 'number' ? pageMap[value - 1] : null;
+          if (sourcePage == null) continue;
+          xObjects.set(`P${sourcePage}`, await getXObjectRef(sourcePage));
+
+          const matrix = getPdfPlacementMatrix(pages[sourcePage - 1], slotX, slotWidth, slotHeight)
+            .map(formatPdfNumber)
+            .join(' ');
+          contentText += `q ${matrix} cm /P${sourcePage} Do Q\n`;
+        }
+
+        appendPage(contentText, xObjects, slotWidth * 2);
+      }
+
+      // この用紙に貼り込む 1 葉の紙
+      for (const { firstPage, lastPage } of leafInserts.filter(({ sheetIndex }) => sheetIndex === index)) {
+        for (const sourcePage of [firstPage, lastPage]) {
+          /** @type {Map<string, PdfObject>} */
+          const xObjects = new Map([[`P${sourcePage}`, await getXObjectRef(sourcePage)]]);
+          const matrix = getPdfPlacementMatrix(pages[sourcePage - 1], 0, slotWidth, slotHeight)
+            .map(formatPdfNumber)
+            .join(' ');
+          appendPage(`q ${matrix} cm /P${sourcePage} Do Q\n`, xObjects, slotWidth);
+        }
+      }
+    }
+
+    writer.objects[pagesRef.num] = pdfDict({ Type: pdfName('Pages'), Kids: pdfArray(pageRefs), Count: pageRefs.length });
+    writer.objects[catalogRef.num] = pdfDict({ Type: pdfName('Catalog'), Pages: pagesRef });
+
+    return { bytes: serializePdfDocument(writer, catalogRef), error: null };
+  } catch (err) {
+    console.error(err);
+    return {
+      error: { __brand: 'pdfImpositionError', messageKey: 'error.pdfReadFailed', params: { detail: toPdfErrorDetail(err) } }
+    };
+  }
+};
+
+// ============================================================
+// ----- SVG -----
+// 印刷用紙の片面ごとに、実寸の台紙 (トンボ・折り線・塗り足し・ページ番号の枠) を SVG で書き出す
+
+/**
+ * SVG (XML) のテキストや属性値に埋め込む文字列をエスケープする
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char] ?? char);
+
+/**
+ * mm の値を SVG の座標として書き出す (小数第 2 位まで)
+ * @param {number} mm
+ * @returns {string}
+ */
+const formatSvgNumber = (mm) => `${Math.round(mm * 100) / 100}`;
+
+/**
+ * 仕上がり線の外側の余白に合わせて、トンボを描く範囲を求める関数
+ *
+ * 戻り値は仕上がり線からの距離 (外向きが正)。塗り足しの外側に収まらない分は用紙の端で切り詰め、
+ * 塗り足しの外側に線の半分の長さも残らなければ、仕上がり線から内側へ向けて描く
+ * @param {number} marginMm - 仕上がり線から用紙の端までの幅
+ * @returns {[number, number]}
+ */
+const calcCropMarkRange = (marginMm) =>
+  marginMm - BLEED_MM >= CROP_MARK_LENGTH_MM / 2
+    ? [BLEED_MM, Math.min(BLEED_MM + CROP_MARK_LENGTH_MM, marginMm)]
+    : [0, -CROP_MARK_LENGTH_MM];
+
+/**
+ * 印刷用紙の片面を、実寸の SVG の台紙にする関数
+ *
+ * 座標の単位は mm。見開きは用紙の中央に置き、クリープのずらし量があれば各ページの枠を折り目の側へずらす。
+ * 余白が狭い用紙でも、トンボ・塗り足し・折り線は用紙の内側に描く
+ * @param {object} configs
+ * @param {SheetData} configs.sheetData
+ * @param {'front' | 'back'} configs.side
+ * @param {SheetLayout} configs.sheetLayout
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap - 空白ページの位置を知るための対応表
+ * @param {string[]} configs.pageLabels - ページの枠に書くノンブル
+ * @param {(messageKey: MessageKey, params?: MessageParams) => string} configs.formatMessage - 台紙に書く文言を、表示する言語にする関数
+ * @returns {string}
+ */
+const createSheetSideSvg = ({ sheetData, side, sheetLayout, pageMap, pageLabels, formatMessage }) => {
+  const { sheetWidthMm, sheetHeightMm, spreadWidthMm, spreadHeightMm, scale, trimMarginXMm, trimMarginYMm } = sheetLayout;
+  const pageWidthMm = (spreadWidthMm / 2) * scale;
+  const pageHeightMm = spreadHeightMm * scale;
+  const trimLeft = trimMarginXMm;
+  const trimTop = trimMarginYMm;
+  const trimRight = trimLeft + pageWidthMm * 2;
+  const trimBottom = trimTop + pageHeightMm;
+  const foldX = trimLeft + pageWidthMm;
+  const creepShiftMm = sheetData.creepShiftMm ?? 0;
+  const f = formatSvgNumber;
+
+  /**
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @param {string} className
+   */
+  const line = (x1, y1, x2, y2, className) =>
+    `<line class="${className}" x1="${f(x1)}" y1="${f(y1)}" x2="${f(x2)}" y2="${f(y2)}" />`;
+
+  // 仕上がり線の四隅から、塗り足しの外側へ伸びるトンボ
+  const [markStartX, markEndX] = calcCropMarkRange(trimMarginXMm);
+  const [markStartY, markEndY] = calcCropMarkRange(trimMarginYMm);
+  const cropMarks = [
+    [trimLeft, trimTop, -1, -1],
+    [trimRight, trimTop, 1, -1],
+    [trimLeft, trimBottom, -1, 1],
+    [trimRight, trimBottom, 1, 1]
+  ].flatMap(([x, y, dx, dy]) => [
+    line(x + dx * markStartX, y, x + dx * markEndX, y, 'crop-mark'),
+    line(x, y + dy * markStartY, x, y + dy * markEndY, 'crop-mark')
+  ]);
+
+  const bleedLeft = Math.max(trimLeft - BLEED_MM, 0);
+  const bleedTop = Math.max(trimTop - BLEED_MM, 0);
+  const bleedRight = Math.min(trimRight + BLEED_MM, sheetWidthMm);
+  const bleedBottom = Math.min(trimBottom + BLEED_MM, sheetHeightMm);
+
+  const placeholders = [sheetData.content[side].left, sheetData.content[side].right].flatMap((value, i) => {
+    if (value === '') return [];
+
+    const x = trimLeft + i * pageWidthMm + (i === 0 ? creepShiftMm : -creepShiftMm);
+    const label = isBlankSlot(value, pageMap)
+      ? formatMessage('page.blankSheet')
+      : typeof value === 'number'
+        ? getPageLabel(value, pageLabels)
+        : formatMessage(/** @type {MessageKey} */ (value));
+    return [
+      `<rect class="page-frame" x="${f(x)}" y="${f(trimTop)}" width="${f(pageWidthMm)}" height="${f(pageHeightMm)}" />`,
+      `<text class="page-number" x="${f(x + pageWidthMm / 2)}" y="${f(trimTop + pageHeightMm / 2)}" font-size="${f(pageHeightMm / 10)}">${escapeXml(label)}</text>`
+    ];
+  });
+
+  const slugTexts = [
+    formatMessage('svg.sheetSide', {
+      sheet: sheetData.indexToDisplay,
+      side: { messageKey: side === 'front' ? 'side.front' : 'side.back' }
+    }),
+    formatMessage('svg.finishedSize', { width: f(spreadWidthMm / 2), height: f(spreadHeightMm) }),
+    formatMessage('svg.sheetSize', { width: f(sheetWidthMm), height: f(sheetHeightMm) }),
+    formatMessage('svg.scale', { scale: Math.floor(scale * 1000) / 10 }),
+    ...(creepShiftMm > 0 ? [formatMessage('svg.creep', { shift: f(creepShiftMm) })] : [])
+  ];
+  // 余白が足りなければ用紙の下端に寄せる
+  const slugY = Math.min(trimBottom + BLEED_MM + 2.5, sheetHeightMm - 1);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${f(sheetWidthMm)}mm" height="${f(sheetHeightMm)}mm" viewBox="0 0 ${f(sheetWidthMm)} ${f(sheetHeightMm)}">`,
+    '<style>',
+    '.crop-mark { stroke: #000; stroke-width: 0.1; }',
+    '.fold-line { stroke: #000; stroke-width: 0.1; stroke-dasharray: 2 1; }',
+    '.bleed-box { fill: none; stroke: #e4007f; stroke-width: 0.1; stroke-dasharray: 1 1; }',
+    '.page-frame { fill: none; stroke: #00a0e9; stroke-width: 0.1; }',
+    '.page-number { fill: #00a0e9; text-anchor: middle; dominant-baseline: central; }',
+    '.slug { fill: #000; font-size: 2.5px; }',
+    '</style>',
+    `<rect class="bleed-box" x="${f(bleedLeft)}" y="${f(bleedTop)}" width="${f(bleedRight - bleedLeft)}" height="${f(bleedBottom - bleedTop)}" />`,
+    ...cropMarks,
+    line(
+      foldX,
+      Math.max(trimTop - BLEED_MM - CROP_MARK_LENGTH_MM, 0),
+      foldX,
+      Math.min(trimBottom + BLEED_MM + CROP_MARK_LENGTH_MM, sheetHeightMm),
+      'fold-line'
+    ),
+    ...placeholders,
+    `<text class="slug" x="${f(trimLeft)}" y="${f(slugY)}">${escapeXml(slugTexts.join(' / '))}</text>`,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * すべての印刷用紙の両面を SVG の台紙にする関数
+ *
+ * 何も刷らない面 (表2・表3 を刷らない表紙の裏など) は書き出さない
+ * @param {object} configs
+ * @param {SheetData[]} configs.dataList
+ * @param {SheetLayout} configs.sheetLayout
+ * @param {(SafePositiveInteger | null)[]} configs.pageMap
+ * @param {string[]} configs.pageLabels
+ * @param {(messageKey: MessageKey, params?: MessageParams) => string} configs.formatMessage
+ * @returns {{fileName: string; svg: string;}[]}
+ */
+const createImpositionSvgs = ({ dataList, sheetLayout, pageMap, pageLabels, formatMessage }) => {
+  const digits = `${dataList.length}`.length;
+
+  return dataList.flatMap((sheetData) =>
+    /** @type {('front' | 'back')[]} */ (['front', 'back']).flatMap((side) => {
+      const { left, right } = sheetData.content[side];
+      if (left === '' && right === '') return [];
+
+      return [
+        {
+          fileName: `sheet-${`${sheetData.indexToDisplay}`.padStart(digits, '0')}-${side}.svg`,
+          svg: createSheetSideSvg({ sheetData, side, sheetLayout, pageMap, pageLabels, formatMessage })
+        }
+      ];
+    })
+  );
+};
+
+// ============================================================
+// ----- exports -----
+// Node.js から require されたときだけ公開する (ブラウザでは、後から読み込む script.js がそのまま参照する)
+
+/**
+ * cli.js が require した値に付ける型 (script として書いたファイルは、require しても型が付かないため)
+ * @typedef {{
+ *  validateInputs: typeof validateInputs;
+ *  buildPrintModel: typeof buildPrintModel;
+ *  getPageLabel: typeof getPageLabel;
+ *  isBlankSlot: typeof isBlankSlot;
+ *  isPressLayout: typeof isPressLayout;
+ *  createPressPlates: typeof createPressPlates;
+ *  summarizePress: typeof summarizePress;
+ *  isGridScheme: typeof isGridScheme;
+ *  createGridImposition: typeof createGridImposition;
+ *  createZineImposition: typeof createZineImposition;
+ * }} ModelExportsForCli
+ */
+
+// @ts-ignore
+if (typeof module === 'object') Object.assign(module.exports, {
+  PAGES_PER_SHEET,
+  MAX_PAGES,
+  MAX_PAGES_WITH_SIGNATURES,
+  PAPER_SIZES_MM,
+  PAPER_SIZE_PRESETS,
+  PAPER_THICKNESS_PRESETS,
+  calcPages,
+  splitSignatures,
+  parsePageRanges,
+  parsePageNames,
+  createPageLabels,
+  getPageLabel,
+  isCoverOption,
+  calcSpineWidthMm,
+  calcWrapCoverLayout,
+  isBindingDirection,
+  isBlankPlacement,
+  createPageMap,
+  isBlankSlot,
+  parseLeafInserts,
+  createLeafInserts,
+  createDataListToRender,
+  summarizeImpressions,
+  estimatePrintCost,
+  createPrintSequence,
+  createPrintSteps,
+  GRID_SCHEMES,
+  isGridScheme,
+  foldGridSheet,
+  createGridImposition,
+  ZINE_LAYOUT,
+  createZineImposition,
+  isPressLayout,
+  createPressPlates,
+  summarizePress,
+  createFoldedSpreads,
+  calcSheetLayout,
+  validateInputs,
+  INPUT_PARAM_NAMES,
+  serializeInputs,
+  parseInputParams,
+  SETTING_PARAM_NAMES,
+  serializeSettings,
+  parseSettingParams,
+  stringifyPresets,
+  parsePresets,
+  mergePresets,
+  validateImposition,
+  validatePrintSequence,
+  validatePressPlates,
+  buildPrintModel,
+  runImpositionSelfCheck,
+  inspectPdf,
+  createImposedPdf,
+  createImpositionSvgs
+});
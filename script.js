@@ -3,273 +3,17 @@
 'use strict';
 // ============================================================
 // ----- constants -----
-const PAGES_PER_SHEET = 4;
-const MAX_PAGES = 200;
-
-// ============================================================
-// ----- utilities -----
-
-/**
- * @typedef {number} SafeNonNegativeInteger
- * @description BigInt ではない安全な非負整数
- */
-
-/**
- * 入力値を検証する関数: input が "BigInt でない 0 以上の整数" であるか否かを返す
- * @param {any} input
- * @returns {input is SafeNonNegativeInteger}
- */
-const isSafeNonNegativeInteger = (input) => {
-  return input >= 0 && Number.isSafeInteger(input);
-};
-
-/**
- * @typedef {number} SafePositiveInteger
- * @description 0 より大きく BigInt ではない安全な整数
- */
-
-/**
- * 入力値を検証する関数: input が "BigInt でない 0 より大きい整数" であるか否かを返す
- * @param {any} input
- * @returns {input is SafePositiveInteger}
- */
-const isSafePositiveInteger = (input) => {
-  return input > 0 && Number.isSafeInteger(input);
-};
-
-// ============================================================
-// ----- Model -----
-/**
- * 入力値から総ページ数、空白ページ数と印刷用紙の枚数を割り出す関数
- *
- * 例外: ページ数が MAX_PAGES を超過する場合、branded error を返す
- * @param {SafePositiveInteger} inputtedPages
- * @returns {{
- *    blankPages?: undefined;
- *    allPages?: undefined;
- *    sheets? : undefined;
- *    error: {__brand: 'pageCalculationError'; message: string;};
- * } | {
- *    blankPages: SafePositiveInteger;
- *    allPages: SafePositiveInteger;
- *    sheets: SafePositiveInteger;
- *    error: null;
- * }}
- */
-const calcPages = (inputtedPages) => {
-  const remainder = inputtedPages % PAGES_PER_SHEET;
-  // -> 0, 1, 2, 3
-  const blankPages = remainder === 0 ? 0 : PAGES_PER_SHEET - remainder;
-  const allPages = remainder === 0 ? inputtedPages : inputtedPages + blankPages;
-
-  if (allPages > MAX_PAGES) return { error: { __brand: 'pageCalculationError', message: 'ページ数が多すぎます' } };
-
-  const sheets = allPages / PAGES_PER_SHEET;
-
-  return { blankPages, allPages, sheets, error: null };
-};
-
-/**
- * @typedef {{
- *  index: number;
- *  indexToDisplay: number;
- *  content: {
- *    front: {
- *      left: number | string;
- *      right: number | string;
- *    };
- *    back: {
- *      left: number | string;
- *      right: number | string;
- *    };
- *  };
- *  isColorPrint: boolean;
- * }} SheetData
- */
-
-/**
- * ある印刷用紙に対して、それがカラー印刷であるか否かを判定する補助関数
- * @param {number} index
- * @param {SafePositiveInteger} sheets
- * @param {SafePositiveInteger} startEndColorSheets
- * @param {SafePositiveInteger} centerColorSheets
- * @returns {boolean}
- */
-const getColorPrint = (index, sheets, startEndColorSheets, centerColorSheets) => {
-  if (index < startEndColorSheets) return true;
-  if (index >= sheets - centerColorSheets) return true;
-  return false;
-};
-
-/**
- * @typedef {'excluding' | 'including'} CoverOption
- */
-
-/**
- *
- * @param {any} arg
- * @returns {arg is CoverOption}
- */
-const isCoverOption = (arg) => {
-  const coverOptionList = ['excluding', 'including'];
-  return coverOptionList.includes(arg);
-};
-
-/**
- * @typedef {{
- *  [key in CoverOption]: ({ allPages, sheets, startEndColorSheets, centerColorSheets }: {
- *    allPages: SafePositiveInteger;
- *    sheets: SafePositiveInteger;
- *    startEndColorSheets: SafeNonNegativeInteger;
- *    centerColorSheets: SafeNonNegativeInteger;
- *  }) => SheetData[]}} DataListCreatorKeyMap
- */
-/**
- * @type {DataListCreatorKeyMap}
- */
-const dataListCreatorKeyMap = {
-  excluding: ({ allPages, sheets, startEndColorSheets, centerColorSheets }) => {
-    const sheetDataList = Array.from({ length: sheets }, (_, i) => {
-      const isColorPrint = getColorPrint(i, sheets, startEndColorSheets, centerColorSheets);
-
-      /** @type {SheetData} */
-      const sheetData = {
-        index: i,
-        indexToDisplay: i + 1,
-        content: {
-          front: {
-            left: allPages - i * 2,
-            right: 1 + i * 2
-          },
-          back: {
-            left: 2 + i * 2,
-            right: allPages - 1 - i * 2
-          }
-        },
-        isColorPrint
-      };
-
-      return sheetData;
-    });
-
-    return sheetDataList;
-  },
-
-  including: ({ allPages, sheets, startEndColorSheets, centerColorSheets }) => {
-    /** @type {SheetData} */
-    const cover = {
-      index: -1,
-      indexToDisplay: 1,
-      content: {
-        front: {
-          left: '裏表紙',
-          right: '表紙'
-        },
-        back: {
-          left: '',
-          right: ''
-        }
-      },
-      isColorPrint: true
-    };
-
-    const contentDataList = dataListCreatorKeyMap['excluding']({
-      allPages,
-      sheets,
-      startEndColorSheets,
-      centerColorSheets
-    });
-
-    return [
-      cover,
-      ...contentDataList.map((sheetData) => {
-        sheetData.indexToDisplay++;
-        return sheetData;
-      })
-    ];
-  }
-};
-
-/**
- * 描画を担当する関数に渡すためのデータを配列形式で作る関数
- *
- * 例外: coverOption が型 CoverOption に当てはまらないとき、branded error を返す
- * @param {object} configs
- * @param {SafePositiveInteger} configs.allPages
- * @param {SafePositiveInteger} configs.sheets
- * @param {SafePositiveInteger} configs.startEndColorSheets
- * @param {SafePositiveInteger} configs.centerColorSheets
- * @param {CoverOption} configs.coverOption
- * @returns {{
- *  dataList: SheetData[]; error: null;
- * } | {
- *  dataList?: undefined; error: {__brand: 'dataListCreationError'; message: string}
- * }}
- */
-const createDataListToRender = ({
-  allPages,
-  sheets,
-  startEndColorSheets,
-  centerColorSheets,
-  coverOption = 'excluding'
-}) => {
-  if (!isCoverOption(coverOption))
-    return {
-      error: {
-        __brand: 'dataListCreationError',
-        message: `'${coverOption}'は無効な入力です。`
-      }
-    };
-  const dataList = dataListCreatorKeyMap[coverOption]({ allPages, sheets, startEndColorSheets, centerColorSheets });
-
-  return { dataList, error: null };
-};
-
-/**
- * 検証済みの入力値を受け取り、UI に表示するべきデータに変換する処理
- *
- * 内部で呼び出す関数の例外発生時には branded error をリレーするほか、
- * カラーページの合計が総ページ数を超過するときはbranded error を返す
- * @param {object} inputs
- * @param {SafePositiveInteger} inputs.inputtedPages
- * @param {SafeNonNegativeInteger} inputs.startEndColorPages
- * @param {SafeNonNegativeInteger} inputs.centerColorPages
- * @param {CoverOption} inputs.coverOption
- * @returns {{
- *  dataListToRender: SheetData[];
- *  blankPages: SafeNonNegativeInteger;
- *  error: null;
- * } | {
- *  dataListToRender?: undefined;
- *  blankPages?: undefined;
- *  error: {__brand: string; message: string;}
- * }}
- */
-const buildPrintModel = ({ inputtedPages, startEndColorPages, centerColorPages, coverOption }) => {
-  const { blankPages, allPages, sheets, error: calcPagesError } = calcPages(inputtedPages);
-  if (calcPagesError) return { error: calcPagesError };
-
-  if (inputtedPages < startEndColorPages + centerColorPages)
-    return { error: { __brand: 'colorPagesAmountError', message: 'カラーページ数が総ページ数を超えています。' } };
-
-  const { sheets: startEndColorSheets, error: startEndColorPagesError } = calcPages(startEndColorPages);
-  if (startEndColorPagesError) return { error: startEndColorPagesError };
-
-  const { sheets: centerColorSheets, error: centerColorPagesError } = calcPages(centerColorPages);
-  if (centerColorPagesError) return { error: centerColorPagesError };
-
-  const { dataList: dataListToRender, error: dataListCreationError } = createDataListToRender({
-    allPages,
-    sheets,
-    startEndColorSheets,
-    centerColorSheets,
-    coverOption
-  });
-
-  if (dataListCreationError) return { error: dataListCreationError };
-
-  return { dataListToRender, blankPages, error: null };
-};
+// 計算に使う定数や Model の関数は model.js にある
+// 印刷ガイドの進み具合を保存する localStorage のキー
+const PRINT_WIZARD_STORAGE_KEY = 'page-imposition-helper/print-wizard';
+// 名前を付けて保存した入力値 (プリセット) の一覧を保存する localStorage のキー
+const PRESET_STORAGE_KEY = 'page-imposition-helper/presets';
+// 入力フォームを書き換えてから、面付けを計算し直すまでの待ち時間
+const INPUT_DEBOUNCE_MS = 300;
+// 選んだ表示の言語を保存する localStorage のキー
+const LOCALE_STORAGE_KEY = 'page-imposition-helper/locale';
+// 印刷用紙の表の列の数 (用紙の番号・オモテの左右・ウラの左右・カラーの注記・クリープの補正量)
+const PAGES_TABLE_COLUMN_COUNT = 7;
 
 //============================================================
 // ----- View -----
@@ -288,7 +32,9 @@ const prohibitedTagList = ['html', 'head', 'body', 'meta', 'script', 'style', 'i
 /**
  * ElementPropsKey についての Single Source of Truth
  * elementPropsKeyList とコンフリクトするなら、こちらが正しい
- * @typedef {'id' | 'className' | 'for' | 'textContent' | 'type' | 'name' | 'value' | 'checked' | 'for' | 'min' | 'max'} ElementPropsKey
+ * - messageKey, placeholderKey: テキストやプレースホルダーを文言のキーで指定する。言語を切り替えると訳し直す
+ * - role, aria-*: 表やライブリージョンに使うものだけを許可する。名前は aria-label ではなく、訳し直せる要素を aria-labelledby で指す
+ * @typedef {'id' | 'className' | 'for' | 'textContent' | 'type' | 'name' | 'value' | 'checked' | 'for' | 'min' | 'max' | 'accept' | 'href' | 'download' | 'placeholder' | 'step' | 'messageKey' | 'placeholderKey' | 'role' | 'tabindex' | 'aria-labelledby' | 'aria-describedby' | 'aria-hidden' | 'aria-live' | 'aria-colcount' | 'aria-colindex' | 'aria-colspan'} ElementPropsKey
  */
 
 /**
@@ -309,12 +55,30 @@ const isElementPropsKey = (maybeKey) => {
     'checked',
     'for',
     'min',
-    'max'
+    'max',
+    'accept',
+    'href',
+    'download',
+    'placeholder',
+    'step',
+    'messageKey',
+    'placeholderKey',
+    'role',
+    'tabindex',
+    'aria-labelledby',
+    'aria-describedby',
+    'aria-hidden',
+    'aria-live',
+    'aria-colcount',
+    'aria-colindex',
+    'aria-colspan'
   ];
   return elementPropsKeyList.includes(maybeKey);
 };
 
-const allowedPropsValueTypeList = ['number', 'radio', 'checkbox', 'button'];
+const allowedPropsValueTypeList = ['number', 'radio', 'checkbox', 'button', 'file', 'text'];
+
+const allowedPropsValueRoleList = ['grid', 'rowgroup', 'row', 'columnheader', 'rowheader', 'gridcell', 'status'];
 
 /**
  * createElement のヘルパー: props の value を検証する関数をまとめた辞書オブジェクト
@@ -339,7 +103,41 @@ const elementPropsValueValidatorMap = {
 
   max: (val) => /^-?\d+$/.test(val),
 
-  for: (val) => /^[A-Za-z][\w-]*$/.test(val)
+  for: (val) => /^[A-Za-z][\w-]*$/.test(val),
+
+  accept: (val) => /^[\w.+/-]+(?:,\s*[\w.+/-]+)*$/.test(val),
+
+  // ページ内で生成した Blob 以外へのリンクは作らない
+  href: (val) => /^blob:/.test(val),
+
+  download: (val) => /^[^\\/:*?"<>|\x00-\x1f]+$/.test(val),
+
+  placeholder: (_val) => true,
+
+  step: (val) => /^(?:any|\d+(?:\.\d+)?)$/.test(val),
+
+  messageKey: (val) => isMessageKey(val),
+
+  placeholderKey: (val) => isMessageKey(val),
+
+  role: (val) => allowedPropsValueRoleList.includes(val),
+
+  // キーボードで移動する順番は、0 と -1 だけで管理する (ロービング tabindex)
+  tabindex: (val) => val === '0' || val === '-1',
+
+  'aria-labelledby': (val) => /^[A-Za-z][\w-]*(?:\s+[A-Za-z][\w-]*)*$/.test(val),
+
+  'aria-describedby': (val) => /^[A-Za-z][\w-]*(?:\s+[A-Za-z][\w-]*)*$/.test(val),
+
+  'aria-hidden': (val) => val === 'true' || val === 'false',
+
+  'aria-live': (val) => val === 'off' || val === 'polite' || val === 'assertive',
+
+  'aria-colcount': (val) => /^[1-9]\d*$/.test(val),
+
+  'aria-colindex': (val) => /^[1-9]\d*$/.test(val),
+
+  'aria-colspan': (val) => /^[1-9]\d*$/.test(val)
 };
 
 /**
@@ -364,7 +162,7 @@ const elementPropsKeyMap = {
     el.name = String(val);
   },
   value: (el, val) => {
-    if (el instanceof HTMLInputElement === false) return;
+    if (el instanceof HTMLInputElement === false && el instanceof HTMLOptionElement === false) return;
     el.value = String(val);
   },
   min: (el, val) => {
@@ -384,6 +182,62 @@ const elementPropsKeyMap = {
   for: (el, val) => {
     if (el instanceof HTMLLabelElement === false) return;
     el.htmlFor = String(val);
+  },
+  accept: (el, val) => {
+    if (el instanceof HTMLInputElement === false) return;
+    el.accept = String(val);
+  },
+  href: (el, val) => {
+    if (el instanceof HTMLAnchorElement === false) return;
+    el.href = String(val);
+  },
+  download: (el, val) => {
+    if (el instanceof HTMLAnchorElement === false) return;
+    el.download = String(val);
+  },
+  placeholder: (el, val) => {
+    if (el instanceof HTMLInputElement === false) return;
+    el.placeholder = String(val);
+  },
+  step: (el, val) => {
+    if (el instanceof HTMLInputElement === false) return;
+    el.step = String(val);
+  },
+  messageKey: (el, val) => {
+    if (!isMessageKey(val)) return;
+    setMessage(el, val);
+  },
+  placeholderKey: (el, val) => {
+    if (el instanceof HTMLInputElement === false || !isMessageKey(val)) return;
+    el.dataset.placeholderKey = val;
+    el.placeholder = t(val);
+  },
+  role: (el, val) => {
+    el.setAttribute('role', String(val));
+  },
+  tabindex: (el, val) => {
+    el.tabIndex = Number(val);
+  },
+  'aria-labelledby': (el, val) => {
+    el.setAttribute('aria-labelledby', String(val));
+  },
+  'aria-describedby': (el, val) => {
+    el.setAttribute('aria-describedby', String(val));
+  },
+  'aria-hidden': (el, val) => {
+    el.setAttribute('aria-hidden', String(val));
+  },
+  'aria-live': (el, val) => {
+    el.setAttribute('aria-live', String(val));
+  },
+  'aria-colcount': (el, val) => {
+    el.setAttribute('aria-colcount', String(val));
+  },
+  'aria-colindex': (el, val) => {
+    el.setAttribute('aria-colindex', String(val));
+  },
+  'aria-colspan': (el, val) => {
+    el.setAttribute('aria-colspan', String(val));
   }
 };
 
@@ -434,6 +288,118 @@ const createElement = (tag, props = {}, ...children) => {
   return element;
 };
 
+// =========================
+// --- 文言 ---
+// =========================
+
+/**
+ * 文言のキーを、選ばれている言語の文言にする関数
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {string}
+ */
+const t = (messageKey, params) => translate(currentLocale, messageKey, params);
+
+/**
+ * 要素のテキストを文言にする関数
+ *
+ * 言語を切り替えたときに renderMessages で訳し直せるよう、キーと埋め込む値を data 属性に残す
+ * @template {HTMLElement} T
+ * @param {T} el
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {T}
+ */
+const setMessage = (el, messageKey, params) => {
+  el.dataset.messageKey = messageKey;
+  if (params == null) delete el.dataset.messageParams;
+  else el.dataset.messageParams = JSON.stringify(params);
+  el.textContent = t(messageKey, params);
+  return el;
+};
+
+/**
+ * 要素のテキストを、訳さない文字列 (ファイル名など) にする関数
+ * @param {HTMLElement} el
+ * @param {string} text
+ */
+const setPlainText = (el, text) => {
+  delete el.dataset.messageKey;
+  delete el.dataset.messageParams;
+  el.textContent = text;
+};
+
+/**
+ * キーと埋め込む値で表した文言を要素のテキストにする関数 (null のときはテキストを消す)
+ * @template {HTMLElement} T
+ * @param {T} el
+ * @param {LocalizedMessage | null} message
+ * @returns {T}
+ */
+const setLocalizedMessage = (el, message) => {
+  if (message == null) setPlainText(el, '');
+  else setMessage(el, message.messageKey, message.params);
+  return el;
+};
+
+/**
+ * 埋め込む値のある文言をテキストに持つ html 要素を作成するヘルパー (埋め込む値がなければ props の messageKey を使う)
+ * @param {string} tag
+ * @param {{[key: string]: string | null}} props
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {HTMLElement}
+ */
+const createMessageElement = (tag, props, messageKey, params) => setMessage(createElement(tag, props), messageKey, params);
+
+/**
+ * 用紙の枠に入っている値を表示する html 要素を作成するヘルパー
+ *
+ * 数字のページはノンブルにし、表紙などの文言のキーは選ばれている言語に訳す
+ * @param {string} tag
+ * @param {{[key: string]: string | null}} props
+ * @param {number | string} value
+ * @param {string[]} pageLabels
+ * @returns {HTMLElement}
+ */
+const createPageLabelElement = (tag, props, value, pageLabels) =>
+  isMessageKey(value)
+    ? createElement(tag, { ...props, messageKey: value })
+    : createElement(tag, { ...props, textContent: getPageLabel(value, pageLabels) });
+
+/**
+ * 用紙の枠に入っている値を、文言に埋め込む値にするヘルパー
+ *
+ * 表の表示 (renderSheetTable) と同じく、空白ページは「白」、数字のページはノンブルにする。
+ * 表紙などの文言のキーは、埋め込むときに訳す
+ * @param {number | string} value
+ * @param {string[]} pageLabels
+ * @param {(SafePositiveInteger | null)[]} pageMap
+ * @returns {MessageParam}
+ */
+const toPageParam = (value, pageLabels, pageMap) => {
+  if (isBlankSlot(value, pageMap)) return { messageKey: 'page.blank' };
+  return isMessageKey(value) ? { messageKey: value } : getPageLabel(value, pageLabels);
+};
+
+/**
+ * 文言のキーを持つすべての要素を、選ばれている言語で表示し直す関数
+ */
+const renderMessages = () => {
+  document.documentElement.lang = currentLocale;
+  document.title = t('app.title');
+
+  document.querySelectorAll('[data-message-key]').forEach((el) => {
+    if (!(el instanceof HTMLElement) || !isMessageKey(el.dataset.messageKey)) return;
+    const params = el.dataset.messageParams == null ? undefined : JSON.parse(el.dataset.messageParams);
+    el.textContent = t(el.dataset.messageKey, params);
+  });
+  document.querySelectorAll('[data-placeholder-key]').forEach((el) => {
+    if (!(el instanceof HTMLInputElement) || !isMessageKey(el.dataset.placeholderKey)) return;
+    el.placeholder = t(el.dataset.placeholderKey);
+  });
+};
+
 /**
  * ラジオボタンを作成するヘルパー
  * @param {CoverOption} coverOption
@@ -451,6 +417,40 @@ const createCoverOptionRadio = (coverOption, isChecked) => {
   });
 };
 
+/**
+ * 綴じ方向のラジオボタンを作成するヘルパー
+ * @param {BindingDirection} bindingDirection
+ * @param {boolean} isChecked
+ * @returns {HTMLInputElement}
+ */
+const createBindingDirectionRadio = (bindingDirection, isChecked) => {
+  // @ts-ignore
+  return createElement('input', {
+    type: 'radio',
+    id: bindingDirection + 'Binding',
+    name: 'bindingDirection',
+    value: bindingDirection,
+    checked: isChecked ? 'true' : 'false'
+  });
+};
+
+/**
+ * 空白ページの位置のラジオボタンを作成するヘルパー
+ * @param {BlankPlacement} blankPlacement
+ * @param {boolean} isChecked
+ * @returns {HTMLInputElement}
+ */
+const createBlankPlacementRadio = (blankPlacement, isChecked) => {
+  // @ts-ignore
+  return createElement('input', {
+    type: 'radio',
+    id: blankPlacement + 'Blank',
+    name: 'blankPlacement',
+    value: blankPlacement,
+    checked: isChecked ? 'true' : 'false'
+  });
+};
+
 /**
  * ページ数の入力フォームを作成するヘルパー
  * @param {{
@@ -474,17 +474,96 @@ const createPagesInput = ({ id, className, value = '0', min = '0', max = `${MAX_
   });
 };
 
+/**
+ * 文字列の入力フォームを作成するヘルパー
+ * @param {{
+ *  id: string;
+ *  className: string;
+ *  value?: string | null;
+ *  placeholderKey?: MessageKey | null;
+ * }} props
+ * @returns {HTMLInputElement}
+ */
+const createTextInput = ({ id, className, value = '', placeholderKey = null }) => {
+  // @ts-ignore
+  return createElement('input', {
+    type: 'text',
+    className,
+    value,
+    placeholderKey,
+    id
+  });
+};
+
+/**
+ * 用紙の厚さの入力フォームと、プリセットを選ぶセレクトボックスを作成するヘルパー
+ *
+ * プリセットを選ぶと、その厚さが入力フォームに入る
+ * @returns {HTMLElement}
+ */
+const createPaperThicknessGroup = () => {
+  const paperThicknessInput = /** @type {HTMLInputElement} */ (
+    createElement('input', {
+      type: 'number',
+      id: 'input-paper-thickness',
+      className: 'input-paper-thickness',
+      value: '0',
+      min: '0',
+      step: '0.01'
+    })
+  );
+  const presetSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { id: 'select-paper-thickness-preset', className: 'select-paper-thickness-preset' },
+      createElement('option', { value: '', messageKey: 'input.paperThicknessPresetPrompt' }),
+      ...PAPER_THICKNESS_PRESETS.map(({ paperKind, basisWeightKg, thicknessMm }) =>
+        createMessageElement('option', { value: `${thicknessMm}` }, 'paperThicknessPreset', {
+          paper: { messageKey: paperKind },
+          weight: basisWeightKg,
+          thickness: thicknessMm
+        })
+      )
+    )
+  );
+  presetSelect.addEventListener('change', () => {
+    if (presetSelect.value !== '') paperThicknessInput.value = presetSelect.value;
+  });
+
+  return createElement(
+    'div',
+    { className: 'form-group-number' },
+    createElement('label', { for: paperThicknessInput.id, messageKey: 'input.paperThickness' }),
+    paperThicknessInput,
+    presetSelect
+  );
+};
+
+/**
+ * 入力値の項目ごとのエラーを表示する場所を作成するヘルパー
+ *
+ * 項目の入力欄から aria-describedby で指し、読み上げソフトで欄とエラーを結びつける
+ * @param {InputField} field
+ * @param {...HTMLInputElement} controls - 項目の入力欄 (ラジオボタンならそのすべて)
+ * @returns {HTMLElement}
+ */
+const createFieldError = (field, ...controls) => {
+  const id = `field-error-${INPUT_PARAM_NAMES[field]}`;
+  controls.forEach((control) => control.setAttribute('aria-describedby', id));
+  return createElement('div', { id, className: 'field-error' });
+};
+
 /**
  * 数値の入力フォームのラベルとコンテナを作成するヘルパー
  * @param {HTMLInputElement} el
- * @param {string} text
+ * @param {MessageKey} messageKey - ラベルの文言のキー
  * @returns
  */
-const createFormGroupNumber = (el, text) => {
+const createFormGroupNumber = (el, messageKey) => {
   return createElement(
     'div',
     { className: 'form-group-number' },
-    createElement('label', { for: el.id, textContent: text }),
+    createElement('label', { for: el.id, messageKey }),
     el
   );
 };
@@ -497,314 +576,3159 @@ const createFormGroupNumber = (el, text) => {
  */
 const createInputEntry = (onSubmitCallback) => {
   // 1. 各入力フィールドの作成
-  const coverOptionRadioExcluding = createCoverOptionRadio('excluding', true);
-  const coverOptionRadioIncluding = createCoverOptionRadio('including', false);
+  /** @type {{[key in CoverOption]: MessageKey}} */
+  const coverOptionTextMap = {
+    excluding: 'input.coverExcluding',
+    including: 'input.coverIncluding',
+    includingInside: 'input.coverIncludingInside',
+    separateStock: 'input.coverSeparateStock',
+    wrap: 'input.coverWrap'
+  };
+  const coverOptionRadios = /** @type {CoverOption[]} */ (Object.keys(coverOptionTextMap)).map((coverOption) =>
+    createCoverOptionRadio(coverOption, coverOption === 'excluding')
+  );
+  const bindingDirectionRadioLeft = createBindingDirectionRadio('left', true);
+  const bindingDirectionRadioRight = createBindingDirectionRadio('right', false);
+  /** @type {{[key in BlankPlacement]: MessageKey}} */
+  const blankPlacementTextMap = {
+    end: 'input.blankEnd',
+    start: 'input.blankStart',
+    afterFirstPage: 'input.blankAfterFirstPage',
+    beforeLastPage: 'input.blankBeforeLastPage',
+    split: 'input.blankSplit'
+  };
+  const blankPlacementRadios = /** @type {BlankPlacement[]} */ (Object.keys(blankPlacementTextMap)).map((placement) =>
+    createBlankPlacementRadio(placement, placement === 'end')
+  );
 
   const pagesInput = createPagesInput({
     id: 'input-page-count',
     className: 'input-page',
     value: '1',
     min: '1',
-    max: `${MAX_PAGES}`
+    max: `${MAX_PAGES_WITH_SIGNATURES}`
   });
   const startEndColorPagesInput = createPagesInput({ id: 'input-start-end-color', className: 'input-page' });
   const centerColorPagesInput = createPagesInput({ id: 'input-center-color', className: 'input-page' });
+  const colorPageRangesInput = createTextInput({
+    id: 'input-color-ranges',
+    className: 'input-page-range',
+    placeholderKey: 'input.colorRangesPlaceholder'
+  });
+  const sheetsPerSignatureInput = createPagesInput({
+    id: 'input-sheets-per-signature',
+    className: 'input-page',
+    max: `${MAX_PAGES_WITH_SIGNATURES / PAGES_PER_SHEET}`
+  });
+  const paperThicknessGroup = createPaperThicknessGroup();
+  const pageNumberStartInput = createPagesInput({
+    id: 'input-page-number-start',
+    className: 'input-page',
+    value: '1',
+    min: '1',
+    max: null
+  });
+  const romanPagesInput = createPagesInput({ id: 'input-roman-pages', className: 'input-page', max: `${MAX_PAGES_WITH_SIGNATURES}` });
+  const pageNamesInput = createTextInput({
+    id: 'input-page-names',
+    className: 'input-page-range',
+    placeholderKey: 'input.pageNamesPlaceholder'
+  });
+  const leafInsertsInput = createTextInput({
+    id: 'input-leaf-inserts',
+    className: 'input-page-range',
+    placeholderKey: 'input.leafInsertsPlaceholder'
+  });
 
   // 2. サブミットボタンの作成
   const submitButton = createElement('button', {
     type: 'button',
     className: 'button-submit',
-    textContent: '確定'
+    messageKey: 'input.submit'
   });
 
   // 3. イベントリスナーの設定 -->> Controller に分離？
-  submitButton.addEventListener('click', () => {
-    const checkedCoverOptionRadio = [coverOptionRadioExcluding, coverOptionRadioIncluding].find(
+  const submitInputs = () => {
+    const checkedCoverOptionRadio = coverOptionRadios.find((radio) => radio.checked);
+    if (checkedCoverOptionRadio == null) return;
+    const checkedBindingDirectionRadio = [bindingDirectionRadioLeft, bindingDirectionRadioRight].find(
       (radio) => radio.checked
     );
-    if (checkedCoverOptionRadio == null) return;
+    if (checkedBindingDirectionRadio == null) return;
 
     const inputs = {
       inputtedPages: parseInt(pagesInput.value, 10),
       startEndColorPages: parseInt(startEndColorPagesInput.value, 10),
       centerColorPages: parseInt(centerColorPagesInput.value, 10),
-      coverOption: checkedCoverOptionRadio.value
+      colorPageRanges: colorPageRangesInput.value,
+      coverOption: checkedCoverOptionRadio.value,
+      bindingDirection: checkedBindingDirectionRadio.value,
+      sheetsPerSignature: parseInt(sheetsPerSignatureInput.value, 10),
+      paperThicknessMm: parseFloat(paperThicknessGroup.querySelector('input')?.value ?? ''),
+      pageNumberStart: parseInt(pageNumberStartInput.value, 10),
+      romanPages: parseInt(romanPagesInput.value, 10),
+      pageNames: pageNamesInput.value,
+      blankPlacement: blankPlacementRadios.find((radio) => radio.checked)?.value,
+      leafInserts: leafInsertsInput.value
     };
 
     onSubmitCallback(inputs);
-  });
+  };
+  submitButton.addEventListener('click', submitInputs);
+
+  // 入力のたびに計算し直すと重いので、書き換えが止まってから計算する
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let debounceTimer;
+  const onFieldInput = () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(submitInputs, INPUT_DEBOUNCE_MS);
+  };
 
   // 4. 全体をレイアウト用コンテナにまとめる
-  return createElement(
+  const inputEntry = createElement(
     'div',
     { className: 'entry-container centerXY' },
     // --- ラジオボタン ---
     createElement(
       'fieldset',
       {},
-      createElement('legend', { textContent: '表紙の設定' }),
-      createElement(
-        'div',
-        { className: 'form-group-radio' },
-        coverOptionRadioExcluding,
-        createElement('label', { for: coverOptionRadioExcluding.id, textContent: '含まない' })
+      createElement('legend', { messageKey: 'input.coverLegend' }),
+      ...coverOptionRadios.map((radio) =>
+        createElement(
+          'div',
+          { className: 'form-group-radio' },
+          radio,
+          createElement('label', {
+            for: radio.id,
+            messageKey: coverOptionTextMap[/** @type {CoverOption} */ (radio.value)]
+          })
+        )
       ),
+      createFieldError('coverOption', ...coverOptionRadios)
+    ),
+    createElement(
+      'fieldset',
+      {},
+      createElement('legend', { messageKey: 'input.bindingLegend' }),
       createElement(
         'div',
         { className: 'form-group-radio' },
-        coverOptionRadioIncluding,
-        createElement('label', { for: coverOptionRadioIncluding.id, textContent: '含む' })
-      )
+        bindingDirectionRadioLeft,
+        createElement('label', { for: bindingDirectionRadioLeft.id, messageKey: 'input.bindingLeft' })
+      ),
+      createElement(
+        'div',
+        { className: 'form-group-radio' },
+        bindingDirectionRadioRight,
+        createElement('label', { for: bindingDirectionRadioRight.id, messageKey: 'input.bindingRight' })
+      ),
+      createFieldError('bindingDirection', bindingDirectionRadioLeft, bindingDirectionRadioRight)
+    ),
+    createElement(
+      'fieldset',
+      {},
+      createElement('legend', { messageKey: 'input.blankPlacementLegend' }),
+      ...blankPlacementRadios.map((radio) =>
+        createElement(
+          'div',
+          { className: 'form-group-radio' },
+          radio,
+          createElement('label', {
+            for: radio.id,
+            messageKey: blankPlacementTextMap[/** @type {BlankPlacement} */ (radio.value)]
+          })
+        )
+      ),
+      createFieldError('blankPlacement', ...blankPlacementRadios)
     ),
     // --- ページ数入力 ---
-    createFormGroupNumber(pagesInput, 'ページ数: '),
-    createFormGroupNumber(startEndColorPagesInput, '巻頭巻末カラー: '),
-    createFormGroupNumber(centerColorPagesInput, 'センターカラー: '),
+    createFormGroupNumber(pagesInput, 'input.pages'),
+    createFieldError('inputtedPages', pagesInput),
+    createFormGroupNumber(startEndColorPagesInput, 'input.startEndColor'),
+    createFieldError('startEndColorPages', startEndColorPagesInput),
+    createFormGroupNumber(centerColorPagesInput, 'input.centerColor'),
+    createFieldError('centerColorPages', centerColorPagesInput),
+    createFormGroupNumber(colorPageRangesInput, 'input.colorRanges'),
+    createFieldError('colorPageRanges', colorPageRangesInput),
+    createFormGroupNumber(sheetsPerSignatureInput, 'input.sheetsPerSignature'),
+    createFieldError('sheetsPerSignature', sheetsPerSignatureInput),
+    paperThicknessGroup,
+    createFieldError('paperThicknessMm', ...paperThicknessGroup.querySelectorAll('input')),
+    createFormGroupNumber(pageNumberStartInput, 'input.pageNumberStart'),
+    createFieldError('pageNumberStart', pageNumberStartInput),
+    createFormGroupNumber(romanPagesInput, 'input.romanPages'),
+    createFieldError('romanPages', romanPagesInput),
+    createFormGroupNumber(pageNamesInput, 'input.pageNames'),
+    createFieldError('pageNames', pageNamesInput),
+    createFormGroupNumber(leafInsertsInput, 'input.leafInserts'),
+    createFieldError('leafInserts', leafInsertsInput),
     createElement('div', { className: 'button-submit-container' }, submitButton)
   );
+  inputEntry.addEventListener('input', onFieldInput);
+  inputEntry.addEventListener('change', onFieldInput);
+
+  return inputEntry;
+};
+
+/**
+ * 入力フォームの各欄に値を入れる関数 (共有リンクやプリセットを読み込むときに使う)
+ *
+ * 数値でない値の欄は空にし、選択肢にない値のラジオボタンはそのままにする
+ * @param {ReturnType<typeof parseInputParams>} inputs
+ */
+const fillInputEntry = (inputs) => {
+  /** @type {[string, number | string][]} */
+  const fieldValueList = [
+    ['input-page-count', inputs.inputtedPages],
+    ['input-start-end-color', inputs.startEndColorPages],
+    ['input-center-color', inputs.centerColorPages],
+    ['input-color-ranges', inputs.colorPageRanges],
+    ['input-sheets-per-signature', inputs.sheetsPerSignature],
+    ['input-paper-thickness', inputs.paperThicknessMm],
+    ['input-page-number-start', inputs.pageNumberStart],
+    ['input-roman-pages', inputs.romanPages],
+    ['input-page-names', inputs.pageNames],
+    ['input-leaf-inserts', inputs.leafInserts]
+  ];
+  fieldValueList.forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input instanceof HTMLInputElement) input.value = Number.isNaN(value) ? '' : `${value}`;
+  });
+
+  [`${inputs.coverOption}Cover`, `${inputs.bindingDirection}Binding`, `${inputs.blankPlacement}Blank`].forEach((id) => {
+    const radio = document.getElementById(id);
+    if (radio instanceof HTMLInputElement && radio.type === 'radio') radio.checked = true;
+  });
+};
+
+/**
+ * 入力フォームの外にある設定欄に値を入れる関数 (共有リンクやプリセットを読み込むときに使う)
+ *
+ * 数値でない値の欄は空にし、選択肢にない値のラジオボタンやセレクトボックスはそのままにする
+ * @param {Settings} settings
+ */
+const fillSettingEntries = ({ pressLayout, gridScheme, isZineMode, costInputs, paperSizeInputs, printSequenceOptions }) => {
+  /** @type {[string, number][]} */
+  const fieldValueList = [
+    ['input-copies', costInputs.copies],
+    ['input-color-side-price', costInputs.colorSidePrice],
+    ['input-mono-side-price', costInputs.monoSidePrice],
+    ['input-blank-side-price', costInputs.blankSidePrice],
+    ['input-paper-price', costInputs.paperPrice],
+    ['input-finished-width', paperSizeInputs.finishedWidthMm],
+    ['input-finished-height', paperSizeInputs.finishedHeightMm],
+    ['input-sheet-width', paperSizeInputs.sheetWidthMm],
+    ['input-sheet-height', paperSizeInputs.sheetHeightMm]
+  ];
+  fieldValueList.forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input instanceof HTMLInputElement) input.value = Number.isNaN(value) ? '' : `${value}`;
+  });
+
+  /** @type {[string, string][]} */
+  const selectValueList = [
+    ['select-paper-size-preset', findPaperSizePreset(paperSizeInputs)?.id ?? 'custom'],
+    ['select-grid-scheme', gridScheme]
+  ];
+  selectValueList.forEach(([id, value]) => {
+    const select = document.getElementById(id);
+    if (select instanceof HTMLSelectElement && [...select.options].some((option) => option.value === value))
+      select.value = value;
+  });
+
+  [`${printSequenceOptions.flipEdge}Flip`, `${pressLayout}Press`].forEach((id) => {
+    const radio = document.getElementById(id);
+    if (radio instanceof HTMLInputElement && radio.type === 'radio') radio.checked = true;
+  });
+
+  /** @type {[string, boolean][]} */
+  const checkboxValueList = [
+    ['zine-mode', isZineMode],
+    ['reverse-duplex', printSequenceOptions.reversedPasses.duplex],
+    ['reverse-fronts', printSequenceOptions.reversedPasses.fronts],
+    ['reverse-backs', printSequenceOptions.reversedPasses.backs]
+  ];
+  checkboxValueList.forEach(([id, isChecked]) => {
+    const checkbox = document.getElementById(id);
+    if (checkbox instanceof HTMLInputElement && checkbox.type === 'checkbox') checkbox.checked = isChecked;
+  });
+};
+
+/**
+ * 入力値を名前を付けて保存・読み込みするプリセットと、共有リンクの DOM を生成する関数
+ * @param {(action: 'save' | 'load' | 'rename' | 'delete' | 'export' | 'copyLink', names: {name: string; selectedName: string;}) => void} onPresetCallback
+ * @param {(file: File) => void} onPresetImportCallback - 書き出した JSON のファイルが選ばれたときによばれる
+ */
+const createPresetEntry = (onPresetCallback, onPresetImportCallback) => {
+  const nameInput = createTextInput({
+    id: 'input-preset-name',
+    className: 'input-preset-name',
+    placeholderKey: 'preset.namePlaceholder'
+  });
+  const presetSelect = /** @type {HTMLSelectElement} */ (
+    createElement('select', { id: 'select-preset', className: 'select-preset' })
+  );
+  const importInput = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'file', id: 'input-preset-file', className: 'input-preset-file', accept: 'application/json,.json' })
+  );
+  importInput.addEventListener('change', () => {
+    const file = importInput.files?.[0];
+    if (file != null) onPresetImportCallback(file);
+    importInput.value = '';
+  });
+
+  /**
+   * @param {'save' | 'load' | 'rename' | 'delete' | 'export' | 'copyLink'} action
+   * @param {MessageKey} messageKey
+   */
+  const createPresetButton = (action, messageKey) => {
+    const button = createElement('button', { type: 'button', className: `button-preset-${action}`, messageKey });
+    button.addEventListener('click', () =>
+      onPresetCallback(action, { name: nameInput.value.trim(), selectedName: presetSelect.value })
+    );
+    return button;
+  };
+
+  return createElement(
+    'fieldset',
+    { className: 'preset-container' },
+    createElement('legend', { messageKey: 'preset.legend' }),
+    createFormGroupNumber(nameInput, 'preset.name'),
+    createElement(
+      'div',
+      { className: 'preset-buttons' },
+      createPresetButton('save', 'preset.save'),
+      createPresetButton('rename', 'preset.rename')
+    ),
+    createElement(
+      'div',
+      { className: 'form-group-number' },
+      createElement('label', { for: presetSelect.id, messageKey: 'preset.list' }),
+      presetSelect
+    ),
+    createElement(
+      'div',
+      { className: 'preset-buttons' },
+      createPresetButton('load', 'preset.load'),
+      createPresetButton('delete', 'preset.delete'),
+      createPresetButton('export', 'preset.export'),
+      createElement('label', { for: importInput.id, className: 'preset-import-label', messageKey: 'preset.import' }),
+      importInput
+    ),
+    createElement('div', { className: 'preset-buttons' }, createPresetButton('copyLink', 'preset.copyLink')),
+    createElement('div', { id: 'preset-status', className: 'preset-status', role: 'status' })
+  );
+};
+
+/**
+ * 面付け PDF を作成するための、PDF のドロップ領域と作成ボタンの DOM を生成する関数
+ * @param {(file: File | null) => void} onPdfSubmitCallback
+ * @param {(file: File) => void} onPdfSelectCallback - PDF が選択、またはドロップされたときによばれる
+ */
+const createPdfEntry = (onPdfSubmitCallback, onPdfSelectCallback) => {
+  /** @type {File | null} */
+  let selectedFile = null;
+
+  const fileInput = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'file', id: 'input-source-pdf', accept: 'application/pdf' })
+  );
+  const fileNameText = createElement('div', { className: 'pdf-file-name', messageKey: 'pdf.noFile' });
+  const dropZone = createElement(
+    'div',
+    { className: 'pdf-drop-zone centerXY' },
+    createElement('label', { for: fileInput.id, messageKey: 'pdf.dropLabel' }),
+    fileInput,
+    fileNameText
+  );
+  const submitButton = createElement('button', {
+    type: 'button',
+    className: 'button-submit',
+    messageKey: 'pdf.submit'
+  });
+
+  /** @param {File | undefined} file */
+  const selectFile = (file) => {
+    if (file == null) return;
+    selectedFile = file;
+    setPlainText(fileNameText, file.name);
+    onPdfSelectCallback(file);
+  };
+
+  fileInput.addEventListener('change', () => selectFile(fileInput.files?.[0]));
+  dropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    dropZone.classList.add('is-drag-over');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('is-drag-over'));
+  dropZone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('is-drag-over');
+    selectFile(event.dataTransfer?.files[0]);
+  });
+  submitButton.addEventListener('click', () => onPdfSubmitCallback(selectedFile));
+
+  return createElement(
+    'div',
+    { className: 'pdf-entry-container centerXY' },
+    dropZone,
+    createElement('div', { id: 'pdf-info', className: 'centerXY pdf-info' }),
+    createElement('div', { className: 'button-submit-container' }, submitButton),
+    createElement('div', { id: 'pdf-status', className: 'centerXY pdf-status', role: 'status' })
+  );
+};
+
+/**
+ * 費用見積もりの入力値
+ * @typedef {{
+ *  copies: any;
+ *  colorSidePrice: any;
+ *  monoSidePrice: any;
+ *  blankSidePrice: any;
+ *  paperPrice: any;
+ * }} CostInputs
+ */
+
+/**
+ * 部数と単価を入力し、見積もりを表示するパネルの DOM を生成する関数
+ *
+ * いずれかの入力欄が変更されるたびに、すべての入力値を onCostInputCallback に渡す
+ * @param {{[key in keyof CostInputs]: number}} initialCostInputs
+ * @param {(costInputs: CostInputs) => void} onCostInputCallback
+ */
+const createCostEntry = (initialCostInputs, onCostInputCallback) => {
+  /**
+   * @param {string} id
+   * @param {number} value
+   * @returns {HTMLInputElement}
+   */
+  const createPriceInput = (id, value) =>
+    // @ts-ignore
+    createElement('input', { type: 'number', className: 'input-price', id, value: `${value}`, min: '0', step: 'any' });
+
+  const copiesInput = createPagesInput({
+    id: 'input-copies',
+    className: 'input-page',
+    value: `${initialCostInputs.copies}`,
+    min: '1',
+    max: null
+  });
+  const colorSidePriceInput = createPriceInput('input-color-side-price', initialCostInputs.colorSidePrice);
+  const monoSidePriceInput = createPriceInput('input-mono-side-price', initialCostInputs.monoSidePrice);
+  const blankSidePriceInput = createPriceInput('input-blank-side-price', initialCostInputs.blankSidePrice);
+  const paperPriceInput = createPriceInput('input-paper-price', initialCostInputs.paperPrice);
+
+  const inputList = [copiesInput, colorSidePriceInput, monoSidePriceInput, blankSidePriceInput, paperPriceInput];
+  inputList.forEach((input) =>
+    input.addEventListener('input', () => {
+      onCostInputCallback({
+        copies: parseInt(copiesInput.value, 10),
+        colorSidePrice: parseFloat(colorSidePriceInput.value),
+        monoSidePrice: parseFloat(monoSidePriceInput.value),
+        blankSidePrice: parseFloat(blankSidePriceInput.value),
+        paperPrice: parseFloat(paperPriceInput.value)
+      });
+    })
+  );
+
+  return createElement(
+    'fieldset',
+    { className: 'cost-entry-container' },
+    createElement('legend', { messageKey: 'cost.legend' }),
+    createFormGroupNumber(copiesInput, 'cost.copies'),
+    createFormGroupNumber(colorSidePriceInput, 'cost.colorSidePrice'),
+    createFormGroupNumber(monoSidePriceInput, 'cost.monoSidePrice'),
+    createFormGroupNumber(blankSidePriceInput, 'cost.blankSidePrice'),
+    createFormGroupNumber(paperPriceInput, 'cost.paperPrice'),
+    createElement('div', { id: 'cost-summary', className: 'cost-summary' })
+  );
+};
+
+/**
+ * 用紙サイズの入力値
+ * @typedef {{
+ *  finishedWidthMm: any;
+ *  finishedHeightMm: any;
+ *  sheetWidthMm: any;
+ *  sheetHeightMm: any;
+ * }} PaperSizeInputs
+ */
+
+/**
+ * 寸法が一致する用紙サイズのプリセットを探す (なければ undefined)
+ * @param {{[key in keyof PaperSizeInputs]: number}} paperSizeInputs
+ */
+const findPaperSizePreset = ({ finishedWidthMm, finishedHeightMm, sheetWidthMm, sheetHeightMm }) =>
+  PAPER_SIZE_PRESETS.find(
+    ({ finished, sheet }) =>
+      finished.widthMm === finishedWidthMm &&
+      finished.heightMm === finishedHeightMm &&
+      sheet.widthMm === sheetWidthMm &&
+      sheet.heightMm === sheetHeightMm
+  );
+
+/**
+ * 仕上がりサイズと印刷用紙のサイズを選ぶパネルの DOM を生成する関数
+ *
+ * プリセットを選ぶと寸法の入力欄を埋め、寸法を直接変えるとプリセットは「カスタム」になる。
+ * どちらの場合も、すべての寸法を onPaperSizeInputCallback に渡す
+ * @param {{[key in keyof PaperSizeInputs]: number}} initialPaperSizeInputs
+ * @param {(paperSizeInputs: PaperSizeInputs) => void} onPaperSizeInputCallback
+ */
+const createPaperSizeEntry = (initialPaperSizeInputs, onPaperSizeInputCallback) => {
+  /**
+   * @param {string} id
+   * @param {number} value
+   * @returns {HTMLInputElement}
+   */
+  const createSizeInput = (id, value) =>
+    // @ts-ignore
+    createElement('input', { type: 'number', className: 'input-paper-size', id, value: `${value}`, min: '0', step: 'any' });
+
+  const finishedWidthInput = createSizeInput('input-finished-width', initialPaperSizeInputs.finishedWidthMm);
+  const finishedHeightInput = createSizeInput('input-finished-height', initialPaperSizeInputs.finishedHeightMm);
+  const sheetWidthInput = createSizeInput('input-sheet-width', initialPaperSizeInputs.sheetWidthMm);
+  const sheetHeightInput = createSizeInput('input-sheet-height', initialPaperSizeInputs.sheetHeightMm);
+
+  const initialPreset = findPaperSizePreset(initialPaperSizeInputs);
+  const presetSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { id: 'select-paper-size-preset', className: 'select-paper-size-preset' },
+      ...PAPER_SIZE_PRESETS.map(({ id, finishedName, sheetName }) =>
+        createMessageElement('option', { value: id }, 'paperSizePreset', { finished: finishedName, sheet: sheetName })
+      ),
+      createElement('option', { value: 'custom', messageKey: 'paperSize.custom' })
+    )
+  );
+  presetSelect.value = initialPreset?.id ?? 'custom';
+
+  const notifyPaperSizeInputs = () =>
+    onPaperSizeInputCallback({
+      finishedWidthMm: parseFloat(finishedWidthInput.value),
+      finishedHeightMm: parseFloat(finishedHeightInput.value),
+      sheetWidthMm: parseFloat(sheetWidthInput.value),
+      sheetHeightMm: parseFloat(sheetHeightInput.value)
+    });
+
+  presetSelect.addEventListener('change', () => {
+    const preset = PAPER_SIZE_PRESETS.find(({ id }) => id === presetSelect.value);
+    if (preset == null) return;
+
+    finishedWidthInput.value = `${preset.finished.widthMm}`;
+    finishedHeightInput.value = `${preset.finished.heightMm}`;
+    sheetWidthInput.value = `${preset.sheet.widthMm}`;
+    sheetHeightInput.value = `${preset.sheet.heightMm}`;
+    notifyPaperSizeInputs();
+  });
+
+  [finishedWidthInput, finishedHeightInput, sheetWidthInput, sheetHeightInput].forEach((input) =>
+    input.addEventListener('input', () => {
+      presetSelect.value = 'custom';
+      notifyPaperSizeInputs();
+    })
+  );
+
+  return createElement(
+    'fieldset',
+    { className: 'paper-size-entry-container' },
+    createElement('legend', { messageKey: 'paperSize.legend' }),
+    createElement(
+      'div',
+      { className: 'form-group-number' },
+      createElement('label', { for: presetSelect.id, messageKey: 'paperSize.preset' }),
+      presetSelect
+    ),
+    createFormGroupNumber(finishedWidthInput, 'paperSize.finishedWidth'),
+    createFormGroupNumber(finishedHeightInput, 'paperSize.finishedHeight'),
+    createFormGroupNumber(sheetWidthInput, 'paperSize.sheetWidth'),
+    createFormGroupNumber(sheetHeightInput, 'paperSize.sheetHeight'),
+    createElement('div', { id: 'paper-size-summary', className: 'paper-size-summary' }),
+    createElement('div', { id: 'cover-layout', className: 'cover-layout' })
+  );
+};
+
+/**
+ * 印刷用紙の片面ごとの SVG の台紙を書き出すパネルの DOM を生成する関数
+ * @param {() => void} onSvgExportCallback
+ */
+const createSvgExportEntry = (onSvgExportCallback) => {
+  const exportButton = createElement('button', {
+    type: 'button',
+    className: 'button-submit',
+    messageKey: 'svg.submit'
+  });
+  exportButton.addEventListener('click', () => onSvgExportCallback());
+
+  return createElement(
+    'fieldset',
+    { className: 'svg-export-container' },
+    createElement('legend', { messageKey: 'svg.legend' }),
+    createElement('div', { className: 'button-submit-container' }, exportButton),
+    createElement('div', { id: 'svg-export-list', className: 'svg-export-list' })
+  );
+};
+
+/**
+ * 印刷ダイアログ用のページ順の表示設定
+ * @typedef {{
+ *  flipEdge: FlipEdge;
+ *  reversedPasses: {[key in PrintPass]: boolean};
+ * }} PrintSequenceOptions
+ */
+
+/**
+ * 裏返す向きのラジオボタンを作成するヘルパー
+ * @param {FlipEdge} flipEdge
+ * @param {boolean} isChecked
+ * @returns {HTMLInputElement}
+ */
+const createFlipEdgeRadio = (flipEdge, isChecked) => {
+  // @ts-ignore
+  return createElement('input', {
+    type: 'radio',
+    id: flipEdge + 'Flip',
+    name: 'flipEdge',
+    value: flipEdge,
+    checked: isChecked ? 'true' : 'false'
+  });
+};
+
+/**
+ * 印刷ダイアログに入力するページ順を、コピーボタン付きで表示するパネルの DOM を生成する関数
+ *
+ * 裏返す向きや逆順の設定が変更されるたびに、すべての設定を onPrintSequenceOptionCallback に渡す
+ * @param {PrintSequenceOptions} initialOptions
+ * @param {(options: {flipEdge: string; reversedPasses: {[key in PrintPass]: boolean};}) => void} onPrintSequenceOptionCallback
+ */
+const createPrintSequenceEntry = (initialOptions, onPrintSequenceOptionCallback) => {
+  const flipEdgeRadioShort = createFlipEdgeRadio('shortEdge', initialOptions.flipEdge === 'shortEdge');
+  const flipEdgeRadioLong = createFlipEdgeRadio('longEdge', initialOptions.flipEdge === 'longEdge');
+
+  /** @type {{pass: PrintPass; label: MessageKey;}[]} */
+  const passList = [
+    { pass: 'duplex', label: 'sequence.duplex' },
+    { pass: 'fronts', label: 'sequence.fronts' },
+    { pass: 'backs', label: 'sequence.backs' }
+  ];
+
+  const reverseCheckboxList = passList.map(
+    ({ pass }) =>
+      /** @type {HTMLInputElement} */ (
+        createElement('input', {
+          type: 'checkbox',
+          id: `reverse-${pass}`,
+          checked: initialOptions.reversedPasses[pass] ? 'true' : 'false'
+        })
+      )
+  );
+
+  const onOptionChange = () => {
+    const checkedFlipEdgeRadio = [flipEdgeRadioShort, flipEdgeRadioLong].find((radio) => radio.checked);
+    if (checkedFlipEdgeRadio == null) return;
+
+    onPrintSequenceOptionCallback({
+      flipEdge: checkedFlipEdgeRadio.value,
+      reversedPasses: {
+        duplex: reverseCheckboxList[0].checked,
+        fronts: reverseCheckboxList[1].checked,
+        backs: reverseCheckboxList[2].checked
+      }
+    });
+  };
+  [flipEdgeRadioShort, flipEdgeRadioLong, ...reverseCheckboxList].forEach((input) =>
+    input.addEventListener('change', onOptionChange)
+  );
+
+  /**
+   * ページ順の表示欄とコピーボタンを作る
+   * @param {string} id
+   * @returns {HTMLElement[]}
+   */
+  const createSequenceText = (id) => {
+    const sequenceText = createElement('code', { id, className: 'print-sequence-text' });
+    const copyButton = createElement('button', { type: 'button', className: 'button-copy', messageKey: 'common.copy' });
+
+    copyButton.addEventListener('click', () => {
+      navigator.clipboard
+        ?.writeText(sequenceText.textContent ?? '')
+        .then(() => {
+          setMessage(copyButton, 'common.copied');
+          setTimeout(() => setMessage(copyButton, 'common.copy'), 1500);
+        })
+        .catch((err) => console.error(err));
+    });
+
+    return [sequenceText, copyButton];
+  };
+
+  // 1 葉の紙のページ順は、用紙のページ順の下に別の行で表示する (差し込む紙がないときは隠す)
+  const sequenceRows = passList.flatMap(({ pass, label }, i) => [
+    createElement(
+      'div',
+      { className: 'print-sequence-row' },
+      createElement('div', { className: 'print-sequence-label', messageKey: label }),
+      reverseCheckboxList[i],
+      createElement('label', { for: reverseCheckboxList[i].id, messageKey: 'sequence.reverse' }),
+      ...createSequenceText(`print-sequence-${pass}`)
+    ),
+    createElement(
+      'div',
+      { id: `print-sequence-${pass}-leaves-row`, className: 'print-sequence-row print-sequence-leaf-row' },
+      createElement('div', { className: 'print-sequence-label', messageKey: 'sequence.leaves' }),
+      ...createSequenceText(`print-sequence-${pass}-leaves`)
+    )
+  ]);
+
+  return createElement(
+    'fieldset',
+    { className: 'print-sequence-container' },
+    createElement('legend', { messageKey: 'sequence.legend' }),
+    createElement(
+      'div',
+      { className: 'form-group-radio' },
+      flipEdgeRadioShort,
+      createElement('label', { for: flipEdgeRadioShort.id, messageKey: 'sequence.shortEdge' }),
+      flipEdgeRadioLong,
+      createElement('label', { for: flipEdgeRadioLong.id, messageKey: 'sequence.longEdge' })
+    ),
+    createElement('div', { className: 'print-sequence-note', messageKey: 'sequence.preparedFile' }),
+    createElement('div', { id: 'print-sequence-note', className: 'print-sequence-note' }),
+    ...sequenceRows
+  );
+};
+
+/**
+ * 版の組み方のラジオボタンを作成するヘルパー
+ * @param {PressLayout} pressLayout
+ * @param {boolean} isChecked
+ * @returns {HTMLInputElement}
+ */
+const createPressLayoutRadio = (pressLayout, isChecked) => {
+  // @ts-ignore
+  return createElement('input', {
+    type: 'radio',
+    id: pressLayout + 'Press',
+    name: 'pressLayout',
+    value: pressLayout,
+    checked: isChecked ? 'true' : 'false'
+  });
+};
+
+/**
+ * 印刷所で刷るときの版の組み方 (表裏別版・打ち返し・くわえ返し) を選び、版の内容を表示するパネルの DOM を生成する関数
+ * @param {PressLayout} initialPressLayout
+ * @param {(pressLayout: string) => void} onPressLayoutCallback
+ */
+const createPressLayoutEntry = (initialPressLayout, onPressLayoutCallback) => {
+  /** @type {{[key in PressLayout]: MessageKey}} */
+  const pressLayoutTextMap = {
+    sheetwise: 'press.sheetwise',
+    workAndTurn: 'press.workAndTurn',
+    workAndTumble: 'press.workAndTumble'
+  };
+  const pressLayoutRadios = /** @type {PressLayout[]} */ (Object.keys(pressLayoutTextMap)).map((pressLayout) =>
+    createPressLayoutRadio(pressLayout, pressLayout === initialPressLayout)
+  );
+  pressLayoutRadios.forEach((radio) => radio.addEventListener('change', () => onPressLayoutCallback(radio.value)));
+
+  return createElement(
+    'fieldset',
+    { className: 'press-layout-container' },
+    createElement('legend', { messageKey: 'press.legend' }),
+    ...pressLayoutRadios.map((radio) =>
+      createElement(
+        'div',
+        { className: 'form-group-radio' },
+        radio,
+        createElement('label', { for: radio.id, messageKey: pressLayoutTextMap[/** @type {PressLayout} */ (radio.value)] })
+      )
+    ),
+    createElement('div', { id: 'press-layout-note', className: 'press-layout-note' }),
+    createElement('div', { id: 'press-layout-summary', className: 'press-layout-summary' }),
+    createElement('div', { id: 'press-layout-plates', className: 'press-layout-plates' })
+  );
+};
+
+/**
+ * 表示の言語を選ぶセレクトボックスの DOM を生成する関数
+ * @param {Locale} initialLocale
+ * @param {(locale: string) => void} onLocaleCallback
+ */
+const createLocaleEntry = (initialLocale, onLocaleCallback) => {
+  const localeSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { id: 'select-locale', className: 'select-locale' },
+      // 言語の名前は、どの言語を表示していてもその言語自身の表記で示す
+      ...Object.entries(LOCALES).map(([locale, name]) => createElement('option', { value: locale, textContent: name }))
+    )
+  );
+  localeSelect.value = initialLocale;
+  localeSelect.addEventListener('change', () => onLocaleCallback(localeSelect.value));
+
+  return createElement(
+    'div',
+    { className: 'locale-container' },
+    createElement('label', { for: localeSelect.id, messageKey: 'locale.label' }),
+    localeSelect
+  );
+};
+
+/**
+ * 大判の用紙に 8 面・16 面を付ける面付けを選び、用紙ごとの並びと折り図を表示するパネルの DOM を生成する関数
+ * @param {GridScheme | null} initialGridScheme - null のときは表示しない
+ * @param {(gridScheme: string) => void} onGridSchemeCallback
+ */
+const createGridImpositionEntry = (initialGridScheme, onGridSchemeCallback) => {
+  const schemeSelect = /** @type {HTMLSelectElement} */ (
+    createElement(
+      'select',
+      { id: 'select-grid-scheme', className: 'select-grid-scheme' },
+      createElement('option', { value: '', messageKey: 'grid.none' }),
+      ...Object.entries(GRID_SCHEMES).map(([gridScheme, { labelKey }]) =>
+        createElement('option', { value: gridScheme, messageKey: labelKey })
+      )
+    )
+  );
+  schemeSelect.value = initialGridScheme ?? '';
+  schemeSelect.addEventListener('change', () => onGridSchemeCallback(schemeSelect.value));
+
+  return createElement(
+    'fieldset',
+    { className: 'grid-imposition-container' },
+    createElement('legend', { messageKey: 'grid.legend' }),
+    createElement(
+      'div',
+      { className: 'form-group-number' },
+      createElement('label', { for: schemeSelect.id, messageKey: 'grid.scheme' }),
+      schemeSelect
+    ),
+    createElement('div', { id: 'grid-imposition-note', className: 'grid-imposition-note' }),
+    createElement('ol', { id: 'grid-imposition-folds', className: 'grid-imposition-folds' }),
+    createElement('div', { id: 'grid-imposition-sheets', className: 'grid-imposition-sheets' })
+  );
+};
+
+/**
+ * 1 枚の用紙に 8 ページを付けて折る zine として面付けするかを選び、並びと折り方を表示するパネルの DOM を生成する関数
+ * @param {boolean} initialIsZineMode
+ * @param {(isZineMode: boolean) => void} onZineModeCallback
+ */
+const createZineEntry = (initialIsZineMode, onZineModeCallback) => {
+  const zineCheckbox = /** @type {HTMLInputElement} */ (
+    createElement('input', { type: 'checkbox', id: 'zine-mode', checked: initialIsZineMode ? 'true' : 'false' })
+  );
+  zineCheckbox.addEventListener('change', () => onZineModeCallback(zineCheckbox.checked));
+
+  return createElement(
+    'fieldset',
+    { className: 'zine-imposition-container' },
+    createElement('legend', { messageKey: 'zine.legend' }),
+    createElement(
+      'div',
+      { className: 'form-group-radio' },
+      zineCheckbox,
+      createElement('label', { for: zineCheckbox.id, messageKey: 'zine.mode' })
+    ),
+    createElement('div', { id: 'zine-imposition-note', className: 'grid-imposition-note' }),
+    createElement('ol', { id: 'zine-imposition-steps', className: 'grid-imposition-folds' }),
+    createElement('div', { id: 'zine-imposition-sheets', className: 'grid-imposition-sheets' })
+  );
+};
+
+/**
+ * 手差し印刷を 1 手順ずつ案内するパネルの DOM を生成する関数
+ * @param {(action: 'back' | 'next' | 'reset') => void} onPrintWizardNavigateCallback
+ */
+const createPrintWizardEntry = (onPrintWizardNavigateCallback) => {
+  /**
+   * @param {'back' | 'next' | 'reset'} action
+   * @param {MessageKey} messageKey
+   */
+  const createNavigateButton = (action, messageKey) => {
+    const button = createElement('button', { type: 'button', className: `button-wizard-${action}`, messageKey });
+    button.addEventListener('click', () => onPrintWizardNavigateCallback(action));
+    return button;
+  };
+
+  return createElement(
+    'fieldset',
+    { className: 'print-wizard-container' },
+    createElement('legend', { messageKey: 'wizard.legend' }),
+    createElement('div', { id: 'print-wizard-progress', className: 'print-wizard-progress' }),
+    createElement('div', { id: 'print-wizard-instruction', className: 'print-wizard-instruction' }),
+    createElement('div', { id: 'print-wizard-note', className: 'print-wizard-note' }),
+    createElement(
+      'div',
+      { className: 'print-wizard-buttons' },
+      createNavigateButton('back', 'wizard.back'),
+      createNavigateButton('next', 'wizard.next'),
+      createNavigateButton('reset', 'wizard.reset')
+    )
+  );
+};
+
+/**
+ * 折って綴じた本を見開きごとにめくって確かめるプレビューの DOM を生成する関数
+ * @param {(action: 'back' | 'next') => void} onFoldPreviewNavigateCallback
+ */
+const createFoldPreviewEntry = (onFoldPreviewNavigateCallback) => {
+  /**
+   * @param {'back' | 'next'} action
+   * @param {MessageKey} messageKey
+   */
+  const createNavigateButton = (action, messageKey) => {
+    const button = createElement('button', { type: 'button', className: `button-fold-preview-${action}`, messageKey });
+    button.addEventListener('click', () => onFoldPreviewNavigateCallback(action));
+    return button;
+  };
+
+  return createElement(
+    'fieldset',
+    { className: 'fold-preview-container' },
+    createElement('legend', { messageKey: 'preview.legend' }),
+    createElement('div', { id: 'fold-preview-progress', className: 'fold-preview-progress' }),
+    createElement('div', { id: 'fold-preview-spread', className: 'fold-preview-spread' }),
+    createElement('div', { id: 'fold-preview-note', className: 'fold-preview-note' }),
+    createElement(
+      'div',
+      { className: 'fold-preview-buttons' },
+      createNavigateButton('back', 'preview.back'),
+      createNavigateButton('next', 'preview.next')
+    )
+  );
+};
+
+/**
+ * 印刷用紙の表で、キーボードで移動できるセルを行の中から集める関数 (見出しの行は含まない)
+ * @param {Element | undefined} row
+ * @returns {HTMLElement[]}
+ */
+const getPagesTableCells = (row) =>
+  row == null
+    ? []
+    : [...row.querySelectorAll('[role="rowheader"], [role="gridcell"]')].filter((cell) => cell instanceof HTMLElement);
+
+/**
+ * 印刷用紙の表のセルにフォーカスを移し、Tab キーで表に戻ったときにもそのセルに入るようにする関数
+ * @param {HTMLElement} cell
+ */
+const focusPagesTableCell = (cell) => {
+  document.querySelectorAll('#pages-table [tabindex="0"]').forEach((el) => {
+    if (el instanceof HTMLElement && el !== cell) el.tabIndex = -1;
+  });
+  cell.tabIndex = 0;
+  cell.focus();
+};
+
+/**
+ * 印刷用紙の表のキーボード操作を受け取る関数
+ *
+ * 上下の矢印キーで前後の行 (用紙) の同じ列へ、左右の矢印キーで行の中の隣のセルへ移る。
+ * Home と End で行の端へ、Ctrl と一緒に押すと表の最初と最後のセルへ移る。
+ * 1 葉の差し込みや区切りの行のように列が少ない行では、同じ列かそれより左で最も近いセルに移る
+ * @param {KeyboardEvent} event
+ */
+const onPagesTableKeydown = (event) => {
+  const cell = event.target;
+  if (!(cell instanceof HTMLElement)) return;
+
+  const rows = [...document.querySelectorAll('#pages-table [role="row"]')];
+  const rowIndex = rows.findIndex((row) => row.contains(cell));
+  const cells = getPagesTableCells(rows[rowIndex]);
+  const cellIndex = cells.indexOf(cell);
+  if (cellIndex === -1) return;
+
+  const colIndex = Number(cell.getAttribute('aria-colindex'));
+  /**
+   * @param {Element | undefined} row
+   * @returns {HTMLElement | undefined}
+   */
+  const findCellInColumn = (row) => {
+    const rowCells = getPagesTableCells(row);
+    return rowCells.filter((rowCell) => Number(rowCell.getAttribute('aria-colindex')) <= colIndex).at(-1) ?? rowCells[0];
+  };
+
+  /** @type {{[key: string]: () => HTMLElement | undefined}} */
+  const targetCellMap = {
+    ArrowUp: () => findCellInColumn(rows[rowIndex - 1]),
+    ArrowDown: () => findCellInColumn(rows[rowIndex + 1]),
+    ArrowLeft: () => cells[cellIndex - 1],
+    ArrowRight: () => cells[cellIndex + 1],
+    Home: () => (event.ctrlKey ? getPagesTableCells(rows[0])[0] : cells[0]),
+    End: () => (event.ctrlKey ? getPagesTableCells(rows[rows.length - 1]).at(-1) : cells.at(-1))
+  };
+  if (!Object.hasOwn(targetCellMap, event.key)) return;
+
+  event.preventDefault();
+  const targetCell = targetCellMap[event.key]();
+  if (targetCell) focusPagesTableCell(targetCell);
+};
+
+/**
+ * 印刷用紙の表 (ARIA grid) の見出しと、行を入れる入れ物の DOM を生成する関数
+ *
+ * 行は renderSheetTable で描く。オモテ・ウラの見出しは見た目どおりに 1 つずつ表示し、
+ * 読み上げ用には用紙の番号・左右のページ・カラーの注記の列ごとに見出しを持たせる
+ * @returns {HTMLElement}
+ */
+const createPagesTable = () => {
+  /**
+   * @param {'front' | 'back'} side
+   * @param {'left' | 'right'} position
+   * @param {string} colIndex
+   * @returns {HTMLElement}
+   */
+  const createPageColumnHeader = (side, position, colIndex) =>
+    createMessageElement(
+      'div',
+      { className: 'visually-hidden', role: 'columnheader', 'aria-colindex': colIndex },
+      'table.sideSlot',
+      {
+        side: { messageKey: side === 'front' ? 'side.front' : 'side.back' },
+        slot: { messageKey: position === 'left' ? 'slot.left' : 'slot.right' }
+      }
+    );
+
+  const pagesTableHead = createElement(
+    'div',
+    { className: 'pages-table-head', role: 'row' },
+    createElement('div', {
+      className: 'visually-hidden',
+      messageKey: 'table.sheetHeader',
+      role: 'columnheader',
+      'aria-colindex': '1'
+    }),
+    createElement(
+      'div',
+      { className: 'head-front centerXY' },
+      createElement('span', { messageKey: 'side.front', 'aria-hidden': 'true' }),
+      createPageColumnHeader('front', 'left', '2'),
+      createPageColumnHeader('front', 'right', '3')
+    ),
+    createElement(
+      'div',
+      { className: 'head-back centerXY' },
+      createElement('span', { messageKey: 'side.back', 'aria-hidden': 'true' }),
+      createPageColumnHeader('back', 'left', '4'),
+      createPageColumnHeader('back', 'right', '5')
+    ),
+    createElement('div', {
+      className: 'visually-hidden',
+      messageKey: 'table.colorHeader',
+      role: 'columnheader',
+      'aria-colindex': '6'
+    }),
+    createElement('div', { id: 'head-creep', className: 'head-creep centerXY', role: 'columnheader', 'aria-colindex': '7' })
+  );
+
+  const pagesGrid = createElement(
+    'div',
+    {
+      role: 'grid',
+      'aria-labelledby': 'pages-table-caption',
+      'aria-describedby': 'pages-table-hint',
+      'aria-colcount': `${PAGES_TABLE_COLUMN_COUNT}`
+    },
+    createElement('div', { role: 'rowgroup' }, pagesTableHead),
+    createElement('div', { id: 'pages-table', className: 'pages-table', role: 'rowgroup' })
+  );
+  pagesGrid.addEventListener('keydown', onPagesTableKeydown);
+  // クリックでフォーカスしたセルも、Tab キーで表に戻ったときの位置にする
+  pagesGrid.addEventListener('focusin', (event) => {
+    if (event.target instanceof HTMLElement && event.target.tabIndex === -1) focusPagesTableCell(event.target);
+  });
+
+  return createElement(
+    'div',
+    { className: 'pages-table-container' },
+    createElement('div', { id: 'pages-table-caption', className: 'visually-hidden', messageKey: 'table.caption' }),
+    createElement('div', { id: 'pages-table-hint', className: 'visually-hidden', messageKey: 'table.keyboardHint' }),
+    createElement('div', { id: 'color-side-description', className: 'visually-hidden', messageKey: 'table.colorSide' }),
+    pagesGrid
+  );
+};
+
+/**
+ * 印刷用紙の裏表両面に対応する DOM を生成する関数
+ * @param {{
+ *  front: {
+ *     left: string | number;
+ *     right: string | number;
+ *  };
+ *  back: {
+ *      left: string | number;
+ *      right: string | number;
+ *  };
+ * }} sheetDataContent
+ * @param {{front: boolean; back: boolean;}} colorSides - カラー印刷する面
+ * @param {string[]} pageLabels - 数字のページの代わりに表示するノンブル
+ * @param {(SafePositiveInteger | null)[]} pageMap - 空白ページの位置を知るための対応表
+ * @returns {HTMLElement[]}
+ */
+const createSides = ({ front, back }, colorSides, pageLabels, pageMap) => {
+  /** @type {{[key in 'front' | 'back']: {[key in 'left' | 'right']: string}}} */
+  const colIndexMap = { front: { left: '2', right: '3' }, back: { left: '4', right: '5' } };
+
+  /**
+   * @param {'front' | 'back'} side
+   * @param {'left' | 'right'} position
+   * @param {string | number} value
+   * @returns {HTMLElement}
+   */
+  const renderPage = (side, position, value) => {
+    const cellProps = {
+      role: 'gridcell',
+      tabindex: '-1',
+      'aria-colindex': colIndexMap[side][position],
+      'aria-describedby': colorSides[side] ? 'color-side-description' : null
+    };
+    return isBlankSlot(value, pageMap)
+      ? createElement('div', { ...cellProps, className: `${position} centerXY page-number blank-page`, messageKey: 'page.blank' })
+      : createPageLabelElement('div', { ...cellProps, className: `${position} centerXY page-number` }, value, pageLabels);
+  };
+
+  /**
+   * @param {'front' | 'back'} side
+   * @returns {string}
+   */
+  const getSideClassName = (side) => `${side} ${colorSides[side] ? 'color-print-side' : ''}`.trim();
+
+  return [
+    createElement(
+      'div',
+      { className: getSideClassName('front') },
+      renderPage('front', 'left', front.left),
+      renderPage('front', 'right', front.right)
+    ),
+    createElement(
+      'div',
+      { className: getSideClassName('back') },
+      renderPage('back', 'left', back.left),
+      renderPage('back', 'right', back.right)
+    )
+  ];
+};
+
+/**
+ * カラー印刷する面に応じて、行の右端に表示する注記の文言のキーを返す関数 (注記がなければ null)
+ * @param {{front: boolean; back: boolean;}} colorSides
+ * @returns {MessageKey | null}
+ */
+const getColorModifierText = ({ front, back }) => {
+  if (front && back) return 'table.colorBoth';
+  if (front) return 'table.colorFront';
+  if (back) return 'table.colorBack';
+  return null;
+};
+
+/**
+ * 表の区切りとなる行の DOM を生成するヘルパー (すべての列にまたがるセルを 1 つだけ持つ)
+ * @param {string} className
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ * @returns {HTMLElement}
+ */
+const createBoundaryRow = (className, messageKey, params) =>
+  createElement(
+    'div',
+    { className, role: 'row' },
+    createMessageElement(
+      'div',
+      { role: 'gridcell', tabindex: '-1', 'aria-colindex': '1', 'aria-colspan': `${PAGES_TABLE_COLUMN_COUNT}` },
+      messageKey,
+      params
+    )
+  );
+
+/**
+ * 折丁の区切りとなる行の DOM を生成する関数
+ * @param {SignatureData} signatureData
+ * @returns {HTMLElement}
+ */
+const createSignatureBoundary = ({ indexToDisplay, sheets, firstPage, lastPage }) =>
+  createBoundaryRow('signature-boundary', 'table.signature', {
+    signature: indexToDisplay,
+    sheets,
+    firstPage,
+    lastPage
+  });
+
+/**
+ * 用紙の種類が変わる位置に挟む区切りの行の DOM を生成する関数
+ * @param {MessageKey} paperLabel
+ * @returns {HTMLElement}
+ */
+const createPaperBoundary = (paperLabel) => createBoundaryRow('paper-boundary', paperLabel);
+
+/**
+ * 1 葉で差し込む紙の行の DOM を生成する関数
+ *
+ * 用紙の半分の大きさの紙に、オモテとウラ 1 ページずつを刷るものとして描く
+ * @param {LeafInsert} leafInsert
+ * @returns {HTMLElement}
+ */
+const createLeafInsertRow = ({ indexToDisplay, labels, colorSides }) => {
+  /**
+   * @param {'front' | 'back'} side
+   * @returns {HTMLElement}
+   */
+  const renderLeafSide = (side) =>
+    createElement(
+      'div',
+      { className: `${side} ${colorSides[side] ? 'color-print-side' : ''}`.trim() },
+      createElement('div', {
+        className: 'left centerXY page-number',
+        textContent: labels[side],
+        role: 'gridcell',
+        tabindex: '-1',
+        'aria-colindex': side === 'front' ? '2' : '4',
+        'aria-describedby': colorSides[side] ? 'color-side-description' : null
+      })
+    );
+
+  return createElement(
+    'div',
+    { className: 'pages-table-row leaf-insert-row', role: 'row' },
+    createMessageElement(
+      'div',
+      { className: 'sheet-number centerXY', role: 'rowheader', tabindex: '-1', 'aria-colindex': '1' },
+      'table.leafInsert',
+      { leaf: indexToDisplay }
+    ),
+    renderLeafSide('front'),
+    renderLeafSide('back'),
+    createElement('div', {
+      className: 'modifier centerXY',
+      messageKey: getColorModifierText(colorSides),
+      role: 'gridcell',
+      tabindex: '-1',
+      'aria-colindex': '6'
+    }),
+    createElement('div', { className: 'creep-shift centerXY', role: 'gridcell', tabindex: '-1', 'aria-colindex': '7' })
+  );
+};
+
+/**
+ * sheetData の配列から DOM を生成して、ユーザーに見える形で表示する関数
+ *
+ * signatures が渡されたときは、各折丁の先頭の用紙の前に区切りの行を挟む。
+ * 本文と表紙で用紙の種類が異なるときは、種類が変わる位置にも区切りの行を挟む。
+ * 1 葉で差し込む紙は、貼り込む用紙の行の直後に並べる
+ * @param {SheetData[]} dataListToRender
+ * @param {SignatureData[] | null} signatures
+ * @param {string[]} pageLabels - 数字のページの代わりに表示するノンブル
+ * @param {(SafePositiveInteger | null)[]} pageMap - 空白ページの位置を知るための対応表
+ * @param {LeafInsert[]} leafInserts
+ */
+const renderSheetTable = (dataListToRender, signatures = null, pageLabels = [], pageMap = [], leafInserts = []) => {
+  const pagesTable = document.getElementById('pages-table');
+  if (pagesTable === null) return;
+
+  while (pagesTable.firstChild) pagesTable.removeChild(pagesTable.firstChild);
+
+  const fragment = document.createDocumentFragment();
+
+  const headCreep = document.getElementById('head-creep');
+  const hasCreepShifts = dataListToRender.some(({ creepShiftMm }) => creepShiftMm != null);
+  if (headCreep) {
+    if (hasCreepShifts) setMessage(headCreep, 'table.creep');
+    else setPlainText(headCreep, '');
+  }
+
+  const hasMixedPapers = new Set(dataListToRender.map(({ paperLabel }) => paperLabel)).size > 1;
+
+  dataListToRender.forEach((sheetData, i) => {
+    const isColorPrint = sheetData.isColorPrint;
+
+    if (hasMixedPapers && sheetData.paperLabel !== dataListToRender[i - 1]?.paperLabel)
+      fragment.appendChild(createPaperBoundary(sheetData.paperLabel));
+
+    const signatureData = signatures?.find((signature) => signature.firstSheetIndex === sheetData.index);
+    if (signatureData) fragment.appendChild(createSignatureBoundary(signatureData));
+
+    const row = createElement(
+      'div',
+      { className: `pages-table-row ${isColorPrint ? 'color-print-sheet' : ''}`.trim(), role: 'row' },
+      createElement('div', {
+        className: 'sheet-number centerXY',
+        textContent: `${sheetData.indexToDisplay}`,
+        role: 'rowheader',
+        tabindex: '-1',
+        'aria-colindex': '1'
+      }),
+      ...createSides(sheetData.content, sheetData.colorSides, pageLabels, pageMap),
+      createElement('div', {
+        className: 'modifier centerXY',
+        messageKey: getColorModifierText(sheetData.colorSides),
+        role: 'gridcell',
+        tabindex: '-1',
+        'aria-colindex': '6'
+      }),
+      createElement('div', {
+        className: 'creep-shift centerXY',
+        textContent: sheetData.creepShiftMm == null ? '' : `${sheetData.creepShiftMm.toFixed(2)}mm`,
+        role: 'gridcell',
+        tabindex: '-1',
+        'aria-colindex': '7'
+      })
+    );
+
+    fragment.appendChild(row);
+    leafInserts
+      .filter(({ sheetIndex }) => sheetIndex === sheetData.index)
+      .forEach((leafInsert) => fragment.appendChild(createLeafInsertRow(leafInsert)));
+  });
+
+  // Tab キーで表に入ったときは、最初のセルにフォーカスする
+  const firstCell = fragment.querySelector('[tabindex="-1"]');
+  if (firstCell instanceof HTMLElement) firstCell.tabIndex = 0;
+
+  pagesTable.appendChild(fragment);
+};
+
+/**
+ * 空白ページを何枚追加する必要があるかテキストを表示する関数
+ * @param {SafePositiveInteger} blankPages
+ * @returns
+ */
+const renderBlankPagesText = (blankPages) => {
+  const container = document.getElementById('blank-page-container');
+  if (container == null) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (blankPages === 0) return;
+
+  const blankPagesText = createMessageElement(
+    'div',
+    { id: 'blank-pages-text', className: 'centerXY blank-pages-text' },
+    'table.blankPages',
+    { blanks: blankPages }
+  );
+
+  container.appendChild(blankPagesText);
+};
+
+/**
+ * 折丁の構成と、最後の折の枚数が他と異なる場合の注意を表示する関数
+ * @param {SignatureData[] | null} signatures - 中綴じのときは null
+ */
+const renderSignatureText = (signatures) => {
+  const container = document.getElementById('signature-container');
+  if (container == null) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (signatures == null) return;
+
+  const signatureText = createMessageElement('div', { className: 'centerXY signature-text' }, 'table.signatures', {
+    signatures: signatures.length
+  });
+  container.appendChild(signatureText);
+
+  const irregularSignature = signatures.find((signature) => signature.isIrregular);
+  if (irregularSignature == null) return;
+
+  const irregularSignatureText = createMessageElement(
+    'div',
+    { className: 'centerXY signature-text' },
+    'table.irregularSignature',
+    { signature: irregularSignature.indexToDisplay, sheets: irregularSignature.sheets }
+  );
+  container.appendChild(irregularSignatureText);
+};
+
+/**
+ *
+ * @param {{
+ *  dataListToRender: SheetData[];
+ *  blankPages: SafeNonNegativeInteger;
+ *  signatures: SignatureData[] | null;
+ *  impressionSummary: ImpressionSummary;
+ *  pageLabels: string[];
+ *  pageMap: (SafePositiveInteger | null)[];
+ *  leafInserts: LeafInsert[];
+ *  error: null;
+ * } | {
+ *  dataListToRender?: undefined;
+ *  blankPages?: undefined;
+ *  signatures?: undefined;
+ *  impressionSummary?: undefined;
+ *  pageLabels?: undefined;
+ *  pageMap?: undefined;
+ *  leafInserts?: undefined;
+ *  error: { __brand: string; messageKey: MessageKey; params?: MessageParams; fieldErrors?: InputFieldError[]; }
+ * }} printModel
+ */
+const renderUI = ({ dataListToRender, blankPages, signatures, pageLabels, pageMap, leafInserts, error }) => {
+  deleteErrorMessage();
+
+  if (error) {
+    // 入力値の項目が原因のエラーはその欄のそばに、それ以外は画面の下に表示する
+    if (error.fieldErrors == null) {
+      renderFieldErrors([]);
+      renderErrorMessage(error.messageKey, error.params);
+    } else {
+      renderFieldErrors(error.fieldErrors);
+    }
+    renderSheetTableStale(true);
+    renderCostSummaryStale(true);
+    return;
+  }
+
+  renderFieldErrors([]);
+  renderSheetTableStale(false);
+  renderCostSummaryStale(false);
+  renderSheetTable(dataListToRender, signatures, pageLabels, pageMap, leafInserts);
+  renderBlankPagesText(blankPages);
+  renderSignatureText(signatures);
+  renderAnnouncement(blankPages === 0 ? 'table.rendered' : 'table.renderedWithBlanks', {
+    sheets: dataListToRender.length,
+    blanks: blankPages
+  });
+};
+
+/**
+ * 入力値の項目ごとのエラーを、それぞれの欄のそばに表示する関数
+ *
+ * エラーのない項目の表示は消す。エラーのある欄には aria-invalid を付け、最初のエラーを読み上げる
+ * @param {InputFieldError[]} fieldErrors
+ */
+const renderFieldErrors = (fieldErrors) => {
+  document.querySelectorAll('.field-error').forEach((fieldError) => {
+    if (fieldError instanceof HTMLElement) setPlainText(fieldError, '');
+  });
+  document.querySelectorAll('[aria-invalid]').forEach((control) => control.removeAttribute('aria-invalid'));
+
+  fieldErrors.forEach(({ field, messageKey, params }) => {
+    const id = `field-error-${INPUT_PARAM_NAMES[field]}`;
+    const fieldError = document.getElementById(id);
+    if (fieldError != null) setMessage(fieldError, messageKey, params);
+    document.querySelectorAll(`[aria-describedby="${id}"]`).forEach((control) => control.setAttribute('aria-invalid', 'true'));
+  });
+
+  if (fieldErrors.length > 0) renderAnnouncement(fieldErrors[0].messageKey, fieldErrors[0].params);
+};
+
+/**
+ * 入力が不正な間、最後に計算できた印刷用紙の表を薄く表示する関数
+ * @param {boolean} isStale
+ */
+const renderSheetTableStale = (isStale) => {
+  document.getElementById('pages-table')?.classList.toggle('pages-table-stale', isStale);
+};
+
+/**
+ * 入力が不正な間、最後に計算できた費用の見積もりを薄く表示する関数
+ * @param {boolean} isStale
+ */
+const renderCostSummaryStale = (isStale) => {
+  document.getElementById('cost-summary')?.classList.toggle('cost-summary-stale', isStale);
+};
+
+/**
+ * branded error の messageKey と params を受け取り、UI 上に描画する関数
+ *
+ * 前に表示したメッセージは消してから描画する
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ */
+const renderErrorMessage = (messageKey, params) => {
+  const body = document.body;
+  deleteErrorMessage();
+
+  const errorMessage = createMessageElement('p', { id: 'error-message', className: 'error-message' }, messageKey, params);
+
+  body.appendChild(errorMessage);
+  renderAnnouncement(messageKey, params);
+};
+
+/**
+ * 計算の結果やエラーを、ライブリージョンを通して読み上げソフトに知らせる関数
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ */
+const renderAnnouncement = (messageKey, params) => {
+  const liveRegion = document.getElementById('live-region');
+  if (liveRegion == null) return;
+
+  setMessage(liveRegion, messageKey, params);
+};
+
+/**
+ * 印刷ダイアログ用のページ順を表示する関数
+ *
+ * 1 葉で差し込む紙がなければ、そのページ順の行は隠す
+ * @param {{[key in PrintPass]: PrintSequence}} sequences
+ * @param {FlipEdge} flipEdge
+ */
+const renderPrintSequences = (sequences, flipEdge) => {
+  /** @type {PrintPass[]} */
+  const passList = ['duplex', 'fronts', 'backs'];
+  passList.forEach((pass) => {
+    const sequenceText = document.getElementById(`print-sequence-${pass}`);
+    const leafSequenceRow = document.getElementById(`print-sequence-${pass}-leaves-row`);
+    const leafSequenceText = document.getElementById(`print-sequence-${pass}-leaves`);
+    if (sequenceText == null || leafSequenceRow == null || leafSequenceText == null) return;
+
+    const { sheetPages, leafPages } = sequences[pass];
+    sequenceText.textContent = sheetPages.join(',');
+    leafSequenceText.textContent = leafPages.join(',');
+    leafSequenceRow.hidden = leafPages.length === 0;
+  });
+
+  const note = document.getElementById('print-sequence-note');
+  if (note == null) return;
+
+  if (flipEdge === 'longEdge') setMessage(note, 'sequence.rotateBacks');
+  else setPlainText(note, '');
+};
+
+/**
+ * 版の組み方に応じた返し方の説明と、版の数・通し回数、版ごとの内容を表示する関数
+ *
+ * くわえ返しのウラ面は、版の上で 180° 回した向きで描く
+ * @param {{
+ *  plates: PressPlate[];
+ *  pressSummary: PressSummary;
+ *  pressLayout: PressLayout;
+ *  pageLabels: string[];
+ *  pageMap: (SafePositiveInteger | null)[];
+ * }} pressLayoutState
+ */
+const renderPressLayout = ({ plates, pressSummary, pressLayout, pageLabels, pageMap }) => {
+  const note = document.getElementById('press-layout-note');
+  const summary = document.getElementById('press-layout-summary');
+  const container = document.getElementById('press-layout-plates');
+  if (note == null || summary == null || container == null) return;
+
+  /** @type {{[key in PressLayout]: MessageKey}} */
+  const noteTextMap = {
+    sheetwise: 'press.noteSheetwise',
+    workAndTurn: 'press.noteWorkAndTurn',
+    workAndTumble: 'press.noteWorkAndTumble'
+  };
+  setMessage(note, noteTextMap[pressLayout]);
+
+  const { plates: plateCount, pressSheetsPerCopy, passesPerCopy } = pressSummary;
+  setMessage(summary, 'press.summary', { plates: plateCount, sheets: pressSheetsPerCopy, passes: passesPerCopy });
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  /**
+   * @param {'left' | 'right'} position
+   * @param {number | string} value
+   * @returns {HTMLElement}
+   */
+  const renderPage = (position, value) =>
+    isBlankSlot(value, pageMap)
+      ? createElement('div', { className: `${position} centerXY blank-page`, messageKey: 'page.blank' })
+      : createPageLabelElement('div', { className: `${position} centerXY` }, value, pageLabels);
+
+  const fragment = document.createDocumentFragment();
+  plates.forEach(({ indexToDisplay, sheetIndexToDisplay, arrangement, slots }) => {
+    fragment.appendChild(
+      createElement(
+        'div',
+        { className: 'press-plate' },
+        createMessageElement('div', { className: 'press-plate-title' }, 'press.plate', {
+          plate: indexToDisplay,
+          sheet: sheetIndexToDisplay
+        }),
+        createElement(
+          'div',
+          { className: `press-plate-slots press-plate-${arrangement}` },
+          ...slots.map(({ side, left, right, isColor, rotation }) =>
+            createElement(
+              'div',
+              {
+                className: ['press-slot', isColor ? 'color-print-side' : '', rotation === 180 ? 'press-slot-rotated' : '']
+                  .filter((className) => className !== '')
+                  .join(' ')
+              },
+              createElement('span', { className: 'press-slot-side', messageKey: side === 'front' ? 'side.front' : 'side.back' }),
+              renderPage('left', left),
+              renderPage('right', right)
+            )
+          )
+        )
+      )
+    );
+  });
+  container.appendChild(fragment);
+};
+
+/**
+ * 大判の用紙や zine の用紙の片面を、ページの枠を格子状に並べ、折り目と切り込みの線を重ねて描く関数
+ * @param {object} configs
+ * @param {GridSlot[][]} configs.slotRows
+ * @param {FoldLine[]} configs.foldLines
+ * @param {CutLine | null} [configs.cutLine]
+ * @param {string[]} configs.contentPageLabels - 原稿のページごとのノンブル。範囲外のページは「白」と描く
+ * @param {LocalizedMessage} configs.title
+ * @returns {HTMLElement}
+ */
+const createGridSide = ({ slotRows, foldLines, cutLine = null, contentPageLabels, title }) => {
+  const grid = createElement(
+    'div',
+    { className: 'grid-sheet-side' },
+    ...slotRows.flat().map(({ value, rotation }) =>
+      createElement(
+        'div',
+        { className: `grid-slot centerXY ${contentPageLabels[value - 1] == null ? 'blank-page' : ''}`.trim() },
+        createElement('span', {
+          className: `grid-slot-label ${rotation === 180 ? 'grid-slot-rotated' : ''}`.trim(),
+          ...(contentPageLabels[value - 1] == null
+            ? { messageKey: 'page.blank' }
+            : { textContent: contentPageLabels[value - 1] })
+        })
+      )
+    ),
+    ...foldLines.map(({ order, axis, position }) => {
+      const line = createElement('div', { className: `fold-line fold-line-${axis}`, textContent: `${order}` });
+      line.style.setProperty(axis === 'vertical' ? 'left' : 'top', `${position * 100}%`);
+      return line;
+    })
+  );
+  grid.style.gridTemplateColumns = `repeat(${slotRows[0].length}, 1fr)`;
+
+  if (cutLine != null) {
+    const line = createElement('div', { className: 'cut-line' });
+    line.style.top = `${cutLine.position * 100}%`;
+    line.style.left = `${cutLine.from * 100}%`;
+    line.style.width = `${(cutLine.to - cutLine.from) * 100}%`;
+    grid.appendChild(line);
+  }
+
+  return createElement(
+    'div',
+    { className: 'grid-sheet-side-container' },
+    createMessageElement('div', {}, title.messageKey, title.params ?? {}),
+    grid
+  );
+};
+
+/**
+ * 8 面・16 面の面付けの折り方と、用紙の面ごとのページの並び・折り目を表示する関数
+ *
+ * 天地を逆に刷るページは、枠の中の数字を 180° 回して描く。gridImposition が null のときは表示を消す
+ * @param {{
+ *  gridImposition: {
+ *    sheets: GridSheetData[];
+ *    blankPages: SafeNonNegativeInteger;
+ *    folds: {axis: 'vertical' | 'horizontal'; moving: 'left' | 'right' | 'top' | 'bottom';}[];
+ *    foldLines: FoldLine[];
+ *  } | null;
+ *  contentPageLabels: string[];
+ *  message: LocalizedMessage | null;
+ * }} gridImpositionState
+ */
+const renderGridImposition = ({ gridImposition, contentPageLabels, message }) => {
+  const note = document.getElementById('grid-imposition-note');
+  const foldList = document.getElementById('grid-imposition-folds');
+  const container = document.getElementById('grid-imposition-sheets');
+  if (note == null || foldList == null || container == null) return;
+
+  setLocalizedMessage(note, message);
+  while (foldList.firstChild) foldList.removeChild(foldList.firstChild);
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (gridImposition == null) return;
+
+  /** @type {{[key in 'left' | 'right' | 'top' | 'bottom']: MessageKey}} */
+  const movingTextMap = {
+    left: 'grid.foldLeft',
+    right: 'grid.foldRight',
+    top: 'grid.foldTop',
+    bottom: 'grid.foldBottom'
+  };
+  gridImposition.folds.forEach(({ axis, moving }, i) => {
+    const isSpine = i === gridImposition.folds.length - 1;
+    const fold = { messageKey: movingTextMap[moving] };
+    if (isSpine) foldList.appendChild(createMessageElement('li', {}, 'grid.spineNote', { fold }));
+    else if (axis === 'horizontal') foldList.appendChild(createMessageElement('li', {}, 'grid.headNote', { fold }));
+    else foldList.appendChild(createElement('li', { messageKey: fold.messageKey }));
+  });
+
+  const fragment = document.createDocumentFragment();
+  gridImposition.sheets.forEach(({ indexToDisplay, content }) => {
+    const { foldLines } = gridImposition;
+    fragment.appendChild(
+      createElement(
+        'div',
+        { className: 'grid-sheet' },
+        createGridSide({
+          slotRows: content.front,
+          foldLines,
+          contentPageLabels,
+          title: { messageKey: 'grid.sheetSide', params: { sheet: indexToDisplay, side: { messageKey: 'side.front' } } }
+        }),
+        createGridSide({
+          slotRows: content.back,
+          foldLines,
+          contentPageLabels,
+          title: { messageKey: 'grid.sheetSide', params: { sheet: indexToDisplay, side: { messageKey: 'side.back' } } }
+        })
+      )
+    );
+  });
+  container.appendChild(fragment);
+};
+
+/**
+ * zine の折り方と、用紙ごとのページの並び・折り目・切り込みを表示する関数
+ *
+ * zineImposition が null のときは表示を消す
+ * @param {{
+ *  zineImposition: {
+ *    sheets: ZineSheetData[];
+ *    foldLines: FoldLine[];
+ *    cutLine: CutLine;
+ *  } | null;
+ *  contentPageLabels: string[];
+ *  message: LocalizedMessage | null;
+ * }} zineImpositionState
+ */
+const renderZineImposition = ({ zineImposition, contentPageLabels, message }) => {
+  const note = document.getElementById('zine-imposition-note');
+  const stepList = document.getElementById('zine-imposition-steps');
+  const container = document.getElementById('zine-imposition-sheets');
+  if (note == null || stepList == null || container == null) return;
+
+  setLocalizedMessage(note, message);
+  while (stepList.firstChild) stepList.removeChild(stepList.firstChild);
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (zineImposition == null) return;
+
+  /** @type {MessageKey[]} */
+  const steps = [
+    'zine.step1',
+    'zine.step2',
+    'zine.step3',
+    'zine.step4',
+    ...(zineImposition.sheets.length > 1 ? /** @type {MessageKey[]} */ (['zine.stepStack']) : [])
+  ];
+  steps.forEach((step) => stepList.appendChild(createElement('li', { messageKey: step })));
+
+  const fragment = document.createDocumentFragment();
+  zineImposition.sheets.forEach(({ indexToDisplay, content }) => {
+    const { foldLines, cutLine } = zineImposition;
+    fragment.appendChild(
+      createElement(
+        'div',
+        { className: 'grid-sheet' },
+        createGridSide({
+          slotRows: content,
+          foldLines,
+          cutLine,
+          contentPageLabels,
+          title: { messageKey: 'zine.sheet', params: { sheet: indexToDisplay } }
+        })
+      )
+    );
+  });
+  container.appendChild(fragment);
+};
+
+/**
+ * 印刷ガイドの 1 手順を、画面に表示する文言に直す関数
+ * @param {PrintStep} step
+ * @param {string[]} pageLabels - 数字のページの代わりに表示するノンブル
+ * @param {(SafePositiveInteger | null)[]} pageMap - 空白ページの位置を知るための対応表
+ * @returns {LocalizedMessage}
+ */
+const formatPrintStep = (step, pageLabels, pageMap) => {
+  if (step.kind === 'done') return { messageKey: 'wizard.done' };
+  if (step.kind === 'flip') return { messageKey: step.flipEdge === 'shortEdge' ? 'wizard.flipShortEdge' : 'wizard.flipLongEdge' };
+  if (step.kind === 'leaf') {
+    const { indexToDisplay, labels, sheetIndexToDisplay } = step.leafInsert;
+    return {
+      messageKey: 'wizard.leaf',
+      params: { leaf: indexToDisplay, front: labels.front, back: labels.back, sheet: sheetIndexToDisplay }
+    };
+  }
+
+  /** @type {{[key in SideKind]: MessageKey}} */
+  const sideKindTextMap = { color: 'wizard.kindColor', mono: 'wizard.kindMono', blank: 'wizard.kindBlank' };
+  return {
+    messageKey: 'wizard.side',
+    params: {
+      sheet: step.sheetIndexToDisplay,
+      side: { messageKey: step.side === 'front' ? 'side.front' : 'side.back' },
+      left: toPageParam(step.left, pageLabels, pageMap),
+      right: toPageParam(step.right, pageLabels, pageMap),
+      kind: { messageKey: sideKindTextMap[step.sideKind] }
+    }
+  };
+};
+
+/**
+ * 印刷ガイドの現在の手順と進み具合を表示する関数
+ * @param {{
+ *  steps: PrintStep[];
+ *  stepIndex: number;
+ *  pageLabels: string[];
+ *  pageMap: (SafePositiveInteger | null)[];
+ *  note: LocalizedMessage | null;
+ * }} printWizardState
+ */
+const renderPrintWizard = ({ steps, stepIndex, pageLabels, pageMap, note }) => {
+  const progress = document.getElementById('print-wizard-progress');
+  const instruction = document.getElementById('print-wizard-instruction');
+  const noteText = document.getElementById('print-wizard-note');
+  if (progress == null || instruction == null || noteText == null) return;
+
+  const step = steps[stepIndex];
+  setLocalizedMessage(
+    progress,
+    step == null ? null : { messageKey: 'wizard.progress', params: { step: stepIndex + 1, steps: steps.length } }
+  );
+  setLocalizedMessage(instruction, step == null ? null : formatPrintStep(step, pageLabels, pageMap));
+  setLocalizedMessage(noteText, note);
+};
+
+/**
+ * 製本プレビューの現在の見開きと、順番が正しくない見開きの一覧を表示する関数
+ *
+ * 左綴じは読む順に左から右へ、右綴じは右から左へページを並べる
+ * @param {{
+ *  spreads: Spread[];
+ *  spreadIndex: number;
+ *  bindingDirection: BindingDirection;
+ *  pageLabels: string[];
+ * }} foldPreviewState
+ */
+const renderFoldPreview = ({ spreads, spreadIndex, bindingDirection, pageLabels }) => {
+  const progress = document.getElementById('fold-preview-progress');
+  const spreadContainer = document.getElementById('fold-preview-spread');
+  const note = document.getElementById('fold-preview-note');
+  if (progress == null || spreadContainer == null || note == null) return;
+
+  while (spreadContainer.firstChild) spreadContainer.removeChild(spreadContainer.firstChild);
+
+  const spread = spreads[spreadIndex];
+  if (spread == null) return;
+
+  /** @param {FoldedPage | null} page */
+  const createPreviewPage = (page) => {
+    if (page == null) return createElement('div', { className: 'fold-preview-page fold-preview-page-empty' });
+
+    return createElement(
+      'div',
+      { className: 'fold-preview-page centerXY' },
+      getPageLabel(page.value, pageLabels) === ''
+        ? createElement('div', { className: 'page-number', messageKey: 'page.blankInPreview' })
+        : createPageLabelElement('div', { className: 'page-number' }, page.value, pageLabels),
+      createMessageElement('div', { className: 'fold-preview-source' }, 'preview.source', {
+        sheet: page.sheetIndexToDisplay,
+        side: { messageKey: page.side === 'front' ? 'side.front' : 'side.back' },
+        slot: { messageKey: page.slot === 'left' ? 'slot.left' : 'slot.right' }
+      })
+    );
+  };
+
+  const isFirst = spreadIndex === 0;
+  const [first = null, second = null] = spread.pages;
+  // 単独のページは、最初の見開きでは綴じと反対側、最後の見開きでは綴じ側に置く
+  const readingOrder = isFirst ? [null, first] : [first, second];
+  const visualOrder = bindingDirection === 'left' ? readingOrder : [...readingOrder].reverse();
+  visualOrder.forEach((page) => spreadContainer.appendChild(createPreviewPage(page)));
+
+  setMessage(progress, spread.isInOrder ? 'preview.progress' : 'preview.progressOutOfOrder', {
+    spread: spreadIndex + 1,
+    spreads: spreads.length
+  });
+  progress.className = `fold-preview-progress ${spread.isInOrder ? '' : 'fold-preview-error'}`.trim();
+
+  const outOfOrderSpreads = spreads.filter(({ isInOrder }) => !isInOrder);
+  if (outOfOrderSpreads.length === 0) setMessage(note, 'preview.allInOrder');
+  else setMessage(note, 'preview.outOfOrder', { spreads: outOfOrderSpreads.map(({ index }) => index + 1).join(', ') });
+  note.className = `fold-preview-note ${outOfOrderSpreads.length === 0 ? '' : 'fold-preview-error'}`.trim();
+};
+
+/**
+ * 面数の集計と費用の見積もりを表示する関数
+ *
+ * 見積もりができない (入力値が不正な) ときは、集計とともに errorMessage を表示する
+ * @param {{
+ *  impressionSummary: ImpressionSummary;
+ *  copies: SafePositiveInteger;
+ *  costPerCopy: number;
+ *  totalCost: number;
+ *  errorMessage: null;
+ * } | {
+ *  impressionSummary: ImpressionSummary;
+ *  copies?: undefined;
+ *  costPerCopy?: undefined;
+ *  totalCost?: undefined;
+ *  errorMessage: LocalizedMessage;
+ * }} costSummary
+ */
+const renderCostSummary = ({ impressionSummary, copies, costPerCopy, totalCost, errorMessage }) => {
+  const container = document.getElementById('cost-summary');
+  if (container == null) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  const { colorSides, monoSides, blankSides, sheets } = impressionSummary;
+  /**
+   * @param {number} times
+   * @returns {LocalizedMessage}
+   */
+  const createImpressionMessage = (times) => ({
+    messageKey: 'cost.impressions',
+    params: { color: colorSides * times, mono: monoSides * times, blank: blankSides * times, sheets: sheets * times }
+  });
+
+  container.appendChild(
+    createMessageElement('div', { className: 'cost-summary-text' }, 'cost.perCopy', { impressions: createImpressionMessage(1) })
+  );
+
+  if (errorMessage != null) {
+    container.appendChild(
+      createMessageElement('div', { className: 'cost-summary-text cost-summary-error' }, errorMessage.messageKey, errorMessage.params)
+    );
+    return;
+  }
+
+  const currencyFormat = new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY', maximumFractionDigits: 2 });
+  container.appendChild(
+    createMessageElement('div', { className: 'cost-summary-text' }, 'cost.allCopies', {
+      copies,
+      impressions: createImpressionMessage(copies)
+    })
+  );
+  container.appendChild(
+    createMessageElement('div', { className: 'cost-summary-text cost-summary-total' }, 'cost.estimate', {
+      perCopy: currencyFormat.format(costPerCopy),
+      total: currencyFormat.format(totalCost)
+    })
+  );
+};
+
+/**
+ * 見開きを印刷用紙に収められるか、その倍率と断裁の余白を表示し、用紙の図をその縦横比で描き直す関数
+ * @param {SheetLayout | null} sheetLayout
+ * @param {LocalizedMessage | null} errorMessage - 寸法の入力が不正なときのメッセージ
+ */
+const renderPaperSizeSummary = (sheetLayout, errorMessage) => {
+  const container = document.getElementById('paper-size-summary');
+  if (container == null) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (sheetLayout == null) {
+    const errorText = createElement('div', { className: 'paper-size-summary-text paper-size-summary-error' });
+    container.appendChild(setLocalizedMessage(errorText, errorMessage));
+    return;
+  }
+
+  const { spreadWidthMm, spreadHeightMm, sheetWidthMm, sheetHeightMm, sheetOrientation, fits, scale } = sheetLayout;
+  /** @param {number} mm */
+  const formatMm = (mm) => `${Math.round(mm * 10) / 10}`;
+  /** @type {LocalizedMessage} */
+  const spreadMessage = {
+    messageKey: 'paperSize.spread',
+    params: { width: formatMm(spreadWidthMm), height: formatMm(spreadHeightMm) }
+  };
+  /** @type {LocalizedMessage} */
+  const sheetMessage = {
+    messageKey: 'paperSize.sheet',
+    params: {
+      orientation: { messageKey: sheetOrientation === 'landscape' ? 'paperSize.landscape' : 'paperSize.portrait' },
+      width: formatMm(sheetWidthMm),
+      height: formatMm(sheetHeightMm)
+    }
+  };
+
+  container.appendChild(
+    createMessageElement(
+      'div',
+      { className: `paper-size-summary-text ${fits ? '' : 'paper-size-summary-error'}`.trim() },
+      fits ? 'paperSize.fits' : 'paperSize.doesNotFit',
+      { spread: spreadMessage, sheet: sheetMessage }
+    )
+  );
+  container.appendChild(
+    createMessageElement('div', { className: 'paper-size-summary-text' }, 'paperSize.scale', {
+      scale: Math.floor(scale * 1000) / 10,
+      marginX: formatMm(sheetLayout.trimMarginXMm),
+      marginY: formatMm(sheetLayout.trimMarginYMm)
+    })
+  );
+
+  // 用紙の図: 高さは幅との比で、余白は幅に対する割合で指定する (padding の % は幅が基準)
+  const pagesTable = document.getElementById('pages-table');
+  if (pagesTable == null) return;
+  pagesTable.style.setProperty('--sheet-aspect', `${sheetHeightMm / sheetWidthMm}`);
+  pagesTable.style.setProperty('--trim-x', `${(sheetLayout.trimMarginXMm / sheetWidthMm) * 100}%`);
+  pagesTable.style.setProperty('--trim-y', `${(sheetLayout.trimMarginYMm / sheetWidthMm) * 100}%`);
+};
+
+/**
+ * くるみ表紙の展開図 (裏表紙・背・表紙の幅の比) と寸法を表示する関数
+ *
+ * coverLayout と message がどちらも null のとき (くるみ表紙でないとき) は何も表示しない
+ * @param {WrapCoverLayout | null} coverLayout
+ * @param {LocalizedMessage | null} message - 展開図を計算できないときのメッセージ
+ */
+const renderCoverLayout = (coverLayout, message) => {
+  const container = document.getElementById('cover-layout');
+  if (container == null) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (coverLayout == null) {
+    if (message) container.appendChild(setLocalizedMessage(createElement('div', { className: 'cover-layout-error' }), message));
+    return;
+  }
+
+  /** @param {number} mm */
+  const formatMm = (mm) => `${Math.round(mm * 100) / 100}`;
+  const diagram = createElement(
+    'div',
+    { className: 'cover-layout-diagram' },
+    ...coverLayout.panels.map(({ kind, label, widthMm }) => {
+      const panel = createElement('div', { className: `cover-layout-panel cover-layout-${kind} centerXY` });
+      if (kind === 'spine') setMessage(panel, label);
+      else setMessage(panel, 'coverLayout.panel', { label: { messageKey: label }, width: formatMm(widthMm) });
+      panel.style.flexGrow = `${widthMm}`;
+      return panel;
+    })
+  );
+  diagram.style.setProperty('--cover-aspect', `${coverLayout.heightMm / coverLayout.widthMm}`);
+
+  const spine = coverLayout.panels.find(({ kind }) => kind === 'spine');
+  container.appendChild(
+    createMessageElement('div', { className: 'cover-layout-text' }, 'paperSize.wrapCover', {
+      width: formatMm(coverLayout.widthMm),
+      height: formatMm(coverLayout.heightMm),
+      spine: formatMm(spine?.widthMm ?? 0)
+    })
+  );
+  container.appendChild(diagram);
+};
+
+/**
+ * PDF から読み取ったページ数をページ数の入力欄に反映し、ページサイズと向きを表示する関数
+ *
+ * 入力欄には input イベントを送り、手で入力したときと同じように計算し直す。
+ * サイズの異なるページがあれば、そのページ番号を警告として表示する
+ * @param {{
+ *  pageCount: SafePositiveInteger;
+ *  widthMm: number;
+ *  heightMm: number;
+ *  orientation: PageOrientation;
+ *  mismatchedPages: number[];
+ * }} pdfInfo
+ */
+const renderPdfInfo = ({ pageCount, widthMm, heightMm, orientation, mismatchedPages }) => {
+  const pagesInput = document.getElementById('input-page-count');
+  if (pagesInput instanceof HTMLInputElement) {
+    pagesInput.value = `${pageCount}`;
+    pagesInput.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  const container = document.getElementById('pdf-info');
+  if (container == null) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  container.appendChild(
+    createMessageElement('div', { className: 'pdf-info-text' }, 'pdf.info', {
+      pages: pageCount,
+      width: widthMm,
+      height: heightMm,
+      orientation: { messageKey: orientation === 'portrait' ? 'pdf.portrait' : 'pdf.landscape' }
+    })
+  );
+
+  if (mismatchedPages.length === 0) return;
+
+  // 列挙するのは先頭の数ページまでにとどめる
+  container.appendChild(
+    createMessageElement(
+      'div',
+      { className: 'pdf-info-text pdf-info-warning' },
+      mismatchedPages.length > 5 ? 'pdf.mismatchedPagesMore' : 'pdf.mismatchedPages',
+      { pages: mismatchedPages.slice(0, 5).join(', ') }
+    )
+  );
+};
+
+/**
+ * 面付け PDF の作成状況を表示する関数
+ *
+ * message が null のときは表示を消す
+ * @param {LocalizedMessage | null} message
+ */
+const renderPdfStatusText = (message) => {
+  const pdfStatus = document.getElementById('pdf-status');
+  if (pdfStatus == null) return;
+
+  setLocalizedMessage(pdfStatus, message);
+};
+
+/**
+ * 作成した SVG の台紙を、面ごとのダウンロードリンクとして表示する関数
+ *
+ * 前回作成したリンクの Blob URL は破棄する
+ * @param {{fileName: string; svg: string;}[] | null} files
+ * @param {LocalizedMessage | null} message - 作成できなかったときのメッセージ
+ */
+const renderSvgExportLinks = (files, message) => {
+  const container = document.getElementById('svg-export-list');
+  if (container == null) return;
+
+  container.querySelectorAll('a').forEach((link) => URL.revokeObjectURL(link.href));
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (files == null) {
+    container.appendChild(setLocalizedMessage(createElement('div', { className: 'svg-export-error' }), message));
+    return;
+  }
+
+  files.forEach(({ fileName, svg }) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    container.appendChild(createElement('a', { className: 'svg-export-link', href: url, download: fileName, textContent: fileName }));
+  });
+};
+
+/**
+ * 保存したプリセットの一覧を、セレクトボックスの選択肢として表示する関数
+ * @param {Preset[]} presets
+ * @param {string} selectedName - 選んだ状態にするプリセットの名前
+ */
+const renderPresetList = (presets, selectedName) => {
+  const presetSelect = document.getElementById('select-preset');
+  if (!(presetSelect instanceof HTMLSelectElement)) return;
+
+  while (presetSelect.firstChild) presetSelect.removeChild(presetSelect.firstChild);
+  if (presets.length === 0) {
+    presetSelect.appendChild(createElement('option', { value: '', messageKey: 'preset.empty' }));
+    return;
+  }
+
+  presets.forEach(({ name }) => presetSelect.appendChild(createElement('option', { value: name, textContent: name })));
+  if (presets.some(({ name }) => name === selectedName)) presetSelect.value = selectedName;
+};
+
+/**
+ * プリセットや共有リンクの操作の結果を表示する関数
+ * @param {MessageKey} messageKey
+ * @param {MessageParams} [params]
+ */
+const renderPresetStatus = (messageKey, params) => {
+  const status = document.getElementById('preset-status');
+  if (status == null) return;
+
+  setMessage(status, messageKey, params);
+};
+
+/**
+ * 作成した PDF をファイルとしてダウンロードさせる関数
+ * @param {Uint8Array} bytes
+ * @param {string} fileName
+ */
+const downloadPdf = (bytes, fileName) =>
+  downloadBlob(new Blob([/** @type {Uint8Array<ArrayBuffer>} */ (bytes)], { type: 'application/pdf' }), fileName);
+
+/**
+ * Blob をファイルとしてダウンロードさせる関数
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = createElement('a', { href: url, download: fileName });
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // クリック直後に破棄するとダウンロードが始まらないブラウザがあるため、少し待つ
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const deleteErrorMessage = () => {
+  const errorMessage = document.getElementById('error-message');
+  if (!errorMessage) return;
+
+  errorMessage.remove();
+};
+
+const initView = () => {
+  const body = document.body;
+
+  const localeEntry = createLocaleEntry(currentLocale, onLocaleCallback);
+  const inputEntry = createInputEntry(onSubmitCallback);
+  const presetEntry = createPresetEntry(onPresetCallback, onPresetImportCallback);
+  const pdfEntry = createPdfEntry(onPdfSubmitCallback, onPdfSelectCallback);
+  const costEntry = createCostEntry(lastCostInputs, onCostInputCallback);
+  const paperSizeEntry = createPaperSizeEntry(lastPaperSizeInputs, onPaperSizeInputCallback);
+  const printSequenceEntry = createPrintSequenceEntry(lastPrintSequenceOptions, onPrintSequenceOptionCallback);
+  const printWizardEntry = createPrintWizardEntry(onPrintWizardNavigateCallback);
+  const pressLayoutEntry = createPressLayoutEntry(lastPressLayout, onPressLayoutCallback);
+  const gridImpositionEntry = createGridImpositionEntry(lastGridScheme, onGridSchemeCallback);
+  const zineEntry = createZineEntry(lastIsZineMode, onZineModeCallback);
+  const svgExportEntry = createSvgExportEntry(onSvgExportCallback);
+  const foldPreviewEntry = createFoldPreviewEntry(onFoldPreviewNavigateCallback);
+
+  const blankPageContainer = createElement('div', { id: 'blank-page-container' });
+  const signatureContainer = createElement('div', { id: 'signature-container' });
+  const pagesTable = createPagesTable();
+  const liveRegion = createElement('div', { id: 'live-region', className: 'visually-hidden', role: 'status' });
+
+  body.appendChild(localeEntry);
+  body.appendChild(inputEntry);
+  body.appendChild(presetEntry);
+  body.appendChild(paperSizeEntry);
+  body.appendChild(pdfEntry);
+  body.appendChild(pagesTable);
+  body.appendChild(foldPreviewEntry);
+  body.appendChild(printSequenceEntry);
+  body.appendChild(printWizardEntry);
+  body.appendChild(pressLayoutEntry);
+  body.appendChild(gridImpositionEntry);
+  body.appendChild(zineEntry);
+  body.appendChild(svgExportEntry);
+  body.appendChild(blankPageContainer);
+  body.appendChild(signatureContainer);
+  body.appendChild(costEntry);
+  body.appendChild(liveRegion);
+};
+
+// ============================================================
+// ----- Controller -----
+
+/**
+ * 最後に確定した、検証済みの入力値 (共有リンクや、8 面・16 面・zine の面付けに使う)
+ * @type {Parameters<typeof buildPrintModel>[0] | null}
+ */
+let lastValidInputs = null;
+
+/**
+ * 最後に確定した入力値から作った面付けのデータ
+ *
+ * 入力値が変わったときに handleChange で 1 度だけ作り、各表示の更新や書き出しで使い回す
+ * @type {Extract<ReturnType<typeof buildPrintModel>, {error: null}> | null}
+ */
+let lastPrintModel = null;
+
+/**
+ * 最後に入力された、検証済みの部数と単価 (初期値は費用の入力欄にも使う)
+ * @type {{copies: SafePositiveInteger; colorSidePrice: number; monoSidePrice: number; blankSidePrice: number; paperPrice: number;}}
+ */
+let lastCostInputs = { copies: 1, colorSidePrice: 0, monoSidePrice: 0, blankSidePrice: 0, paperPrice: 0 };
+
+/**
+ * 最後に入力された、検証済みの仕上がりサイズと印刷用紙のサイズ (初期値は用紙サイズの入力欄にも使う)
+ * @type {{finishedWidthMm: number; finishedHeightMm: number; sheetWidthMm: number; sheetHeightMm: number;}}
+ */
+let lastPaperSizeInputs = {
+  finishedWidthMm: PAPER_SIZE_PRESETS[0].finished.widthMm,
+  finishedHeightMm: PAPER_SIZE_PRESETS[0].finished.heightMm,
+  sheetWidthMm: PAPER_SIZE_PRESETS[0].sheet.widthMm,
+  sheetHeightMm: PAPER_SIZE_PRESETS[0].sheet.heightMm
+};
+
+/**
+ * 最後に選ばれた、印刷ダイアログ用のページ順の表示設定 (初期値は設定欄にも使う)
+ * @type {PrintSequenceOptions}
+ */
+let lastPrintSequenceOptions = { flipEdge: 'shortEdge', reversedPasses: { duplex: false, fronts: false, backs: false } };
+
+/**
+ * 表示の言語
+ * @type {Locale}
+ */
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * 最後に選ばれた版の組み方
+ * @type {PressLayout}
+ */
+let lastPressLayout = 'sheetwise';
+
+/**
+ * 最後に選ばれた 8 面・16 面の面付けの種類 (使わないときは null)
+ * @type {GridScheme | null}
+ */
+let lastGridScheme = null;
+
+/**
+ * 最後に選ばれた、zine として面付けするかどうか
+ * @type {boolean}
+ */
+let lastIsZineMode = false;
+
+/**
+ * 名前を付けて保存した入力値の一覧 (localStorage の内容と同じ)
+ * @type {Preset[]}
+ */
+let savedPresets = [];
+
+/**
+ * 印刷ガイドの状態
+ * - jobKey: 手順を作った入力値と設定を表す文字列。保存した進み具合がどの作業のものかを見分ける
+ * - pageLabels, pageMap: 手順に表示するノンブルと空白ページを決める
+ * @type {{steps: PrintStep[]; stepIndex: number; jobKey: string; pageLabels: string[]; pageMap: (SafePositiveInteger | null)[];}}
+ */
+let printWizardState = { steps: [], stepIndex: 0, jobKey: '', pageLabels: [], pageMap: [] };
+
+/**
+ * 製本プレビューの状態
+ * @type {{spreads: Spread[]; spreadIndex: number; bindingDirection: BindingDirection; pageLabels: string[];}}
+ */
+let foldPreviewState = { spreads: [], spreadIndex: 0, bindingDirection: 'left', pageLabels: [] };
+
+/**
+ * buttonSubmit のイベントリスナー内と、入力フォームが書き換えられて少し経ったときによばれるコールバック関数
+ * 1. ユーザー入力を検証する関数を呼ぶ
+ * 2. 不正な入力があればそれにより生じる branded error を受け止め、不正な項目ごとに renderFieldErrors に渡す。
+ * 3. 入力が適正なら、入力値を handleChange に渡す。
+ * @param {{
+ *  inputtedPages: any;
+ *  startEndColorPages: any;
+ *  centerColorPages: any;
+ *  colorPageRanges: any;
+ *  coverOption: any;
+ *  bindingDirection: any;
+ *  sheetsPerSignature: any;
+ *  paperThicknessMm: any;
+ *  pageNumberStart: any;
+ *  romanPages: any;
+ *  pageNames: any;
+ *  blankPlacement: any;
+ *  leafInserts: any;}} inputs
+ * @returns
+ */
+const onSubmitCallback = (inputs) => {
+  const result = validateInputs(inputs);
+  if (result.error) {
+    deleteErrorMessage();
+    renderFieldErrors(result.error.fieldErrors);
+    renderSheetTableStale(true);
+    renderCostSummaryStale(true);
+    return;
+  }
+
+  handleChange(result);
+};
+
+/**
+ *
+ * @param {object} inputs
+ * @param {SafePositiveInteger} inputs.inputtedPages
+ * @param {SafeNonNegativeInteger} inputs.startEndColorPages
+ * @param {SafeNonNegativeInteger} inputs.centerColorPages
+ * @param {string} inputs.colorPageRanges
+ * @param {CoverOption} inputs.coverOption
+ * @param {BindingDirection} inputs.bindingDirection
+ * @param {SafeNonNegativeInteger} inputs.sheetsPerSignature
+ * @param {number} inputs.paperThicknessMm
+ * @param {SafePositiveInteger} inputs.pageNumberStart
+ * @param {SafeNonNegativeInteger} inputs.romanPages
+ * @param {string} inputs.pageNames
+ * @param {BlankPlacement} inputs.blankPlacement
+ * @param {string} inputs.leafInserts
+ * @returns
+ */
+const handleChange = ({
+  inputtedPages,
+  startEndColorPages,
+  centerColorPages,
+  colorPageRanges,
+  coverOption,
+  bindingDirection,
+  sheetsPerSignature,
+  paperThicknessMm,
+  pageNumberStart,
+  romanPages,
+  pageNames,
+  blankPlacement,
+  leafInserts
+}) => {
+  try {
+    const inputs = {
+      inputtedPages,
+      startEndColorPages,
+      centerColorPages,
+      colorPageRanges,
+      coverOption,
+      bindingDirection,
+      sheetsPerSignature,
+      paperThicknessMm,
+      pageNumberStart,
+      romanPages,
+      pageNames,
+      blankPlacement,
+      leafInserts
+    };
+    const result = buildPrintModel(inputs);
+    lastValidInputs = result.error ? null : inputs;
+    lastPrintModel = result.error ? null : result;
+    updatePermalink();
+
+    renderUI(result);
+    updateCostSummary(null);
+    updatePrintSequences();
+    updatePrintWizard();
+    updateFoldPreview();
+    updateCoverLayout();
+    updatePressLayout();
+    updateGridImposition();
+    updateZineImposition();
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+/**
+ * 部数と単価を検証する関数
+ *
+ * - 責務: 入力値の型の検証 ** 検証するのは型のみ **
+ * - 不正な入力があれば branded error を返す
+ * @param {CostInputs} costInputs
+ * @returns {{
+ *  costInputs: {copies: SafePositiveInteger; colorSidePrice: number; monoSidePrice: number; blankSidePrice: number; paperPrice: number;};
+ *  error: null;
+ * } | {
+ *  costInputs?: undefined;
+ *  error: {__brand: 'dataValidationError'; messageKey: MessageKey};
+ * }}
+ */
+const validateCostInputs = ({ copies, colorSidePrice, monoSidePrice, blankSidePrice, paperPrice }) => {
+  if (!isSafePositiveInteger(copies))
+    return { error: { __brand: 'dataValidationError', messageKey: 'validation.copies' } };
+
+  if (![colorSidePrice, monoSidePrice, blankSidePrice, paperPrice].every(isNonNegativeFiniteNumber))
+    return { error: { __brand: 'dataValidationError', messageKey: 'validation.prices' } };
+
+  return { costInputs: { copies, colorSidePrice, monoSidePrice, blankSidePrice, paperPrice }, error: null };
+};
+
+/**
+ * 最後に計算した面数と、最後に入力された部数・単価から見積もりを表示し直す
+ * @param {LocalizedMessage | null} errorMessage - 部数や単価の入力が不正なときのメッセージ
+ */
+const updateCostSummary = (errorMessage) => {
+  if (lastPrintModel == null) return;
+
+  const { impressionSummary } = lastPrintModel;
+  if (errorMessage != null) {
+    renderCostSummary({ impressionSummary, errorMessage });
+    return;
+  }
+
+  const { costPerCopy, totalCost } = estimatePrintCost({ impressionSummary, ...lastCostInputs });
+  renderCostSummary({
+    impressionSummary,
+    copies: lastCostInputs.copies,
+    costPerCopy,
+    totalCost,
+    errorMessage: null
+  });
+};
+
+/**
+ * 部数や単価の入力欄が変更されたときによばれるコールバック関数
+ * 1. 入力値を検証し、適正なら lastCostInputs を更新する
+ * 2. 見積もりを表示し直す (不正な入力なら、そのメッセージを見積もりの欄に表示する)
+ * @param {CostInputs} costInputs
+ */
+const onCostInputCallback = (costInputs) => {
+  const result = validateCostInputs(costInputs);
+  if (result.error) {
+    updateCostSummary({ messageKey: result.error.messageKey });
+    return;
+  }
+
+  lastCostInputs = result.costInputs;
+  updateCostSummary(null);
+  updatePermalink();
+};
+
+/**
+ * 仕上がりサイズと印刷用紙のサイズを検証する関数
+ *
+ * - 責務: 入力値の型の検証 ** 検証するのは型のみ **
+ * - 不正な入力があれば branded error を返す
+ * @param {PaperSizeInputs} paperSizeInputs
+ * @returns {{
+ *  paperSizeInputs: {finishedWidthMm: number; finishedHeightMm: number; sheetWidthMm: number; sheetHeightMm: number;};
+ *  error: null;
+ * } | {
+ *  paperSizeInputs?: undefined;
+ *  error: {__brand: 'dataValidationError'; messageKey: MessageKey};
+ * }}
+ */
+const validatePaperSizeInputs = ({ finishedWidthMm, finishedHeightMm, sheetWidthMm, sheetHeightMm }) => {
+  if (![finishedWidthMm, finishedHeightMm, sheetWidthMm, sheetHeightMm].every((mm) => isNonNegativeFiniteNumber(mm) && mm > 0))
+    return { error: { __brand: 'dataValidationError', messageKey: 'validation.paperSize' } };
+
+  return { paperSizeInputs: { finishedWidthMm, finishedHeightMm, sheetWidthMm, sheetHeightMm }, error: null };
+};
+
+/**
+ * 用紙サイズの入力欄が変更されたときによばれるコールバック関数
+ * 1. 入力値を検証し、適正なら lastPaperSizeInputs を更新する
+ * 2. 見開きの配置を計算し直して表示する (不正な入力なら、そのメッセージを表示する)
+ * @param {PaperSizeInputs} paperSizeInputs
+ */
+const onPaperSizeInputCallback = (paperSizeInputs) => {
+  const result = validatePaperSizeInputs(paperSizeInputs);
+  if (result.error) {
+    renderPaperSizeSummary(null, { messageKey: result.error.messageKey });
+    return;
+  }
+
+  lastPaperSizeInputs = result.paperSizeInputs;
+  renderPaperSizeSummary(calcSheetLayout(lastPaperSizeInputs), null);
+  updateCoverLayout();
+  updatePermalink();
+};
+
+/**
+ * 最後に確定した入力値と仕上がりサイズから、くるみ表紙の展開図を表示し直す
+ *
+ * くるみ表紙でないときは展開図を消す。用紙の厚さが 0 で背幅を計算できないときは、その旨を表示する
+ */
+const updateCoverLayout = () => {
+  if (lastValidInputs == null || lastPrintModel == null || lastValidInputs.coverOption !== 'wrap') {
+    renderCoverLayout(null, null);
+    return;
+  }
+
+  const { spineWidthMm } = lastPrintModel;
+  if (spineWidthMm == null) {
+    renderCoverLayout(null, { messageKey: 'paperSize.wrapCoverNeedsThickness' });
+    return;
+  }
+
+  const { finishedWidthMm, finishedHeightMm } = lastPaperSizeInputs;
+  renderCoverLayout(
+    calcWrapCoverLayout({
+      finishedWidthMm,
+      finishedHeightMm,
+      spineWidthMm,
+      bindingDirection: lastValidInputs.bindingDirection
+    }),
+    null
+  );
+};
+
+/**
+ * 最後に確定した入力値と表示設定から、印刷ダイアログ用のページ順を表示し直す
+ */
+const updatePrintSequences = () => {
+  if (lastPrintModel == null) return;
+
+  const { dataListToRender, leafInserts } = lastPrintModel;
+
+  const { flipEdge, reversedPasses } = lastPrintSequenceOptions;
+  /**
+   * @param {PrintPass} pass
+   */
+  const createSequence = (pass) =>
+    createPrintSequence({
+      dataList: dataListToRender,
+      pass,
+      isReversed: reversedPasses[pass],
+      flipEdge,
+      leafInserts
+    });
+
+  renderPrintSequences(
+    { duplex: createSequence('duplex'), fronts: createSequence('fronts'), backs: createSequence('backs') },
+    flipEdge
+  );
+};
+
+/**
+ * 最後に確定した入力値から本を折り直し、製本プレビューを最初の見開きから表示し直す
+ */
+const updateFoldPreview = () => {
+  if (lastValidInputs == null || lastPrintModel == null) return;
+
+  const { dataListToRender, pageLabels } = lastPrintModel;
+
+  const { bindingDirection } = lastValidInputs;
+  foldPreviewState = {
+    spreads: createFoldedSpreads({ dataList: dataListToRender, bindingDirection }),
+    spreadIndex: 0,
+    bindingDirection,
+    pageLabels
+  };
+  renderFoldPreview(foldPreviewState);
+};
+
+/**
+ * 製本プレビューの「前の見開き」「次の見開き」のボタンが押されたときによばれるコールバック関数
+ * @param {'back' | 'next'} action
+ */
+const onFoldPreviewNavigateCallback = (action) => {
+  const { spreads, spreadIndex } = foldPreviewState;
+  if (spreads.length === 0) return;
+
+  const nextSpreadIndex = action === 'next' ? Math.min(spreadIndex + 1, spreads.length - 1) : Math.max(spreadIndex - 1, 0);
+  foldPreviewState = { ...foldPreviewState, spreadIndex: nextSpreadIndex };
+  renderFoldPreview(foldPreviewState);
+};
+
+/**
+ * 最後に確定した入力値と版の組み方から、版の内容と版の数を表示し直す
+ */
+const updatePressLayout = () => {
+  if (lastPrintModel == null) return;
+
+  const { dataListToRender, pageLabels, pageMap } = lastPrintModel;
+
+  const configs = { dataList: dataListToRender, pageMap, pressLayout: lastPressLayout };
+  renderPressLayout({
+    plates: createPressPlates(configs),
+    pressSummary: summarizePress(configs),
+    pressLayout: lastPressLayout,
+    pageLabels,
+    pageMap
+  });
+};
+
+/**
+ * 最後に確定した入力値と選ばれた種類から、8 面・16 面の面付けを表示し直す
+ *
+ * 空白ページは最後の用紙の末尾に入れ、空白ページの位置や 1 葉の差し込みの指定は使わない
+ */
+const updateGridImposition = () => {
+  if (lastValidInputs == null || lastPrintModel == null || lastGridScheme == null) {
+    renderGridImposition({ gridImposition: null, contentPageLabels: [], message: null });
+    return;
+  }
+
+  const { contentPageLabels } = lastPrintModel;
+  const { inputtedPages, bindingDirection } = lastValidInputs;
+  const gridImposition = createGridImposition({ inputtedPages, gridScheme: lastGridScheme, bindingDirection });
+  if (gridImposition.error) {
+    renderGridImposition({ gridImposition: null, contentPageLabels: [], message: gridImposition.error });
+    return;
+  }
+
+  renderGridImposition({
+    gridImposition,
+    contentPageLabels,
+    message: {
+      messageKey: gridImposition.blankPages === 0 ? 'grid.sheets' : 'grid.sheetsWithBlanks',
+      params: { sheets: gridImposition.sheets.length, blanks: gridImposition.blankPages }
+    }
+  });
+};
+
+/**
+ * 8 面・16 面の面付けの種類が選ばれたときによばれるコールバック関数
+ * @param {string} gridScheme - 使わないときは空文字列
+ */
+const onGridSchemeCallback = (gridScheme) => {
+  if (gridScheme !== '' && !isGridScheme(gridScheme)) return;
+
+  lastGridScheme = gridScheme === '' ? null : gridScheme;
+  updateGridImposition();
+  updatePermalink();
 };
 
 /**
- * 印刷用紙の裏表両面に対応する DOM を生成する関数
- * @param {{
- *  front: {
- *     left: string | number;
- *     right: string | number;
- *  };
- *  back: {
- *      left: string | number;
- *      right: string | number;
- *  };
- * }} sheetDataContent
- * @returns {HTMLElement[]}
+ * 最後に確定した入力値から、zine の面付けを表示し直す
+ *
+ * 表紙の扱い・カラー・空白ページの位置・1 葉の差し込みの指定は使わない
  */
-const createSides = ({ front, back }) => {
-  /**
-   * @param {'left' | 'right'} position
-   * @param {string | number} value
-   * @returns {HTMLElement}
-   */
-  const renderPage = (position, value) =>
-    createElement('div', { className: `${position} centerXY page-number`, textContent: `${value}` });
+const updateZineImposition = () => {
+  if (lastValidInputs == null || lastPrintModel == null || !lastIsZineMode) {
+    renderZineImposition({ zineImposition: null, contentPageLabels: [], message: null });
+    return;
+  }
 
-  return [
-    createElement('div', { className: 'front' }, renderPage('left', front.left), renderPage('right', front.right)),
-    createElement('div', { className: 'back' }, renderPage('left', back.left), renderPage('right', back.right))
-  ];
+  const { contentPageLabels } = lastPrintModel;
+  const { inputtedPages, bindingDirection } = lastValidInputs;
+  const zineImposition = createZineImposition({ inputtedPages, bindingDirection });
+  if (zineImposition.error) {
+    renderZineImposition({ zineImposition: null, contentPageLabels: [], message: zineImposition.error });
+    return;
+  }
+
+  renderZineImposition({
+    zineImposition,
+    contentPageLabels,
+    message: {
+      messageKey: zineImposition.blankPages === 0 ? 'zine.sheets' : 'zine.sheetsWithBlanks',
+      params: { sheets: zineImposition.sheets.length, blanks: zineImposition.blankPages }
+    }
+  });
 };
 
 /**
- * sheetData の配列から DOM を生成して、ユーザーに見える形で表示する関数
- * @param {SheetData[]} dataListToRender
+ * zine として面付けするかのチェックボックスが変更されたときによばれるコールバック関数
+ * @param {boolean} isZineMode
  */
-const renderSheetTable = (dataListToRender) => {
-  const pagesTable = document.getElementById('pages-table');
-  if (pagesTable === null) return;
+const onZineModeCallback = (isZineMode) => {
+  lastIsZineMode = isZineMode;
+  updateZineImposition();
+  updatePermalink();
+};
 
-  while (pagesTable.firstChild) pagesTable.removeChild(pagesTable.firstChild);
+/**
+ * 版の組み方のラジオボタンが変更されたときによばれるコールバック関数
+ * @param {string} pressLayout
+ */
+const onPressLayoutCallback = (pressLayout) => {
+  if (!isPressLayout(pressLayout)) return;
 
-  const fragment = document.createDocumentFragment();
+  lastPressLayout = pressLayout;
+  updatePressLayout();
+  updatePermalink();
+};
 
-  dataListToRender.forEach((sheetData) => {
-    const isColorPrint = sheetData.isColorPrint;
+/**
+ * 印刷ダイアログ用のページ順の表示設定が変更されたときによばれるコールバック関数
+ * @param {{flipEdge: string; reversedPasses: {[key in PrintPass]: boolean};}} options
+ */
+const onPrintSequenceOptionCallback = ({ flipEdge, reversedPasses }) => {
+  if (flipEdge !== 'shortEdge' && flipEdge !== 'longEdge') return;
 
-    const row = createElement(
-      'div',
-      { className: `pages-table-row ${isColorPrint ? 'color-print-sheet' : ''}`.trim() },
-      createElement('div', { className: 'sheet-number centerXY', textContent: `${sheetData.indexToDisplay}` }),
-      ...createSides(sheetData.content),
-      createElement('div', { className: 'modifier centerXY', textContent: `${isColorPrint ? 'カラー' : ''}` })
-    );
+  lastPrintSequenceOptions = { flipEdge, reversedPasses };
+  updatePrintSequences();
+  updatePrintWizard();
+  updatePermalink();
+};
 
-    fragment.appendChild(row);
-  });
+/**
+ * localStorage から、印刷ガイドの進み具合を読み出す (なければ null)
+ * @returns {{jobKey: string; stepIndex: number;} | null}
+ */
+const loadPrintWizardProgress = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRINT_WIZARD_STORAGE_KEY) ?? 'null');
+    if (saved == null || typeof saved.jobKey !== 'string' || !isSafeNonNegativeInteger(saved.stepIndex)) return null;
 
-  pagesTable.appendChild(fragment);
+    return { jobKey: saved.jobKey, stepIndex: saved.stepIndex };
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
 };
 
 /**
- * 空白ページを何枚追加する必要があるかテキストを表示する関数
- * @param {SafePositiveInteger} blankPages
- * @returns
+ * localStorage に保存した表示の言語を読み出す
+ *
+ * 保存されていなければブラウザの言語から選び、どちらにもなければ既定の言語にする
+ * @returns {Locale}
  */
-const renderBlankPagesText = (blankPages) => {
-  const container = document.getElementById('blank-page-container');
-  if (container == null) return;
+const loadLocale = () => {
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (isLocale(saved)) return saved;
+  } catch (err) {
+    console.error(err);
+  }
 
-  while (container.firstChild) container.removeChild(container.firstChild);
+  const browserLocale = navigator.language.split('-')[0];
+  return isLocale(browserLocale) ? browserLocale : DEFAULT_LOCALE;
+};
 
-  if (blankPages === 0) return;
+/**
+ * 表示の言語を localStorage に保存する
+ */
+const saveLocale = () => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, currentLocale);
+  } catch (err) {
+    console.error(err);
+  }
+};
 
-  const blankPagesText = createElement('div', {
-    id: 'blank-pages-text',
-    className: 'centerXY blank-pages-text',
-    textContent: `空白ページを${blankPages}ページ用意してください。`
-  });
+/**
+ * 言語のセレクトボックスが変更されたときによばれるコールバック関数
+ *
+ * 入力値や計算結果はそのままに、表示している文言だけを訳し直す
+ * @param {string} locale
+ */
+const onLocaleCallback = (locale) => {
+  if (!isLocale(locale)) return;
 
-  container.appendChild(blankPagesText);
+  currentLocale = locale;
+  saveLocale();
+  renderMessages();
 };
 
 /**
+ * 印刷ガイドの進み具合を localStorage に保存する
+ */
+const savePrintWizardProgress = () => {
+  try {
+    const { jobKey, stepIndex } = printWizardState;
+    localStorage.setItem(PRINT_WIZARD_STORAGE_KEY, JSON.stringify({ jobKey, stepIndex }));
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+/**
+ * 最後に確定した入力値と設定から印刷ガイドの手順を作り直す
  *
- * @param {{
- *  dataListToRender: SheetData[];
- *  blankPages: SafeNonNegativeInteger;
- *  error: null;
- * } | {
- *  dataListToRender?: undefined;
- *  blankPages?: undefined;
- *  error: { __brand: string; message: string; }
- * }} printModel
+ * 同じ作業の進み具合が保存されていれば、その手順から再開する
  */
-const renderUI = ({ dataListToRender, blankPages, error }) => {
-  deleteErrorMessage();
+const updatePrintWizard = () => {
+  if (lastValidInputs == null || lastPrintModel == null) return;
 
-  if (error) {
-    renderErrorMessage(error.message);
-    return;
-  }
+  const { dataListToRender, pageMap, pageLabels, leafInserts } = lastPrintModel;
 
-  renderSheetTable(dataListToRender);
-  renderBlankPagesText(blankPages);
+  const { flipEdge, reversedPasses } = lastPrintSequenceOptions;
+  const jobKey = JSON.stringify({ ...lastValidInputs, flipEdge, isBacksReversed: reversedPasses.backs });
+  if (jobKey === printWizardState.jobKey) return;
+
+  const steps = createPrintSteps({
+    dataList: dataListToRender,
+    pageMap,
+    flipEdge,
+    isBacksReversed: reversedPasses.backs,
+    leafInserts
+  });
+  const savedProgress = loadPrintWizardProgress();
+  const isResumed = savedProgress != null && savedProgress.jobKey === jobKey && savedProgress.stepIndex < steps.length;
+
+  printWizardState = { steps, stepIndex: isResumed ? savedProgress.stepIndex : 0, jobKey, pageLabels, pageMap };
+  savePrintWizardProgress();
+  renderPrintWizard({ ...printWizardState, note: isResumed ? { messageKey: 'wizard.resumed' } : null });
 };
 
 /**
- * branded error の message を受け取り、UI 上に描画する関数
- * @param {string} msg
+ * 印刷ガイドの「戻る」「次へ」「最初から」のボタンが押されたときによばれるコールバック関数
+ * @param {'back' | 'next' | 'reset'} action
  */
-const renderErrorMessage = (msg) => {
-  const body = document.body;
+const onPrintWizardNavigateCallback = (action) => {
+  const { steps, stepIndex } = printWizardState;
+  if (steps.length === 0) return;
+
+  /** @type {{[key in 'back' | 'next' | 'reset']: number}} */
+  const nextStepIndexMap = {
+    back: Math.max(stepIndex - 1, 0),
+    next: Math.min(stepIndex + 1, steps.length - 1),
+    reset: 0
+  };
+
+  printWizardState = { ...printWizardState, stepIndex: nextStepIndexMap[action] };
+  savePrintWizardProgress();
+  renderPrintWizard({ ...printWizardState, note: null });
+};
 
-  const errorMessage = createElement('p', {
-    id: 'error-message',
-    className: 'error-message',
-    textContent: msg
-  });
+/**
+ * ページを開いたときに、中断した印刷ガイドが残っていれば知らせる
+ */
+const notifySavedPrintWizardProgress = () => {
+  if (loadPrintWizardProgress() == null) return;
 
-  body.appendChild(errorMessage);
+  renderPrintWizard({ steps: [], stepIndex: 0, pageLabels: [], pageMap: [], note: { messageKey: 'wizard.savedProgress' } });
 };
 
-const deleteErrorMessage = () => {
-  const errorMessage = document.getElementById('error-message');
-  if (!errorMessage) return;
+/**
+ * 最後に選ばれた、入力フォームの外にある設定をまとめる (共有リンクやプリセットに書くときに使う)
+ * @returns {Settings}
+ */
+const getCurrentSettings = () => ({
+  pressLayout: lastPressLayout,
+  gridScheme: lastGridScheme ?? '',
+  isZineMode: lastIsZineMode,
+  costInputs: lastCostInputs,
+  paperSizeInputs: lastPaperSizeInputs,
+  printSequenceOptions: lastPrintSequenceOptions
+});
 
-  errorMessage.remove();
+/**
+ * 確定した入力値と設定を、URL やプリセットに書くための項目名と文字列の組に直す
+ * @param {Parameters<typeof buildPrintModel>[0]} inputs
+ * @returns {{[name: string]: string}}
+ */
+const serializeJob = (inputs) => ({ ...serializeInputs(inputs), ...serializeSettings(getCurrentSettings()) });
+
+/**
+ * 共有リンクやプリセットに書かれた入力値と設定を、入力フォームと各設定欄に入れて確定する
+ *
+ * 設定は設定ごとのコールバック関数で検証し、不正な設定は使わない
+ * @param {{[name: string]: string | undefined}} params
+ */
+const loadJob = (params) => {
+  const inputs = parseInputParams(params);
+  const settings = parseSettingParams(params);
+  fillInputEntry(inputs);
+  fillSettingEntries(settings);
+
+  onCostInputCallback(settings.costInputs);
+  onPaperSizeInputCallback(settings.paperSizeInputs);
+  onPrintSequenceOptionCallback(settings.printSequenceOptions);
+  onPressLayoutCallback(settings.pressLayout);
+  onGridSchemeCallback(settings.gridScheme);
+  onZineModeCallback(settings.isZineMode);
+  onSubmitCallback(inputs);
 };
 
-const initView = () => {
-  const body = document.body;
+/**
+ * 確定した入力値と設定を URL のフラグメントに書き、そのままのアドレスを共有リンクとして使えるようにする
+ *
+ * 履歴は増やさない。確定した入力値がなければ何もしない
+ */
+const updatePermalink = () => {
+  if (lastValidInputs == null) return;
 
-  const inputEntry = createInputEntry(onSubmitCallback);
+  try {
+    history.replaceState(null, '', `#${new URLSearchParams(serializeJob(lastValidInputs))}`);
+  } catch (err) {
+    console.error(err);
+  }
+};
 
-  const blankPageContainer = createElement('div', { id: 'blank-page-container' });
+/**
+ * 共有リンクで開いたとき、URL のフラグメントに書かれた入力値と設定を入力フォームと各設定欄に入れて確定する
+ */
+const loadInputsFromPermalink = () => {
+  const fragment = location.hash.slice(1);
+  if (fragment === '') return;
 
-  const pagesTableHead = createElement(
-    'div',
-    { className: 'pages-table-head' },
-    createElement('div', { className: 'head-front centerXY', textContent: 'オモテ' }),
-    createElement('div', { className: 'head-back centerXY', textContent: 'ウラ' })
-  );
-  const pagesTable = createElement('div', { id: 'pages-table', className: 'pages-table' });
+  loadJob(Object.fromEntries(new URLSearchParams(fragment)));
+};
 
-  body.appendChild(inputEntry);
-  body.appendChild(pagesTableHead);
-  body.appendChild(pagesTable);
-  body.appendChild(blankPageContainer);
+/**
+ * localStorage からプリセットの一覧を読み出す
+ * @returns {Preset[]}
+ */
+const loadPresets = () => {
+  try {
+    const saved = localStorage.getItem(PRESET_STORAGE_KEY);
+    if (saved == null) return [];
+
+    const { presets, error } = parsePresets(saved);
+    if (error) {
+      console.error(t(error.messageKey, error.params));
+      return [];
+    }
+    return presets;
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
 };
 
-// ============================================================
-// ----- Controller -----
+/**
+ * プリセットの一覧を localStorage に保存する
+ */
+const savePresets = () => {
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, stringifyPresets(savedPresets));
+  } catch (err) {
+    console.error(err);
+  }
+};
 
 /**
- * ユーザーが入力した値を検証する関数
+ * プリセットと共有リンクのボタンが押されたときによばれるコールバック関数
  *
- * - 責務: 入力値の型の検証 ** 検証するのは型のみ **
- * - 値が適正な範囲内に収まっているか、二つの値の関係は適正か、などは責務外
- * - 不正な入力があれば branded error を返す
- * @param {{
- *  inputtedPages: any;
- *  startEndColorPages: any;
- *  centerColorPages: any;
- *  coverOption: any;}} data
- * @returns {{
- *  inputtedPages: SafePositiveInteger;
- *  startEndColorPages: SafeNonNegativeInteger;
- *  centerColorPages: SafeNonNegativeInteger;
- *  coverOption: CoverOption;
- *  error: null;
- * } | {
- *  inputtedPages?: undefined;
- *  startEndColorPages?: undefined;
- *  centerColorPages?: undefined;
- *  coverOption?: undefined;
- *  error: {__brand: 'dataValidationError'; message: string};
- * }}
+ * - save: 確定済みの入力値と設定を、名前を付けて保存する。同じ名前のプリセットは上書きする
+ * - load: 選んだプリセットを入力フォームと各設定欄に入れて確定する
+ * - rename, delete: 選んだプリセットの名前を変える、または削除する
+ * - export: プリセットの一覧を JSON のファイルとしてダウンロードさせる
+ * - copyLink: 確定済みの入力値と設定を表す共有リンクをクリップボードにコピーする
+ * @param {'save' | 'load' | 'rename' | 'delete' | 'export' | 'copyLink'} action
+ * @param {{name: string; selectedName: string;}} names - name は名前の入力欄の値、selectedName は選んだプリセットの名前
  */
-const validateInputs = ({ inputtedPages, startEndColorPages, centerColorPages, coverOption }) => {
-  if (inputtedPages == null || startEndColorPages == null || centerColorPages == null || coverOption == null)
-    return { error: { __brand: 'dataValidationError', message: 'ページ数を入力してください。' } };
+const onPresetCallback = (action, { name, selectedName }) => {
+  const selectedPreset = savedPresets.find((preset) => preset.name === selectedName);
 
-  if (!isSafePositiveInteger(inputtedPages))
-    return {
-      error: { __brand: 'dataValidationError', message: '総ページ数は 1 以上の整数を半角で入力してください。' }
-    };
+  if (action === 'save') {
+    if (lastValidInputs == null) {
+      renderPresetStatus('common.inputsRequired');
+      return;
+    }
+    if (name === '') {
+      renderPresetStatus('preset.nameRequired');
+      return;
+    }
+    savedPresets = mergePresets(savedPresets, [{ name, params: serializeJob(lastValidInputs) }]);
+    savePresets();
+    renderPresetList(savedPresets, name);
+    renderPresetStatus('preset.saved', { name });
+    return;
+  }
 
-  if (!isSafeNonNegativeInteger(startEndColorPages) || !isSafeNonNegativeInteger(centerColorPages))
-    return {
-      error: { __brand: 'dataValidationError', message: 'カラーページ数は 0 以上の整数を半角で入力してください。' }
-    };
-  if (!isCoverOption(coverOption))
-    return {
-      error: {
-        __brand: 'dataValidationError',
-        message: `表紙の設定のチェックボックスのいずれかにチェックを入れてください。`
-      }
-    };
+  if (action === 'export') {
+    downloadBlob(new Blob([stringifyPresets(savedPresets)], { type: 'application/json' }), 'imposition-presets.json');
+    return;
+  }
+
+  if (action === 'copyLink') {
+    if (lastValidInputs == null) {
+      renderPresetStatus('common.inputsRequired');
+      return;
+    }
+    navigator.clipboard
+      ?.writeText(location.href)
+      .then(() => renderPresetStatus('preset.linkCopied'))
+      .catch((err) => console.error(err));
+    return;
+  }
+
+  if (selectedPreset == null) {
+    renderPresetStatus('preset.selectRequired');
+    return;
+  }
+
+  if (action === 'load') {
+    loadJob(selectedPreset.params);
+    renderPresetStatus('preset.loaded', { name: selectedName });
+    return;
+  }
+
+  if (action === 'rename') {
+    if (name === '') {
+      renderPresetStatus('preset.newNameRequired');
+      return;
+    }
+    if (name !== selectedName && savedPresets.some((preset) => preset.name === name)) {
+      renderPresetStatus('preset.nameTaken', { name });
+      return;
+    }
+    savedPresets = savedPresets.map((preset) => (preset.name === selectedName ? { ...preset, name } : preset));
+    savePresets();
+    renderPresetList(savedPresets, name);
+    renderPresetStatus('preset.renamed', { from: selectedName, to: name });
+    return;
+  }
 
-  return { inputtedPages, startEndColorPages, centerColorPages, coverOption, error: null };
+  savedPresets = savedPresets.filter((preset) => preset.name !== selectedName);
+  savePresets();
+  renderPresetList(savedPresets, '');
+  renderPresetStatus('preset.deleted', { name: selectedName });
 };
 
 /**
- * buttonSubmit のイベントリスナー内でよばれるコールバック関数
- * 1. ユーザー入力を検証する関数を呼ぶ
- * 2. 不正な入力があればそれにより生じる branded error を受け止め、renderErrorMessage に渡す。
- * 3. 入力が適正なら、入力値を handleChange に渡す。
- * @param {{
- *  inputtedPages: any;
- *  startEndColorPages: any;
- *  centerColorPages: any;
- *  coverOption: any;}} inputs
- * @returns
+ * プリセットの JSON のファイルが選ばれたときによばれるコールバック関数
+ *
+ * 読み込んだプリセットを一覧に加え、同じ名前のプリセットは上書きする
+ * @param {File} file
  */
-const onSubmitCallback = (inputs) => {
-  const result = validateInputs(inputs);
-  if (result.error) {
-    renderErrorMessage(result.error.message);
-    return;
-  }
+const onPresetImportCallback = async (file) => {
+  try {
+    const { presets, error } = parsePresets(await file.text());
+    if (error) {
+      renderPresetStatus(error.messageKey, error.params);
+      return;
+    }
 
-  handleChange(result);
+    savedPresets = mergePresets(savedPresets, presets);
+    savePresets();
+    renderPresetList(savedPresets, presets[0]?.name ?? '');
+    renderPresetStatus('preset.imported', { count: presets.length });
+  } catch (err) {
+    console.error(err);
+  }
 };
 
 /**
+ * PDF が選択、またはドロップされたときによばれるコールバック関数
  *
- * @param {object} inputs
- * @param {SafePositiveInteger} inputs.inputtedPages
- * @param {SafeNonNegativeInteger} inputs.startEndColorPages
- * @param {SafeNonNegativeInteger} inputs.centerColorPages
- * @param {CoverOption} inputs.coverOption
- * @returns
+ * ファイルはブラウザ内で読むだけで、どこにも送信しない
+ * 1. PDF のページツリーを読み、ページ数とページサイズを調べる
+ * 2. 読めなければ branded error を renderErrorMessage に渡し、読めればページ数の入力欄に反映する
+ * @param {File} file
+ */
+const onPdfSelectCallback = async (file) => {
+  deleteErrorMessage();
+
+  try {
+    const result = await inspectPdf(new Uint8Array(await file.arrayBuffer()));
+    if (result.error) {
+      renderErrorMessage(result.error.messageKey, result.error.params);
+      return;
+    }
+
+    renderPdfInfo(result);
+  } catch (err) {
+    console.error(err);
+  }
+};
+
+/**
+ * 面付け PDF の作成ボタンのイベントリスナー内でよばれるコールバック関数
+ * 1. PDF が選ばれていること、入力が確定済みであることを確かめる
+ * 2. 確定済みの入力値から印刷用紙のデータを作り直し、面付け PDF を作成する
+ * 3. 失敗すれば branded error を renderErrorMessage に渡し、成功すればダウンロードさせる
+ * @param {File | null} file
  */
-const handleChange = ({ inputtedPages, startEndColorPages, centerColorPages, coverOption }) => {
+const onPdfSubmitCallback = async (file) => {
+  deleteErrorMessage();
+
+  if (file == null) {
+    renderErrorMessage('pdf.fileRequired');
+    return;
+  }
+  if (lastPrintModel == null) {
+    renderErrorMessage('common.inputsRequired');
+    return;
+  }
+
+  const { dataListToRender, pageMap, leafInserts } = lastPrintModel;
+
   try {
-    const result = buildPrintModel({ inputtedPages, startEndColorPages, centerColorPages, coverOption });
+    renderPdfStatusText({ messageKey: 'pdf.creating' });
+    const { bytes, error } = await createImposedPdf({
+      sourceBytes: new Uint8Array(await file.arrayBuffer()),
+      dataList: dataListToRender,
+      pageMap,
+      leafInserts
+    });
+    renderPdfStatusText(null);
 
-    renderUI(result);
+    if (error) {
+      renderErrorMessage(error.messageKey, error.params);
+      return;
+    }
+
+    downloadPdf(bytes, `${file.name.replace(/\.pdf$/i, '')}-imposed.pdf`);
   } catch (err) {
+    renderPdfStatusText(null);
     console.error(err);
   }
 };
 
+/**
+ * SVG の台紙の作成ボタンが押されたときによばれるコールバック関数
+ *
+ * 確定済みの入力値と、最後に入力された用紙サイズから台紙を作り、ダウンロードリンクを表示する
+ */
+const onSvgExportCallback = () => {
+  if (lastPrintModel == null) {
+    renderSvgExportLinks(null, { messageKey: 'common.inputsRequired' });
+    return;
+  }
+
+  const { dataListToRender, pageLabels, pageMap } = lastPrintModel;
+
+  renderSvgExportLinks(
+    createImpositionSvgs({
+      dataList: dataListToRender,
+      sheetLayout: calcSheetLayout(lastPaperSizeInputs),
+      pageMap,
+      pageLabels,
+      formatMessage: t
+    }),
+    null
+  );
+};
+
 // ============================================================
 // ----- execution -----
+currentLocale = loadLocale();
 initView();
+renderMessages();
+renderPaperSizeSummary(calcSheetLayout(lastPaperSizeInputs), null);
+notifySavedPrintWizardProgress();
+savedPresets = loadPresets();
+renderPresetList(savedPresets, '');
+loadInputsFromPermalink();